@@ -9,6 +9,7 @@ import { performance } from 'perf_hooks';
 import { getLogger } from '../utils/logging.js';
 import { AGENT_TYPES, getTaskConfiguration, buildAgentSystemPrompt } from '../tools/task.js';
 import { ErrorRecoveryManager } from '../error/error-recovery.js';
+import { resolveModelAlias, getDefaultModel } from '../api/model-catalog.js';
 
 /**
  * Task states
@@ -200,7 +201,7 @@ export class AgentExecutor {
     this.logger = options.logger || getLogger('agent-executor');
     this.tools = options.tools || [];
     this.apiClient = options.apiClient;
-    this.model = options.model || 'claude-3-5-sonnet-20241022';
+    this.model = resolveModelAlias(options.model) || getDefaultModel();
     this.maxThinkingTokens = options.maxThinkingTokens || 15000;
   }
 
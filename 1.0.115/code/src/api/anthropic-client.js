@@ -7,66 +7,86 @@
 import { EventEmitter } from 'events';
 import { ErrorRecoveryManager } from '../error/error-recovery.js';
 import { getLogger } from '../utils/logging.js';
+import { signRequest as signAwsRequest } from './aws-sigv4.js';
+import { EventStreamDecoder } from './event-stream.js';
+import { AwsCredentialProvider, getAwsRegion } from '../auth/aws-credentials.js';
+import { GoogleCredentialProvider } from '../auth/gcp-credentials.js';
+import { loadConfig } from '../config/configuration-system.js';
+import { getModelInfo, resolveModelAlias, getDefaultModel, listModels } from './model-catalog.js';
+import {
+  toChatCompletionRequest,
+  fromChatCompletion,
+  ChatCompletionStreamTranslator
+} from './openai-compat.js';
+
+const BEDROCK_ANTHROPIC_VERSION = 'bedrock-2023-05-31';
+
+// Betas Bedrock accepts; others are rejected there
+const BEDROCK_BETAS = [
+  'computer-use-2024-10-22',
+  'computer-use-2025-01-24',
+  'token-efficient-tools-2025-02-19',
+  'interleaved-thinking-2025-05-14',
+  'output-128k-2025-02-19',
+  'context-1m-2025-08-07'
+];
+
+const VERTEX_ANTHROPIC_VERSION = 'vertex-2023-10-16';
+const DEFAULT_VERTEX_REGION = 'us-east5';
+
+// Betas Vertex accepts; others are rejected there
+const VERTEX_BETAS = [
+  'computer-use-2024-10-22',
+  'computer-use-2025-01-24',
+  'token-efficient-tools-2025-02-19',
+  'interleaved-thinking-2025-05-14',
+  'context-1m-2025-08-07'
+];
+
+// Per-model region overrides, keyed by ModelConfig entry
+const VERTEX_REGION_ENV = {
+  CLAUDE_3_7_SONNET: 'VERTEX_REGION_CLAUDE_3_7_SONNET',
+  CLAUDE_3_5_SONNET: 'VERTEX_REGION_CLAUDE_3_5_SONNET',
+  CLAUDE_3_5_HAIKU: 'VERTEX_REGION_CLAUDE_3_5_HAIKU',
+  CLAUDE_SONNET_4: 'VERTEX_REGION_CLAUDE_4_0_SONNET',
+  CLAUDE_OPUS_4: 'VERTEX_REGION_CLAUDE_4_0_OPUS',
+  CLAUDE_OPUS_4_1: 'VERTEX_REGION_CLAUDE_4_1_OPUS'
+};
 
 /**
- * Model configurations
+ * Model configurations, keyed by name
  * Original: lines 14150-14180
  */
-export const ModelConfig = {
-  CLAUDE_3_7_SONNET: {
-    firstParty: 'claude-3-7-sonnet-20250219',
-    bedrock: 'us.anthropic.claude-3-7-sonnet-20250219-v1:0',
-    vertex: 'claude-3-7-sonnet@20250219',
-    maxTokens: 200000,
-    outputLimit: 8192
-  },
-  CLAUDE_3_5_SONNET: {
-    firstParty: 'claude-3-5-sonnet-20241022',
-    bedrock: 'anthropic.claude-3-5-sonnet-20241022-v2:0',
-    vertex: 'claude-3-5-sonnet-v2@20241022',
-    maxTokens: 200000,
-    outputLimit: 8192
-  },
-  CLAUDE_3_5_HAIKU: {
-    firstParty: 'claude-3-5-haiku-20241022',
-    bedrock: 'us.anthropic.claude-3-5-haiku-20241022-v1:0',
-    vertex: 'claude-3-5-haiku@20241022',
-    maxTokens: 200000,
-    outputLimit: 8192
-  },
-  CLAUDE_SONNET_4: {
-    firstParty: 'claude-sonnet-4-20250514',
-    bedrock: 'us.anthropic.claude-sonnet-4-20250514-v1:0',
-    vertex: 'claude-sonnet-4@20250514',
-    maxTokens: 200000,
-    outputLimit: 8192
-  },
-  CLAUDE_OPUS_4: {
-    firstParty: 'claude-opus-4-20250514',
-    bedrock: 'us.anthropic.claude-opus-4-20250514-v1:0',
-    vertex: 'claude-opus-4@20250514',
-    maxTokens: 200000,
-    outputLimit: 8192
-  },
-  CLAUDE_OPUS_4_1: {
-    firstParty: 'claude-opus-4-1-20250805',
-    bedrock: 'us.anthropic.claude-opus-4-1-20250805-v1:0',
-    vertex: 'claude-opus-4-1@20250805',
-    maxTokens: 200000,
-    outputLimit: 8192
-  }
-};
+export const ModelConfig = Object.fromEntries(
+  listModels({ includeRetired: true })
+    .filter(info => info.key)
+    .map(info => [info.key, info])
+);
+
+/**
+ * Find model configuration by alias or any platform identifier
+ */
+export function getModelConfig(model) {
+  return getModelInfo(model);
+}
 
 /**
  * Model availability dates
  * Original: lines 12978-12983, 13460-13465
  */
-export const ModelAvailability = {
-  'claude-3-sonnet-20240229': 'July 21st, 2025',
-  'claude-3-opus-20240229': 'January 5th, 2026',
-  'claude-3-5-sonnet-20241022': 'October 22, 2025',
-  'claude-3-5-sonnet-20240620': 'October 22, 2025'
-};
+export const ModelAvailability = Object.fromEntries(
+  listModels({ includeRetired: true })
+    .filter(info => info.retirementDate)
+    .map(info => [
+      info.firstParty,
+      new Date(info.retirementDate).toLocaleDateString('en-US', {
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        timeZone: 'UTC'
+      })
+    ])
+);
 
 /**
  * Get friendly model name
@@ -78,6 +98,10 @@ export function getModelDisplayName(model) {
   if (modelLower.includes('claude-sonnet-4') && modelLower.includes('[1m]')) {
     return 'Sonnet 4 (with 1M token context)';
   }
+
+  const modelInfo = getModelInfo(model);
+  if (modelInfo) return modelInfo.name;
+
   if (modelLower.includes('claude-sonnet-4')) return 'Sonnet 4';
   if (modelLower.includes('claude-opus-4-1')) return 'Opus 4.1';
   if (modelLower.includes('claude-opus-4')) return 'Opus 4';
@@ -88,6 +112,29 @@ export function getModelDisplayName(model) {
   return model;
 }
 
+/**
+ * Check if a boolean environment flag is set
+ */
+function isEnvEnabled(value) {
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+// Settings a gateway is read from, highest priority first. A checked-in
+// project file could otherwise send requests and OPENAI_API_KEY to any host
+const GATEWAY_SOURCES = ['policySettings', 'userSettings'];
+
+/**
+ * Get the OpenAI-compatible gateway from policy or user settings
+ */
+export function getGatewaySettings() {
+  for (const source of GATEWAY_SOURCES) {
+    const gateway = loadConfig(source)?.gateway;
+    if (gateway) return gateway;
+  }
+
+  return {};
+}
+
 /**
  * Client configuration
  */
@@ -95,15 +142,23 @@ export class ClientConfig {
   constructor(options = {}) {
     this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
     this.authToken = options.authToken;
-    this.baseURL = options.baseURL || 'https://api.anthropic.com';
+    this.baseURL = (options.baseURL || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
     this.timeout = options.timeout || 600000; // 10 minutes
     this.maxRetries = options.maxRetries ?? 2;
     this.dangerouslyAllowBrowser = options.dangerouslyAllowBrowser || true;
     this.defaultHeaders = options.defaultHeaders || {};
     this.logLevel = options.logLevel || 'info';
-    this.useBedrock = options.useBedrock || process.env.CLAUDE_CODE_USE_BEDROCK === 'true';
-    this.useVertex = options.useVertex || process.env.CLAUDE_CODE_USE_VERTEX === 'true';
-    this.model = options.model || 'claude-3-5-sonnet-20241022';
+    this.useBedrock = options.useBedrock || isEnvEnabled(process.env.CLAUDE_CODE_USE_BEDROCK);
+    this.useVertex = options.useVertex || isEnvEnabled(process.env.CLAUDE_CODE_USE_VERTEX);
+    this.awsRegion = options.awsRegion;
+    this.vertexRegion = options.vertexRegion;
+    this.vertexRegions = options.vertexRegions || {};
+    this.vertexProjectId = options.vertexProjectId;
+    // OpenAI-compatible gateway: { type: 'openai', baseURL, apiKey, model, models, headers }
+    this.gateway = options.gateway || getGatewaySettings();
+    this.useOpenAI = options.useOpenAI || isEnvEnabled(process.env.CLAUDE_CODE_USE_OPENAI) ||
+      this.gateway.type === 'openai';
+    this.model = resolveModelAlias(options.model) || getDefaultModel();
     this.isNonInteractiveSession = options.isNonInteractiveSession || false;
     this.isSmallFastModel = options.isSmallFastModel || false;
   }
@@ -188,12 +243,12 @@ export class AnthropicClient extends EventEmitter {
   selectModel(options = {}) {
     // Check for small/fast model requirement
     if (options.isSmallFastModel || this.config.isSmallFastModel) {
-      return this.getModelIdentifier(ModelConfig.CLAUDE_3_5_HAIKU);
+      return this.getModelIdentifier(getModelInfo('haiku'));
     }
 
     // Check for specific model override
     if (options.model) {
-      return options.model;
+      return resolveModelAlias(options.model);
     }
 
     // Use configured model
@@ -214,24 +269,22 @@ export class AnthropicClient extends EventEmitter {
   }
 
   /**
-   * Create message request
-   * Original: makeRequest pattern from line 13606
+   * Build Messages API request body
    */
-  async createMessage(options) {
-    const model = this.selectModel(options);
-    const headers = await this.buildHeaders();
-
+  buildMessageRequest(options, stream) {
     const request = {
-      model,
+      model: this.selectModel(options),
       messages: options.messages,
       max_tokens: options.maxTokens || 4096,
-      temperature: options.temperature ?? 0,
-      stream: options.stream ?? false,
+      // Thinking requires the default temperature
+      temperature: options.thinking ? undefined : options.temperature ?? 0,
+      stream,
       system: options.system,
       metadata: options.metadata,
       stop_sequences: options.stopSequences,
       tools: options.tools,
-      tool_choice: options.toolChoice
+      tool_choice: options.toolChoice,
+      thinking: options.thinking
     };
 
     // Clean undefined values
@@ -241,11 +294,158 @@ export class AnthropicClient extends EventEmitter {
       }
     });
 
-    return this.executeRequest('/v1/messages', {
+    return request;
+  }
+
+  /**
+   * Build headers for a Messages API request
+   */
+  async buildMessageHeaders(options) {
+    const headers = await this.buildHeaders();
+
+    if (options.betas?.length) {
+      headers['anthropic-beta'] = options.betas.join(',');
+    }
+
+    return headers;
+  }
+
+  /**
+   * Get endpoint path for a Messages API request
+   */
+  getMessagesPath(request) {
+    return '/v1/messages';
+  }
+
+  /**
+   * Convert a Messages API request into the provider's body format
+   */
+  formatMessageRequest(request, options) {
+    return request;
+  }
+
+  /**
+   * Sign a request before it is sent
+   * Returns the headers to send
+   */
+  async signRequest(url, options) {
+    return options.headers;
+  }
+
+  /**
+   * Create message request
+   * Original: makeRequest pattern from line 13606
+   */
+  async createMessage(options) {
+    const request = this.buildMessageRequest(options, options.stream ?? false);
+
+    return this.executeRequest(this.getMessagesPath(request), {
+      method: 'POST',
+      headers: await this.buildMessageHeaders(options),
+      body: JSON.stringify(this.formatMessageRequest(request, options)),
+      stream: options.stream,
+      signal: options.signal
+    });
+  }
+
+  /**
+   * Stream a message
+   * Yields raw SSE events: message_start, content_block_*, message_delta, message_stop
+   */
+  async *streamMessage(options) {
+    const request = this.buildMessageRequest(options, true);
+
+    const stream = await this.executeRequest(this.getMessagesPath(request), {
+      method: 'POST',
+      headers: await this.buildMessageHeaders(options),
+      body: JSON.stringify(this.formatMessageRequest(request, options)),
+      stream: true,
+      signal: options.signal
+    });
+
+    yield* stream;
+  }
+
+  /**
+   * Stream a message and return the accumulated result
+   * Same shape as a non-streaming Messages API response
+   */
+  async accumulateMessage(options) {
+    let message = null;
+    const partialJson = new Map();
+
+    for await (const event of this.streamMessage(options)) {
+      switch (event.type) {
+        case 'message_start':
+          message = { ...event.message, content: [] };
+          break;
+
+        case 'content_block_start':
+          message.content[event.index] = { ...event.content_block };
+          break;
+
+        case 'content_block_delta': {
+          const block = message.content[event.index];
+
+          if (event.delta.type === 'text_delta') {
+            block.text += event.delta.text;
+          } else if (event.delta.type === 'thinking_delta') {
+            block.thinking += event.delta.thinking;
+          } else if (event.delta.type === 'signature_delta') {
+            block.signature = (block.signature || '') + event.delta.signature;
+          } else if (event.delta.type === 'input_json_delta') {
+            partialJson.set(event.index, (partialJson.get(event.index) || '') + event.delta.partial_json);
+          }
+          break;
+        }
+
+        case 'content_block_stop':
+          if (partialJson.has(event.index)) {
+            message.content[event.index].input = JSON.parse(partialJson.get(event.index));
+          }
+          break;
+
+        case 'message_delta':
+          Object.assign(message, event.delta);
+          message.usage = { ...message.usage, ...event.usage };
+          break;
+
+        case 'error':
+          throw new Error(event.error.message);
+      }
+    }
+
+    if (!message) {
+      throw new Error('Stream ended before the message started');
+    }
+
+    return message;
+  }
+
+  /**
+   * Count input tokens for a request without creating a message
+   */
+  async countTokens(options) {
+    const headers = await this.buildHeaders();
+    headers['anthropic-beta'] = 'token-counting-2024-11-01';
+
+    const request = {
+      model: this.selectModel(options),
+      messages: options.messages,
+      system: options.system,
+      tools: options.tools
+    };
+
+    Object.keys(request).forEach(key => {
+      if (request[key] === undefined) {
+        delete request[key];
+      }
+    });
+
+    return this.executeRequest('/v1/messages/count_tokens', {
       method: 'POST',
       headers,
-      body: JSON.stringify(request),
-      stream: options.stream
+      body: JSON.stringify(request)
     });
   }
 
@@ -254,7 +454,8 @@ export class AnthropicClient extends EventEmitter {
    * Original: makeRequest implementation from lines 13606-13650
    */
   async executeRequest(path, options) {
-    const url = `${this.config.baseURL}${path}`;
+    // Providers with per-model hosts pass absolute URLs
+    const url = /^https?:\/\//.test(path) ? path : `${this.config.baseURL}${path}`;
     const requestId = this.generateRequestId();
 
     this.logger.debug(`[${requestId}] Sending request`, {
@@ -266,14 +467,22 @@ export class AnthropicClient extends EventEmitter {
     try {
       const response = await this.errorRecovery.executeWithRetry(
         async (attempt) => {
+          if (options.signal?.aborted) {
+            throw new Error('Request aborted');
+          }
+
           const controller = new AbortController();
           this.abortControllers.set(requestId, controller);
 
           const fetchOptions = {
             method: options.method,
-            headers: options.headers,
+            // Signed per attempt so signatures carry a fresh timestamp
+            headers: await this.signRequest(url, options),
             body: options.body,
-            signal: controller.signal
+            // Caller aborts cancel the request and any stream it returned
+            signal: options.signal
+              ? AbortSignal.any([controller.signal, options.signal])
+              : controller.signal
           };
 
           // Add timeout
@@ -301,6 +510,7 @@ export class AnthropicClient extends EventEmitter {
         },
         {
           maxRetries: options.maxRetries ?? this.config.maxRetries,
+          signal: options.signal,
           onRetry: (attempt, error) => {
             this.logger.warn(`[${requestId}] Retrying request`, {
               attempt,
@@ -378,10 +588,12 @@ export class AnthropicClient extends EventEmitter {
       errorBody = { message: await response.text() };
     }
 
-    const error = new Error(errorBody.message || `HTTP ${response.status}`);
+    const error = new Error(errorBody.error?.message || errorBody.message || `HTTP ${response.status}`);
     error.status = response.status;
     error.headers = response.headers;
     error.body = errorBody;
+    // Retry logic reads status and retry headers from the response
+    error.response = response;
 
     // Check for rate limit
     if (response.status === 429) {
@@ -438,40 +650,394 @@ export class AnthropicClient extends EventEmitter {
 }
 
 /**
- * Create Anthropic client instance
- * Original: createAnthropicClient function from line 15899
+ * AWS Bedrock client
+ * Sends Messages API requests to Bedrock invoke endpoints, signed with SigV4
  */
-export async function createAnthropicClient(options = {}) {
-  const config = new ClientConfig(options);
+export class BedrockClient extends AnthropicClient {
+  constructor(config = new ClientConfig()) {
+    super(config);
+    this.region = config.awsRegion || getAwsRegion();
+    this.credentialProvider = config.credentialProvider || new AwsCredentialProvider();
+    this.config.baseURL = (process.env.ANTHROPIC_BEDROCK_BASE_URL ||
+      `https://bedrock-runtime.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+  }
 
-  // Platform-specific configuration
-  if (config.useBedrock) {
-    return createBedrockClient(config);
+  /**
+   * Build request headers
+   * Bedrock authenticates with SigV4, not API keys
+   */
+  async buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...this.config.defaultHeaders,
+      ...this.getCustomHeaders()
+    };
   }
 
-  if (config.useVertex) {
-    return createVertexClient(config);
+  /**
+   * Betas are sent in the body on Bedrock
+   */
+  async buildMessageHeaders() {
+    return this.buildHeaders();
   }
 
-  // Standard Anthropic client
-  return new AnthropicClient(config);
+  /**
+   * Map first-party model names to Bedrock model ids
+   * Bedrock ids and inference profile ARNs pass through unchanged
+   */
+  selectModel(options = {}) {
+    const model = super.selectModel(options);
+    return getModelConfig(model)?.bedrock || model;
+  }
+
+  /**
+   * Get invoke endpoint path for a model
+   */
+  getMessagesPath(request) {
+    const action = request.stream ? 'invoke-with-response-stream' : 'invoke';
+    return `/model/${encodeURIComponent(request.model)}/${action}`;
+  }
+
+  /**
+   * Convert request into Bedrock's body format
+   * Model and stream are part of the path
+   */
+  formatMessageRequest(request, options) {
+    const { model, stream, ...body } = request;
+    const betas = (options.betas || []).filter(beta => BEDROCK_BETAS.includes(beta));
+
+    return {
+      anthropic_version: BEDROCK_ANTHROPIC_VERSION,
+      ...body,
+      ...(betas.length > 0 && { anthropic_beta: betas })
+    };
+  }
+
+  /**
+   * Sign request with SigV4
+   * CLAUDE_CODE_SKIP_BEDROCK_AUTH leaves signing to a gateway
+   */
+  async signRequest(url, options) {
+    if (isEnvEnabled(process.env.CLAUDE_CODE_SKIP_BEDROCK_AUTH)) {
+      return options.headers;
+    }
+
+    return signAwsRequest({
+      method: options.method,
+      url,
+      headers: options.headers,
+      body: options.body,
+      credentials: await this.credentialProvider.getCredentials(),
+      region: this.region,
+      service: 'bedrock'
+    });
+  }
+
+  /**
+   * Token counting is not available on Bedrock
+   */
+  async countTokens() {
+    throw new Error('Token counting is not supported on Bedrock');
+  }
+
+  /**
+   * Decode Bedrock's binary event stream into Messages API events
+   */
+  async *handleStreamResponse(response, controller) {
+    const reader = response.body.getReader();
+    const decoder = new EventStreamDecoder();
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+
+        if (done) break;
+
+        for (const message of decoder.push(value)) {
+          const event = this.decodeStreamMessage(message);
+          if (event) yield event;
+        }
+      }
+
+      if (decoder.hasPartialMessage()) {
+        throw new Error('Bedrock stream ended in the middle of a message');
+      }
+    } finally {
+      controller.abort();
+    }
+  }
+
+  /**
+   * Decode one event stream message
+   * Chunks wrap a base64 encoded Messages API event
+   */
+  decodeStreamMessage({ headers, payload }) {
+    const body = payload.length > 0 ? JSON.parse(payload.toString('utf8')) : {};
+    const messageType = headers[':message-type'];
+
+    if (messageType === 'exception' || messageType === 'error') {
+      const error = new Error(body.message || headers[':error-message'] || 'Bedrock stream error');
+      error.type = headers[':exception-type'] || headers[':error-code'];
+      throw error;
+    }
+
+    if (headers[':event-type'] !== 'chunk' || !body.bytes) {
+      return null;
+    }
+
+    return JSON.parse(Buffer.from(body.bytes, 'base64').toString('utf8'));
+  }
 }
 
 /**
- * Create Bedrock client (AWS)
+ * Google Vertex AI client
+ * Sends Messages API requests to rawPredict endpoints with OAuth tokens
  */
-function createBedrockClient(config) {
-  // This would integrate with AWS Bedrock
-  config.baseURL = 'https://bedrock-runtime.amazonaws.com';
-  return new AnthropicClient(config);
+export class VertexClient extends AnthropicClient {
+  constructor(config = new ClientConfig()) {
+    super(config);
+    this.region = config.vertexRegion || process.env.CLOUD_ML_REGION || DEFAULT_VERTEX_REGION;
+    this.credentialProvider = config.credentialProvider || new GoogleCredentialProvider();
+  }
+
+  /**
+   * Build request headers
+   * Vertex authenticates with OAuth access tokens, added when signing
+   */
+  async buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...this.config.defaultHeaders,
+      ...this.getCustomHeaders()
+    };
+  }
+
+  /**
+   * Only send betas Vertex accepts
+   */
+  async buildMessageHeaders(options) {
+    const betas = (options.betas || []).filter(beta => VERTEX_BETAS.includes(beta));
+    return super.buildMessageHeaders({ ...options, betas });
+  }
+
+  /**
+   * Map first-party model names to Vertex model ids
+   */
+  selectModel(options = {}) {
+    const model = super.selectModel(options);
+    return getModelConfig(model)?.vertex || model;
+  }
+
+  /**
+   * Get region for a model
+   * Config and VERTEX_REGION_* overrides win over CLOUD_ML_REGION
+   */
+  getRegion(model) {
+    if (this.config.vertexRegions[model]) {
+      return this.config.vertexRegions[model];
+    }
+
+    const key = getModelConfig(model)?.key;
+    return (key && process.env[VERTEX_REGION_ENV[key]]) || this.region;
+  }
+
+  /**
+   * Get Google Cloud project id
+   */
+  getProjectId() {
+    if (this.config.vertexProjectId) return this.config.vertexProjectId;
+
+    let projectId = null;
+    try {
+      projectId = this.credentialProvider.getProjectId();
+    } catch {
+      // Reported below with the variable to set
+    }
+
+    if (!projectId) {
+      throw new Error('No Google Cloud project found for Vertex AI. Set ANTHROPIC_VERTEX_PROJECT_ID');
+    }
+    return projectId;
+  }
+
+  /**
+   * Get API base URL for a region
+   * The global region has no regional host prefix
+   */
+  getBaseURL(region) {
+    if (process.env.ANTHROPIC_VERTEX_BASE_URL) {
+      return process.env.ANTHROPIC_VERTEX_BASE_URL.replace(/\/+$/, '');
+    }
+
+    const host = region === 'global' ? 'aiplatform.googleapis.com' : `${region}-aiplatform.googleapis.com`;
+    return `https://${host}/v1`;
+  }
+
+  /**
+   * Get rawPredict URL for a model
+   * Absolute, since the host depends on the model's region
+   */
+  getMessagesPath(request) {
+    const region = this.getRegion(request.model);
+    const action = request.stream ? 'streamRawPredict' : 'rawPredict';
+
+    return `${this.getBaseURL(region)}/projects/${this.getProjectId()}/locations/${region}` +
+      `/publishers/anthropic/models/${request.model}:${action}`;
+  }
+
+  /**
+   * Convert request into Vertex's body format
+   * The model is part of the URL
+   */
+  formatMessageRequest(request) {
+    const { model, ...body } = request;
+
+    return {
+      anthropic_version: VERTEX_ANTHROPIC_VERSION,
+      ...body
+    };
+  }
+
+  /**
+   * Add OAuth bearer token
+   * CLAUDE_CODE_SKIP_VERTEX_AUTH leaves authentication to a gateway
+   */
+  async signRequest(url, options) {
+    if (isEnvEnabled(process.env.CLAUDE_CODE_SKIP_VERTEX_AUTH)) {
+      return options.headers;
+    }
+
+    return {
+      ...options.headers,
+      Authorization: `Bearer ${await this.credentialProvider.getAccessToken()}`
+    };
+  }
+
+  /**
+   * Token counting is not available on Vertex
+   */
+  async countTokens() {
+    throw new Error('Token counting is not supported on Vertex AI');
+  }
 }
 
 /**
- * Create Vertex client (Google Cloud)
+ * OpenAI-compatible client
+ * Sends requests to a /v1/chat/completions gateway and translates the
+ * responses back into Messages API shapes
  */
-function createVertexClient(config) {
-  // This would integrate with Vertex AI
-  config.baseURL = 'https://vertex.googleapis.com';
+export class OpenAICompatibleClient extends AnthropicClient {
+  constructor(config = new ClientConfig()) {
+    super(config);
+    this.gateway = config.gateway;
+    this.apiKey = this.gateway.apiKey || process.env.OPENAI_API_KEY;
+    this.config.baseURL = (this.gateway.baseURL || process.env.OPENAI_BASE_URL ||
+      'http://localhost:4000').replace(/\/+$/, '');
+  }
+
+  /**
+   * Build request headers
+   */
+  async buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      ...this.config.defaultHeaders,
+      ...this.gateway.headers,
+      ...this.getCustomHeaders()
+    };
+  }
+
+  /**
+   * Betas have no chat completions equivalent
+   */
+  async buildMessageHeaders() {
+    return this.buildHeaders();
+  }
+
+  /**
+   * Map model names to gateway model names
+   * Per-model mappings win over a single gateway model
+   */
+  selectModel(options = {}) {
+    const model = super.selectModel(options);
+    return this.gateway.models?.[model] || this.gateway.model || process.env.OPENAI_MODEL || model;
+  }
+
+  /**
+   * Get chat completions path
+   * Base URLs may or may not include the /v1 prefix
+   */
+  getMessagesPath() {
+    return this.config.baseURL.endsWith('/v1') ? '/chat/completions' : '/v1/chat/completions';
+  }
+
+  /**
+   * Convert request into a chat completions request
+   */
+  formatMessageRequest(request) {
+    return toChatCompletionRequest(request);
+  }
+
+  /**
+   * Create message, translating non-streaming responses
+   */
+  async createMessage(options) {
+    const response = await super.createMessage(options);
+    return options.stream ? response : fromChatCompletion(response);
+  }
+
+  /**
+   * Token counting is not available on chat completions gateways
+   */
+  async countTokens() {
+    throw new Error('Token counting is not supported on OpenAI-compatible gateways');
+  }
+
+  /**
+   * Translate chat completion chunks into Messages API events
+   */
+  async *handleStreamResponse(response, controller) {
+    const translator = new ChatCompletionStreamTranslator();
+
+    for await (const chunk of super.handleStreamResponse(response, controller)) {
+      yield* translator.push(chunk);
+    }
+
+    yield* translator.finish();
+  }
+}
+
+/**
+ * Check if requests go to Bedrock, Vertex or an OpenAI-compatible gateway
+ * These authenticate without an Anthropic API key
+ */
+export function usesThirdPartyProvider(options = {}) {
+  const config = new ClientConfig(options);
+  return config.useBedrock || config.useVertex || config.useOpenAI;
+}
+
+/**
+ * Create Anthropic client instance
+ * Original: createAnthropicClient function from line 15899
+ */
+export function createAnthropicClient(options = {}) {
+  const config = new ClientConfig(options);
+
+  // Platform-specific configuration
+  if (config.useBedrock) {
+    return new BedrockClient(config);
+  }
+
+  if (config.useVertex) {
+    return new VertexClient(config);
+  }
+
+  if (config.useOpenAI) {
+    return new OpenAICompatibleClient(config);
+  }
+
+  // Standard Anthropic client
   return new AnthropicClient(config);
 }
 
@@ -525,9 +1091,15 @@ export class StreamProcessor {
 export default {
   ModelConfig,
   ModelAvailability,
+  getModelConfig,
   getModelDisplayName,
+  getGatewaySettings,
   ClientConfig,
   AnthropicClient,
+  BedrockClient,
+  VertexClient,
+  OpenAICompatibleClient,
+  usesThirdPartyProvider,
   createAnthropicClient,
   StreamProcessor
 };
\ No newline at end of file
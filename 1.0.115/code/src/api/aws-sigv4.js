@@ -0,0 +1,159 @@
+/**
+ * AWS Signature Version 4
+ * Request signing for AWS services such as Bedrock
+ */
+
+import { createHash, createHmac } from 'crypto';
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+/**
+ * Hex encoded SHA-256
+ */
+function sha256Hex(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ */
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI encode per RFC 3986, as SigV4 requires
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char =>
+    `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Encode a URL path, one segment at a time
+ */
+function encodePath(path) {
+  return path.split('/').map(uriEncode).join('/');
+}
+
+/**
+ * Format date as YYYYMMDDTHHMMSSZ
+ */
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Derive the signing key for a day, region and service
+ */
+function getSigningKey(secretAccessKey, dateStamp, region, service) {
+  const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  return hmac(serviceKey, 'aws4_request');
+}
+
+/**
+ * Build the canonical query string
+ */
+function getCanonicalQuery(searchParams) {
+  return [...searchParams.entries()]
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([a, aValue], [b, bValue]) => a < b ? -1 : a > b ? 1 : aValue < bValue ? -1 : 1)
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+/**
+ * Build the canonical request
+ * Paths are encoded again on top of the URL encoding, except for S3
+ */
+function getCanonicalRequest({ method, url, headers, payloadHash, service }) {
+  const canonicalHeaders = Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => a < b ? -1 : 1);
+
+  const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+  const canonicalPath = service === 's3' ? url.pathname : encodePath(url.pathname);
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalPath || '/',
+    getCanonicalQuery(url.searchParams),
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  return { canonicalRequest, signedHeaders };
+}
+
+/**
+ * Compute the signature of a request
+ */
+function getSignature({ method, url, headers, body = '', credentials, region, service, amzDate }) {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const { canonicalRequest, signedHeaders } = getCanonicalRequest({
+    method,
+    url,
+    headers,
+    payloadHash: sha256Hex(body),
+    service
+  });
+
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = getSigningKey(credentials.secretAccessKey, dateStamp, region, service);
+
+  return {
+    signature: createHmac('sha256', signingKey).update(stringToSign).digest('hex'),
+    signedHeaders,
+    scope
+  };
+}
+
+/**
+ * Sign a request
+ * Returns the headers to send, including Authorization
+ */
+function signRequest({ method = 'POST', url, headers = {}, body = '', credentials, region, service, date = new Date() }) {
+  const parsedUrl = new URL(url);
+  const amzDate = toAmzDate(date);
+
+  const signedHeaders = {
+    ...headers,
+    host: parsedUrl.host,
+    'x-amz-date': amzDate
+  };
+
+  if (credentials.sessionToken) {
+    signedHeaders['x-amz-security-token'] = credentials.sessionToken;
+  }
+
+  const { signature, signedHeaders: signedHeaderNames, scope } = getSignature({
+    method,
+    url: parsedUrl,
+    headers: signedHeaders,
+    body,
+    credentials,
+    region,
+    service,
+    amzDate
+  });
+
+  signedHeaders.authorization = `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, ` +
+    `SignedHeaders=${signedHeaderNames}, Signature=${signature}`;
+
+  return signedHeaders;
+}
+
+export {
+  signRequest,
+  getSignature,
+  getCanonicalRequest,
+  getSigningKey,
+  encodePath,
+  uriEncode,
+  toAmzDate
+};
\ No newline at end of file
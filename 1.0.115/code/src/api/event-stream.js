@@ -0,0 +1,209 @@
+/**
+ * AWS Event Stream Decoder
+ * Decodes the binary application/vnd.amazon.eventstream framing
+ *
+ * Each message is: total length (4), headers length (4), prelude CRC (4),
+ * headers, payload, message CRC (4). All integers are big-endian.
+ */
+
+const PRELUDE_LENGTH = 12;
+const CRC_LENGTH = 4;
+
+// Header value types
+const HeaderType = {
+  TRUE: 0,
+  FALSE: 1,
+  BYTE: 2,
+  SHORT: 3,
+  INTEGER: 4,
+  LONG: 5,
+  BYTES: 6,
+  STRING: 7,
+  TIMESTAMP: 8,
+  UUID: 9
+};
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a buffer
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let c = i;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[i] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Decode message headers
+ */
+function decodeHeaders(buffer) {
+  const headers = {};
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const nameLength = buffer.readUInt8(offset);
+    offset += 1;
+    const name = buffer.toString('utf8', offset, offset + nameLength);
+    offset += nameLength;
+    const type = buffer.readUInt8(offset);
+    offset += 1;
+
+    switch (type) {
+      case HeaderType.TRUE:
+        headers[name] = true;
+        break;
+      case HeaderType.FALSE:
+        headers[name] = false;
+        break;
+      case HeaderType.BYTE:
+        headers[name] = buffer.readInt8(offset);
+        offset += 1;
+        break;
+      case HeaderType.SHORT:
+        headers[name] = buffer.readInt16BE(offset);
+        offset += 2;
+        break;
+      case HeaderType.INTEGER:
+        headers[name] = buffer.readInt32BE(offset);
+        offset += 4;
+        break;
+      case HeaderType.LONG:
+        headers[name] = buffer.readBigInt64BE(offset);
+        offset += 8;
+        break;
+      case HeaderType.TIMESTAMP:
+        headers[name] = new Date(Number(buffer.readBigInt64BE(offset)));
+        offset += 8;
+        break;
+      case HeaderType.BYTES:
+      case HeaderType.STRING: {
+        const length = buffer.readUInt16BE(offset);
+        offset += 2;
+        const value = buffer.subarray(offset, offset + length);
+        headers[name] = type === HeaderType.STRING ? value.toString('utf8') : value;
+        offset += length;
+        break;
+      }
+      case HeaderType.UUID:
+        headers[name] = buffer.subarray(offset, offset + 16).toString('hex');
+        offset += 16;
+        break;
+      default:
+        throw new Error(`Unknown event stream header type: ${type}`);
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Decode one complete message
+ */
+function decodeMessage(buffer) {
+  const totalLength = buffer.readUInt32BE(0);
+  const headersLength = buffer.readUInt32BE(4);
+
+  if (buffer.readUInt32BE(8) !== crc32(buffer.subarray(0, 8))) {
+    throw new Error('Event stream prelude checksum mismatch');
+  }
+  if (buffer.readUInt32BE(totalLength - CRC_LENGTH) !== crc32(buffer.subarray(0, totalLength - CRC_LENGTH))) {
+    throw new Error('Event stream message checksum mismatch');
+  }
+
+  const headersEnd = PRELUDE_LENGTH + headersLength;
+
+  return {
+    headers: decodeHeaders(buffer.subarray(PRELUDE_LENGTH, headersEnd)),
+    payload: buffer.subarray(headersEnd, totalLength - CRC_LENGTH)
+  };
+}
+
+/**
+ * Encode a message with string headers
+ * Used by local stand-ins that emulate AWS streaming endpoints
+ */
+function encodeMessage(headers, payload) {
+  const headerParts = Object.entries(headers).map(([name, value]) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const valueBuffer = Buffer.from(String(value), 'utf8');
+    const header = Buffer.alloc(1 + nameBuffer.length + 1 + 2 + valueBuffer.length);
+
+    let offset = header.writeUInt8(nameBuffer.length, 0);
+    offset += nameBuffer.copy(header, offset);
+    offset = header.writeUInt8(HeaderType.STRING, offset);
+    offset = header.writeUInt16BE(valueBuffer.length, offset);
+    valueBuffer.copy(header, offset);
+
+    return header;
+  });
+
+  const headerBuffer = Buffer.concat(headerParts);
+  const payloadBuffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  const totalLength = PRELUDE_LENGTH + headerBuffer.length + payloadBuffer.length + CRC_LENGTH;
+
+  const message = Buffer.alloc(totalLength);
+  message.writeUInt32BE(totalLength, 0);
+  message.writeUInt32BE(headerBuffer.length, 4);
+  message.writeUInt32BE(crc32(message.subarray(0, 8)), 8);
+  headerBuffer.copy(message, PRELUDE_LENGTH);
+  payloadBuffer.copy(message, PRELUDE_LENGTH + headerBuffer.length);
+  message.writeUInt32BE(crc32(message.subarray(0, totalLength - CRC_LENGTH)), totalLength - CRC_LENGTH);
+
+  return message;
+}
+
+/**
+ * Event stream decoder
+ * Buffers chunks and yields complete messages
+ */
+class EventStreamDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Add a chunk and return any messages it completes
+   */
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, Buffer.from(chunk)]);
+    const messages = [];
+
+    while (this.buffer.length >= PRELUDE_LENGTH) {
+      const totalLength = this.buffer.readUInt32BE(0);
+      if (this.buffer.length < totalLength) break;
+
+      messages.push(decodeMessage(this.buffer.subarray(0, totalLength)));
+      this.buffer = this.buffer.subarray(totalLength);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Check for a truncated trailing message
+   */
+  hasPartialMessage() {
+    return this.buffer.length > 0;
+  }
+}
+
+export {
+  EventStreamDecoder,
+  decodeMessage,
+  encodeMessage,
+  crc32
+};
\ No newline at end of file
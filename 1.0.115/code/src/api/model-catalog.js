@@ -0,0 +1,314 @@
+/**
+ * Model Catalog
+ * Known models with their aliases, limits, pricing and capabilities
+ *
+ * Settings can add models or override fields of built-in ones:
+ *   models        { '<model id>': { name, family, bedrock, vertex, contextWindow,
+ *                   outputLimit, pricing, supportsThinking, supportsVision, retirementDate } }
+ *   modelAliases  { '<alias>': '<model id>' }
+ *
+ * Pricing is USD per million tokens. retirementDate is the day the API
+ * stops serving a deprecated model.
+ */
+
+import { getGlobalConfig } from '../config/configuration-system.js';
+
+const DEFAULT_CONTEXT_WINDOW = 200000;
+const DEFAULT_OUTPUT_LIMIT = 8192;
+
+const OPUS_PRICING = { input: 15.00, output: 75.00, cacheWrite: 18.75, cacheRead: 1.50 };
+const SONNET_PRICING = { input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 };
+
+// Keyed by first-party model id; key is the ModelConfig name
+const BUILTIN_MODELS = {
+  'claude-opus-4-1-20250805': {
+    key: 'CLAUDE_OPUS_4_1',
+    name: 'Opus 4.1',
+    family: 'opus',
+    bedrock: 'us.anthropic.claude-opus-4-1-20250805-v1:0',
+    vertex: 'claude-opus-4-1@20250805',
+    contextWindow: 200000,
+    outputLimit: 32000,
+    pricing: OPUS_PRICING,
+    supportsThinking: true,
+    supportsVision: true
+  },
+  'claude-opus-4-20250514': {
+    key: 'CLAUDE_OPUS_4',
+    name: 'Opus 4',
+    family: 'opus',
+    bedrock: 'us.anthropic.claude-opus-4-20250514-v1:0',
+    vertex: 'claude-opus-4@20250514',
+    contextWindow: 200000,
+    outputLimit: 32000,
+    pricing: OPUS_PRICING,
+    supportsThinking: true,
+    supportsVision: true
+  },
+  'claude-sonnet-4-20250514': {
+    key: 'CLAUDE_SONNET_4',
+    name: 'Sonnet 4',
+    family: 'sonnet',
+    bedrock: 'us.anthropic.claude-sonnet-4-20250514-v1:0',
+    vertex: 'claude-sonnet-4@20250514',
+    contextWindow: 200000,
+    outputLimit: 64000,
+    pricing: SONNET_PRICING,
+    supportsThinking: true,
+    supportsVision: true
+  },
+  'claude-3-7-sonnet-20250219': {
+    key: 'CLAUDE_3_7_SONNET',
+    name: 'Claude 3.7 Sonnet',
+    family: 'sonnet',
+    bedrock: 'us.anthropic.claude-3-7-sonnet-20250219-v1:0',
+    vertex: 'claude-3-7-sonnet@20250219',
+    contextWindow: 200000,
+    outputLimit: 64000,
+    pricing: SONNET_PRICING,
+    supportsThinking: true,
+    supportsVision: true
+  },
+  'claude-3-5-sonnet-20241022': {
+    key: 'CLAUDE_3_5_SONNET',
+    name: 'Claude 3.5 Sonnet',
+    family: 'sonnet',
+    bedrock: 'anthropic.claude-3-5-sonnet-20241022-v2:0',
+    vertex: 'claude-3-5-sonnet-v2@20241022',
+    contextWindow: 200000,
+    outputLimit: 8192,
+    pricing: SONNET_PRICING,
+    supportsThinking: false,
+    supportsVision: true,
+    retirementDate: '2025-10-22'
+  },
+  'claude-3-5-sonnet-20240620': {
+    name: 'Claude 3.5 Sonnet',
+    family: 'sonnet',
+    bedrock: 'anthropic.claude-3-5-sonnet-20240620-v1:0',
+    vertex: 'claude-3-5-sonnet@20240620',
+    contextWindow: 200000,
+    outputLimit: 8192,
+    pricing: SONNET_PRICING,
+    supportsThinking: false,
+    supportsVision: true,
+    retirementDate: '2025-10-22'
+  },
+  'claude-3-5-haiku-20241022': {
+    key: 'CLAUDE_3_5_HAIKU',
+    name: 'Claude 3.5 Haiku',
+    family: 'haiku',
+    bedrock: 'us.anthropic.claude-3-5-haiku-20241022-v1:0',
+    vertex: 'claude-3-5-haiku@20241022',
+    contextWindow: 200000,
+    outputLimit: 8192,
+    pricing: { input: 0.80, output: 4.00, cacheWrite: 1.00, cacheRead: 0.08 },
+    supportsThinking: false,
+    supportsVision: true
+  },
+  'claude-3-opus-20240229': {
+    name: 'Claude 3 Opus',
+    family: 'opus',
+    bedrock: 'anthropic.claude-3-opus-20240229-v1:0',
+    vertex: 'claude-3-opus@20240229',
+    contextWindow: 200000,
+    outputLimit: 4096,
+    pricing: OPUS_PRICING,
+    supportsThinking: false,
+    supportsVision: true,
+    retirementDate: '2026-01-05'
+  },
+  'claude-3-sonnet-20240229': {
+    name: 'Claude 3 Sonnet',
+    family: 'sonnet',
+    bedrock: 'anthropic.claude-3-sonnet-20240229-v1:0',
+    vertex: 'claude-3-sonnet@20240229',
+    contextWindow: 200000,
+    outputLimit: 4096,
+    pricing: SONNET_PRICING,
+    supportsThinking: false,
+    supportsVision: true,
+    retirementDate: '2025-07-21'
+  },
+  'claude-3-haiku-20240307': {
+    name: 'Claude 3 Haiku',
+    family: 'haiku',
+    bedrock: 'anthropic.claude-3-haiku-20240307-v1:0',
+    vertex: 'claude-3-haiku@20240307',
+    contextWindow: 200000,
+    outputLimit: 4096,
+    pricing: { input: 0.25, output: 1.25, cacheWrite: 0.30, cacheRead: 0.03 },
+    supportsThinking: false,
+    supportsVision: true
+  }
+};
+
+const BUILTIN_ALIASES = {
+  opus: 'claude-opus-4-1-20250805',
+  sonnet: 'claude-sonnet-4-20250514',
+  haiku: 'claude-3-5-haiku-20241022'
+};
+
+const DEFAULT_MODEL_ALIAS = 'sonnet';
+
+// Suffix selecting the 1M token context beta, e.g. claude-sonnet-4-20250514[1m]
+const EXTENDED_CONTEXT_SUFFIX = /\[1m\]$/i;
+
+/**
+ * Create a catalog entry
+ */
+function createModelInfo(id, fields) {
+  return {
+    firstParty: id,
+    name: id,
+    family: null,
+    contextWindow: DEFAULT_CONTEXT_WINDOW,
+    outputLimit: DEFAULT_OUTPUT_LIMIT,
+    pricing: null,
+    supportsThinking: false,
+    supportsVision: false,
+    retirementDate: null,
+    ...fields
+  };
+}
+
+/**
+ * Get model catalog, with models from settings applied
+ */
+function getModelCatalog() {
+  const overrides = getGlobalConfig().models || {};
+  const catalog = {};
+
+  for (const id of new Set([...Object.keys(BUILTIN_MODELS), ...Object.keys(overrides)])) {
+    const builtin = BUILTIN_MODELS[id] || {};
+    const override = overrides[id] || {};
+
+    catalog[id] = createModelInfo(id, {
+      ...builtin,
+      ...override,
+      pricing: builtin.pricing || override.pricing
+        ? { ...builtin.pricing, ...override.pricing }
+        : null
+    });
+  }
+
+  return catalog;
+}
+
+/**
+ * Get model aliases, with aliases from settings applied
+ */
+function getModelAliases() {
+  return { ...BUILTIN_ALIASES, ...getGlobalConfig().modelAliases };
+}
+
+/**
+ * Resolve an alias or ModelConfig key to a model id
+ * Unknown names are returned unchanged
+ */
+function resolveModelAlias(model) {
+  if (!model) return model;
+
+  const aliases = getModelAliases();
+  if (aliases[model.toLowerCase()]) {
+    return aliases[model.toLowerCase()];
+  }
+
+  const keyed = Object.entries(BUILTIN_MODELS).find(([, info]) => info.key === model);
+  return keyed ? keyed[0] : model;
+}
+
+/**
+ * Get default model id
+ */
+function getDefaultModel() {
+  return resolveModelAlias(DEFAULT_MODEL_ALIAS);
+}
+
+/**
+ * Find a model by alias, first-party, Bedrock or Vertex id
+ */
+function getModelInfo(model) {
+  if (!model) return null;
+
+  const catalog = getModelCatalog();
+  const id = resolveModelAlias(model.replace(EXTENDED_CONTEXT_SUFFIX, ''));
+
+  return catalog[id] || Object.values(catalog).find(info =>
+    info.bedrock === id || info.vertex === id
+  ) || null;
+}
+
+/**
+ * Get context window of a model
+ */
+function getContextWindow(model) {
+  if (EXTENDED_CONTEXT_SUFFIX.test(model || '')) return 1000000;
+  return getModelInfo(model)?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Get maximum output tokens of a model
+ */
+function getOutputLimit(model) {
+  return getModelInfo(model)?.outputLimit || DEFAULT_OUTPUT_LIMIT;
+}
+
+/**
+ * Get pricing of a model, or null when unknown
+ */
+function getModelPricing(model) {
+  return getModelInfo(model)?.pricing || null;
+}
+
+/**
+ * Check if a catalog entry is past its retirement date
+ */
+function isRetired(info, date) {
+  return Boolean(info?.retirementDate) && date >= new Date(info.retirementDate);
+}
+
+/**
+ * Check if a model is past its retirement date
+ */
+function isModelRetired(model, date = new Date()) {
+  return isRetired(getModelInfo(model), date);
+}
+
+/**
+ * Get a warning for a deprecated model, or null
+ */
+function getDeprecationWarning(model, date = new Date()) {
+  const info = getModelInfo(model);
+  if (!info?.retirementDate) return null;
+
+  return isRetired(info, date)
+    ? `${info.name} was retired on ${info.retirementDate} and is no longer served`
+    : `${info.name} is deprecated and will be retired on ${info.retirementDate}`;
+}
+
+/**
+ * List catalog models, skipping retired ones unless asked
+ */
+function listModels({ includeRetired = false, date = new Date() } = {}) {
+  return Object.values(getModelCatalog())
+    .filter(info => includeRetired || !isRetired(info, date));
+}
+
+export {
+  getModelCatalog,
+  getModelAliases,
+  resolveModelAlias,
+  getDefaultModel,
+  getModelInfo,
+  getContextWindow,
+  getOutputLimit,
+  getModelPricing,
+  isModelRetired,
+  getDeprecationWarning,
+  listModels,
+  BUILTIN_MODELS,
+  BUILTIN_ALIASES,
+  DEFAULT_CONTEXT_WINDOW,
+  DEFAULT_OUTPUT_LIMIT
+};
\ No newline at end of file
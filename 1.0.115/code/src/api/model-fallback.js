@@ -0,0 +1,116 @@
+/**
+ * Model Fallback
+ * Routes requests to smaller models while the primary model is overloaded
+ *
+ * A downgrade sticks for the rest of the session until the cooldown passes,
+ * then the next request tries the primary model again.
+ */
+
+import { EventEmitter } from 'events';
+import { resolveModelAlias, getModelInfo } from './model-catalog.js';
+import { isOverloadedError } from '../error/error-recovery.js';
+import { getGlobalConfig } from '../config/configuration-system.js';
+
+const DEFAULT_COOLDOWN_MS = 5 * 60 * 1000;
+
+// Largest to smallest
+const MODEL_TIERS = ['opus', 'sonnet', 'haiku'];
+
+/**
+ * Get tier of a model name
+ */
+function getModelTier(model) {
+  return getModelInfo(model)?.family || MODEL_TIERS.find(tier => model.includes(tier)) || null;
+}
+
+/**
+ * Get default fallback chain for a model
+ * Each smaller tier, e.g. opus falls back to sonnet, then haiku
+ */
+function getDefaultFallbackChain(model) {
+  const tier = getModelTier(model);
+  if (!tier) return [];
+
+  return MODEL_TIERS
+    .slice(MODEL_TIERS.indexOf(tier) + 1)
+    .map(resolveModelAlias);
+}
+
+/**
+ * Get fallback settings
+ * Settings: { modelFallback: { enabled, models, cooldownMs } }
+ */
+function getFallbackSettings() {
+  return getGlobalConfig().modelFallback || {};
+}
+
+/**
+ * Model fallback manager
+ */
+class ModelFallbackManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const settings = getFallbackSettings();
+
+    this.primaryModel = options.primaryModel;
+    this.enabled = options.enabled ?? settings.enabled !== false;
+    this.cooldownMs = options.cooldownMs ?? settings.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+
+    const fallbacks = options.models || settings.models || getDefaultFallbackChain(this.primaryModel);
+    this.chain = [this.primaryModel, ...fallbacks.map(resolveModelAlias)]
+      .filter((model, index, chain) => chain.indexOf(model) === index);
+
+    this.index = 0;
+    this.downgradedAt = null;
+  }
+
+  /**
+   * Get model for the next request
+   * Returns to the primary model once the cooldown has passed
+   */
+  getModel() {
+    if (this.index > 0 && Date.now() - this.downgradedAt >= this.cooldownMs) {
+      this.index = 0;
+      this.downgradedAt = null;
+      this.emit('restore', { model: this.primaryModel });
+    }
+
+    return this.chain[this.index];
+  }
+
+  /**
+   * Check if requests currently go to a fallback model
+   */
+  isDowngraded() {
+    return this.index > 0;
+  }
+
+  /**
+   * Handle a failed request
+   * Returns true when the request should be retried on the next model.
+   * The client has already retried, so one overload here means repeated
+   * 529/503s or an overloaded_error
+   */
+  handleError(error) {
+    if (!this.enabled || !isOverloadedError(error) || this.index >= this.chain.length - 1) {
+      return false;
+    }
+
+    const from = this.chain[this.index];
+    this.index++;
+    this.downgradedAt = Date.now();
+
+    this.emit('fallback', {
+      from,
+      to: this.chain[this.index],
+      reason: error.message
+    });
+
+    return true;
+  }
+}
+
+export {
+  ModelFallbackManager,
+  getDefaultFallbackChain
+};
\ No newline at end of file
@@ -0,0 +1,412 @@
+/**
+ * OpenAI-Compatible Translation
+ * Converts between Messages API shapes and /v1/chat/completions
+ *
+ * Used for gateways and local servers (LiteLLM, vLLM, llama.cpp) that only
+ * speak the OpenAI chat format. Requests are translated on the way out;
+ * responses and stream chunks are translated back into Messages API events
+ * so the conversation loop sees the same shapes as first-party responses.
+ */
+
+// finish_reason to stop_reason
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+/**
+ * Map a finish_reason to a stop_reason
+ */
+function toStopReason(finishReason) {
+  if (!finishReason) return null;
+  return STOP_REASONS[finishReason] || 'end_turn';
+}
+
+/**
+ * Join the text of content blocks
+ */
+function joinText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  return content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Convert an image block to an image_url part
+ */
+function toImagePart(block) {
+  const url = block.source.type === 'base64'
+    ? `data:${block.source.media_type};base64,${block.source.data}`
+    : block.source.url;
+
+  return { type: 'image_url', image_url: { url } };
+}
+
+/**
+ * Convert user content blocks to chat content parts
+ * Documents are sent as text when they have any
+ */
+function toUserParts(blocks) {
+  const parts = [];
+
+  for (const block of blocks) {
+    if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image') {
+      parts.push(toImagePart(block));
+    } else if (block.type === 'document' && block.source?.type === 'text') {
+      parts.push({ type: 'text', text: block.source.data });
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Convert a user message
+ * Tool results become tool messages, which must follow the assistant turn
+ * directly; images in results are sent in a user message after them
+ */
+function convertUserMessage(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: 'user', content: message.content }];
+  }
+
+  const toolMessages = [];
+  const userBlocks = [];
+
+  for (const block of message.content) {
+    if (block.type !== 'tool_result') {
+      userBlocks.push(block);
+      continue;
+    }
+
+    const resultBlocks = Array.isArray(block.content) ? block.content : [];
+    const text = joinText(block.content);
+
+    toolMessages.push({
+      role: 'tool',
+      tool_call_id: block.tool_use_id,
+      content: block.is_error ? `Error: ${text}` : text
+    });
+    userBlocks.push(...resultBlocks.filter(resultBlock => resultBlock.type === 'image'));
+  }
+
+  const parts = toUserParts(userBlocks);
+  if (parts.length === 0) return toolMessages;
+
+  const content = parts.every(part => part.type === 'text')
+    ? parts.map(part => part.text).join('\n')
+    : parts;
+
+  return [...toolMessages, { role: 'user', content }];
+}
+
+/**
+ * Convert an assistant message
+ * Thinking blocks have no chat equivalent and are dropped
+ */
+function convertAssistantMessage(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: 'assistant', content: message.content }];
+  }
+
+  const text = joinText(message.content);
+  const toolCalls = message.content
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: {
+        name: block.name,
+        arguments: JSON.stringify(block.input ?? {})
+      }
+    }));
+
+  return [{
+    role: 'assistant',
+    content: text || null,
+    ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+  }];
+}
+
+/**
+ * Convert tool definitions
+ */
+function convertTools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema
+    }
+  }));
+}
+
+/**
+ * Convert tool_choice
+ */
+function convertToolChoice(toolChoice) {
+  switch (toolChoice.type) {
+    case 'any':
+      return 'required';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    case 'none':
+      return 'none';
+    default:
+      return 'auto';
+  }
+}
+
+/**
+ * Convert a Messages API request body to a chat completions request
+ */
+function toChatCompletionRequest(request) {
+  const messages = [];
+
+  const system = joinText(request.system);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  for (const message of request.messages) {
+    messages.push(...(message.role === 'assistant'
+      ? convertAssistantMessage(message)
+      : convertUserMessage(message)));
+  }
+
+  const body = {
+    model: request.model,
+    messages,
+    max_tokens: request.max_tokens,
+    temperature: request.temperature,
+    stop: request.stop_sequences,
+    user: request.metadata?.user_id,
+    stream: request.stream || undefined,
+    // Usage only arrives in a final chunk when asked for
+    stream_options: request.stream ? { include_usage: true } : undefined
+  };
+
+  if (request.tools?.length) {
+    body.tools = convertTools(request.tools);
+    if (request.tool_choice) {
+      body.tool_choice = convertToolChoice(request.tool_choice);
+    }
+  }
+
+  Object.keys(body).forEach(key => {
+    if (body[key] === undefined) {
+      delete body[key];
+    }
+  });
+
+  return body;
+}
+
+/**
+ * Convert chat usage to Messages API usage
+ * Cached prompt tokens are reported separately, as the Messages API does
+ */
+function toUsage(usage) {
+  if (!usage) return null;
+
+  const cached = usage.prompt_tokens_details?.cached_tokens || 0;
+
+  return {
+    input_tokens: (usage.prompt_tokens || 0) - cached,
+    output_tokens: usage.completion_tokens || 0,
+    cache_read_input_tokens: cached
+  };
+}
+
+/**
+ * Parse tool call arguments
+ * Malformed arguments become empty input, which tool validation rejects
+ */
+function parseArguments(value) {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Convert a chat completion to a Messages API response
+ */
+function fromChatCompletion(completion) {
+  const choice = completion.choices?.[0] || {};
+  const message = choice.message || {};
+  const content = [];
+
+  if (message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+
+  for (const toolCall of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id,
+      name: toolCall.function.name,
+      input: parseArguments(toolCall.function.arguments)
+    });
+  }
+
+  return {
+    id: completion.id,
+    type: 'message',
+    role: 'assistant',
+    model: completion.model,
+    content,
+    stop_reason: toStopReason(choice.finish_reason),
+    stop_sequence: null,
+    usage: toUsage(completion.usage) || { input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+/**
+ * Chat completion stream translator
+ * Turns chunks into message_start, content_block_* and message_delta events
+ */
+class ChatCompletionStreamTranslator {
+  constructor() {
+    this.started = false;
+    this.blockIndex = -1;
+    this.blockType = null;
+    this.toolCallIndex = null;
+    this.stopReason = null;
+    this.usage = null;
+  }
+
+  /**
+   * Translate one chunk into zero or more events
+   */
+  *push(chunk) {
+    if (chunk.error) {
+      throw new Error(chunk.error.message || 'Stream error');
+    }
+
+    if (!this.started) {
+      this.started = true;
+      yield {
+        type: 'message_start',
+        message: {
+          id: chunk.id,
+          type: 'message',
+          role: 'assistant',
+          model: chunk.model,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: { input_tokens: 0, output_tokens: 0 }
+        }
+      };
+    }
+
+    if (chunk.usage) {
+      this.usage = toUsage(chunk.usage);
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+
+    const delta = choice.delta || {};
+    // Local servers stream reasoning models' thoughts separately
+    const reasoning = delta.reasoning_content || delta.reasoning;
+
+    if (reasoning) {
+      yield* this.startBlock('thinking', { type: 'thinking', thinking: '' });
+      yield this.blockDelta({ type: 'thinking_delta', thinking: reasoning });
+    }
+
+    if (delta.content) {
+      yield* this.startBlock('text', { type: 'text', text: '' });
+      yield this.blockDelta({ type: 'text_delta', text: delta.content });
+    }
+
+    for (const toolCall of delta.tool_calls || []) {
+      if (this.blockType !== 'tool_use' || toolCall.index !== this.toolCallIndex) {
+        this.toolCallIndex = toolCall.index;
+        yield* this.startBlock('tool_use', {
+          type: 'tool_use',
+          id: toolCall.id || `call_${toolCall.index}`,
+          name: toolCall.function?.name || '',
+          input: {}
+        }, true);
+      }
+
+      if (toolCall.function?.arguments) {
+        yield this.blockDelta({ type: 'input_json_delta', partial_json: toolCall.function.arguments });
+      }
+    }
+
+    if (choice.finish_reason) {
+      this.stopReason = toStopReason(choice.finish_reason);
+    }
+  }
+
+  /**
+   * Emit the closing events once the stream ends
+   */
+  *finish() {
+    if (!this.started) {
+      throw new Error('Stream ended before the message started');
+    }
+
+    yield* this.stopBlock();
+
+    yield {
+      type: 'message_delta',
+      delta: { stop_reason: this.stopReason || 'end_turn', stop_sequence: null },
+      usage: this.usage || { output_tokens: 0 }
+    };
+    yield { type: 'message_stop' };
+  }
+
+  /**
+   * Start a content block unless one of the type is open
+   */
+  *startBlock(type, contentBlock, force = false) {
+    if (this.blockType === type && !force) return;
+
+    yield* this.stopBlock();
+
+    this.blockIndex++;
+    this.blockType = type;
+    yield { type: 'content_block_start', index: this.blockIndex, content_block: contentBlock };
+  }
+
+  /**
+   * Stop the open content block
+   */
+  *stopBlock() {
+    if (this.blockType === null) return;
+
+    this.blockType = null;
+    yield { type: 'content_block_stop', index: this.blockIndex };
+  }
+
+  /**
+   * Build a delta event for the open block
+   */
+  blockDelta(delta) {
+    return { type: 'content_block_delta', index: this.blockIndex, delta };
+  }
+}
+
+export {
+  toChatCompletionRequest,
+  fromChatCompletion,
+  ChatCompletionStreamTranslator,
+  toStopReason,
+  toUsage
+};
\ No newline at end of file
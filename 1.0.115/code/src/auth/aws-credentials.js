@@ -0,0 +1,244 @@
+/**
+ * AWS Credentials
+ * Credential chain and region selection for AWS providers
+ *
+ * Credentials are resolved in order from environment variables, the shared
+ * credentials/config files for the active profile, and the profile's
+ * credential_process command.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+
+const execAsync = promisify(exec);
+
+const DEFAULT_REGION = 'us-east-1';
+const CREDENTIAL_PROCESS_TIMEOUT = 60000;
+
+// Refresh temporary credentials this long before they expire
+const EXPIRATION_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Parse an AWS INI file into sections
+ */
+function parseIniFile(content) {
+  const sections = {};
+  let current = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+    const section = line.match(/^\[(.+)\]$/);
+    if (section) {
+      current = section[1].trim();
+      sections[current] = sections[current] || {};
+      continue;
+    }
+
+    const separator = line.indexOf('=');
+    if (current && separator !== -1) {
+      sections[current][line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Read an INI file, or nothing if missing
+ */
+function readIniFile(filePath) {
+  try {
+    return parseIniFile(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get active profile name
+ */
+function getAwsProfileName() {
+  return process.env.AWS_PROFILE || process.env.AWS_DEFAULT_PROFILE || 'default';
+}
+
+/**
+ * Load a profile from the shared config and credentials files
+ * Values in the credentials file win
+ */
+function loadAwsProfile(profileName = getAwsProfileName()) {
+  const awsDirectory = path.join(homedir(), '.aws');
+  const config = readIniFile(process.env.AWS_CONFIG_FILE || path.join(awsDirectory, 'config'));
+  const credentials = readIniFile(
+    process.env.AWS_SHARED_CREDENTIALS_FILE || path.join(awsDirectory, 'credentials')
+  );
+
+  const configSection = profileName === 'default'
+    ? config.default
+    : config[`profile ${profileName}`];
+
+  return {
+    ...configSection,
+    ...credentials[profileName]
+  };
+}
+
+/**
+ * Get credentials from environment variables
+ */
+function getEnvCredentials() {
+  if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
+    return null;
+  }
+
+  return {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.AWS_SESSION_TOKEN || undefined,
+    source: 'environment'
+  };
+}
+
+/**
+ * Get static credentials from a profile
+ */
+function getProfileCredentials(profile) {
+  if (!profile.aws_access_key_id || !profile.aws_secret_access_key) {
+    return null;
+  }
+
+  return {
+    accessKeyId: profile.aws_access_key_id,
+    secretAccessKey: profile.aws_secret_access_key,
+    sessionToken: profile.aws_session_token || undefined,
+    source: 'profile'
+  };
+}
+
+/**
+ * Run a credential_process command
+ * Output follows the AWS process credential JSON format
+ */
+async function runCredentialProcess(command) {
+  let stdout;
+
+  try {
+    ({ stdout } = await execAsync(command, { timeout: CREDENTIAL_PROCESS_TIMEOUT }));
+  } catch (error) {
+    throw new Error(`credential_process failed: ${error.stderr?.trim() || error.message}`);
+  }
+
+  let output;
+  try {
+    output = JSON.parse(stdout);
+  } catch {
+    throw new Error('credential_process returned invalid JSON');
+  }
+
+  if (output.Version !== 1) {
+    throw new Error(`credential_process returned unsupported version: ${output.Version}`);
+  }
+  if (!output.AccessKeyId || !output.SecretAccessKey) {
+    throw new Error('credential_process output is missing AccessKeyId or SecretAccessKey');
+  }
+
+  return {
+    accessKeyId: output.AccessKeyId,
+    secretAccessKey: output.SecretAccessKey,
+    sessionToken: output.SessionToken || undefined,
+    expiration: output.Expiration ? new Date(output.Expiration) : undefined,
+    source: 'credential_process'
+  };
+}
+
+/**
+ * Get region for AWS requests
+ */
+function getAwsRegion(profileName = getAwsProfileName()) {
+  return process.env.AWS_REGION ||
+    process.env.AWS_DEFAULT_REGION ||
+    loadAwsProfile(profileName).region ||
+    DEFAULT_REGION;
+}
+
+/**
+ * AWS credential provider
+ * Resolves the chain once and caches until temporary credentials expire
+ */
+class AwsCredentialProvider {
+  constructor(options = {}) {
+    this.profile = options.profile || getAwsProfileName();
+    this.credentials = null;
+    this.pending = null;
+  }
+
+  /**
+   * Get credentials, refreshing expired ones
+   */
+  async getCredentials() {
+    if (this.credentials && !this.isExpiring(this.credentials)) {
+      return this.credentials;
+    }
+
+    // Share one resolution between concurrent requests
+    if (!this.pending) {
+      this.pending = this.resolve().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    this.credentials = await this.pending;
+    return this.credentials;
+  }
+
+  /**
+   * Resolve credentials from the chain
+   */
+  async resolve() {
+    const envCredentials = getEnvCredentials();
+    if (envCredentials) return envCredentials;
+
+    const profile = loadAwsProfile(this.profile);
+
+    const profileCredentials = getProfileCredentials(profile);
+    if (profileCredentials) return profileCredentials;
+
+    if (profile.credential_process) {
+      return runCredentialProcess(profile.credential_process);
+    }
+
+    throw new Error(
+      `No AWS credentials found. Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY, ` +
+      `or configure profile "${this.profile}" in ~/.aws/credentials or ~/.aws/config`
+    );
+  }
+
+  /**
+   * Check if credentials are about to expire
+   */
+  isExpiring(credentials) {
+    return credentials.expiration !== undefined &&
+      credentials.expiration.getTime() - Date.now() < EXPIRATION_MARGIN_MS;
+  }
+
+  /**
+   * Drop cached credentials
+   */
+  clear() {
+    this.credentials = null;
+  }
+}
+
+export {
+  AwsCredentialProvider,
+  getAwsRegion,
+  getAwsProfileName,
+  loadAwsProfile,
+  getEnvCredentials,
+  runCredentialProcess,
+  parseIniFile
+};
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Google Cloud Credentials
+ * OAuth access tokens for Vertex AI from service accounts or gcloud ADC
+ *
+ * Credentials come from GOOGLE_APPLICATION_CREDENTIALS or the application
+ * default credentials file written by `gcloud auth application-default login`.
+ * Service accounts use the JWT bearer flow; gcloud user credentials use
+ * their refresh token.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import { createSign } from 'crypto';
+
+const CLOUD_PLATFORM_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+const JWT_BEARER_GRANT = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+const ASSERTION_LIFETIME_SECONDS = 3600;
+
+// Refresh tokens this long before they expire
+const EXPIRATION_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Get gcloud application default credentials path
+ */
+function getApplicationDefaultCredentialsPath() {
+  const configDirectory = process.platform === 'win32'
+    ? path.join(process.env.APPDATA || homedir(), 'gcloud')
+    : process.env.CLOUDSDK_CONFIG || path.join(homedir(), '.config', 'gcloud');
+
+  return path.join(configDirectory, 'application_default_credentials.json');
+}
+
+/**
+ * Load credentials JSON
+ * GOOGLE_APPLICATION_CREDENTIALS wins over gcloud ADC
+ */
+function loadGoogleCredentials() {
+  const credentialsPath = process.env.GOOGLE_APPLICATION_CREDENTIALS ||
+    getApplicationDefaultCredentialsPath();
+
+  let content;
+  try {
+    content = fs.readFileSync(credentialsPath, 'utf8');
+  } catch {
+    throw new Error(
+      'No Google Cloud credentials found. Set GOOGLE_APPLICATION_CREDENTIALS to a service account key ' +
+      'or run `gcloud auth application-default login`'
+    );
+  }
+
+  try {
+    return { ...JSON.parse(content), path: credentialsPath };
+  } catch {
+    throw new Error(`Invalid Google Cloud credentials file: ${credentialsPath}`);
+  }
+}
+
+/**
+ * Base64url encode
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Create a signed JWT assertion for a service account
+ */
+function createServiceAccountAssertion(credentials, now = Math.floor(Date.now() / 1000)) {
+  const header = { alg: 'RS256', typ: 'JWT', kid: credentials.private_key_id };
+  const claims = {
+    iss: credentials.client_email,
+    scope: CLOUD_PLATFORM_SCOPE,
+    aud: credentials.token_uri || DEFAULT_TOKEN_URI,
+    iat: now,
+    exp: now + ASSERTION_LIFETIME_SECONDS
+  };
+
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = createSign('RSA-SHA256').update(unsigned).sign(credentials.private_key);
+
+  return `${unsigned}.${base64url(signature)}`;
+}
+
+/**
+ * Request an access token from a token endpoint
+ */
+async function requestAccessToken(tokenUri, params) {
+  const response = await fetch(tokenUri, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString()
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.access_token) {
+    throw new Error(
+      `Google token request failed (${response.status}): ${body.error_description || body.error || response.statusText}`
+    );
+  }
+
+  return {
+    accessToken: body.access_token,
+    expiresAt: Date.now() + (body.expires_in || ASSERTION_LIFETIME_SECONDS) * 1000
+  };
+}
+
+/**
+ * Exchange credentials for an access token
+ */
+async function fetchAccessToken(credentials) {
+  switch (credentials.type) {
+    case 'service_account':
+      return requestAccessToken(credentials.token_uri || DEFAULT_TOKEN_URI, {
+        grant_type: JWT_BEARER_GRANT,
+        assertion: createServiceAccountAssertion(credentials)
+      });
+
+    case 'authorized_user':
+      return requestAccessToken(credentials.token_uri || DEFAULT_TOKEN_URI, {
+        grant_type: 'refresh_token',
+        client_id: credentials.client_id,
+        client_secret: credentials.client_secret,
+        refresh_token: credentials.refresh_token
+      });
+
+    default:
+      throw new Error(`Unsupported Google Cloud credentials type: ${credentials.type}`);
+  }
+}
+
+/**
+ * Google credential provider
+ * Caches access tokens and refreshes them before they expire
+ */
+class GoogleCredentialProvider {
+  constructor(options = {}) {
+    this.credentials = options.credentials || null;
+    this.token = null;
+    this.pending = null;
+  }
+
+  /**
+   * Get loaded credentials
+   */
+  getCredentials() {
+    if (!this.credentials) {
+      this.credentials = loadGoogleCredentials();
+    }
+    return this.credentials;
+  }
+
+  /**
+   * Get project id from credentials or environment
+   */
+  getProjectId() {
+    const fromEnvironment = process.env.ANTHROPIC_VERTEX_PROJECT_ID ||
+      process.env.GOOGLE_CLOUD_PROJECT ||
+      process.env.GCLOUD_PROJECT;
+    if (fromEnvironment) return fromEnvironment;
+
+    const credentials = this.getCredentials();
+    return credentials.project_id || credentials.quota_project_id || null;
+  }
+
+  /**
+   * Get a valid access token
+   */
+  async getAccessToken() {
+    if (this.token && this.token.expiresAt - Date.now() > EXPIRATION_MARGIN_MS) {
+      return this.token.accessToken;
+    }
+
+    // Share one refresh between concurrent requests
+    if (!this.pending) {
+      this.pending = fetchAccessToken(this.getCredentials()).finally(() => {
+        this.pending = null;
+      });
+    }
+
+    this.token = await this.pending;
+    return this.token.accessToken;
+  }
+
+  /**
+   * Drop the cached token
+   */
+  clear() {
+    this.token = null;
+  }
+}
+
+export {
+  GoogleCredentialProvider,
+  loadGoogleCredentials,
+  createServiceAccountAssertion,
+  fetchAccessToken,
+  getApplicationDefaultCredentialsPath
+};
\ No newline at end of file
@@ -13,6 +13,20 @@
 import { Command } from 'commander';
 import { RuntimeInitializer } from '../runtime/runtime-initialization.js';
 import { ConversationLoop } from '../conversation/conversation-loop.js';
+import { ConversationLoop as AgentConversationLoop } from '../conversation/loop.js';
+import { SessionStore } from '../session/session-store.js';
+import { exportSession, EXPORT_FORMATS } from '../session/session-export.js';
+import { SpendStore, createTotals, addTotals } from '../session/spend-store.js';
+import { CostBudget, formatCost } from '../conversation/cost-budget.js';
+import { resolveModelAlias, getDeprecationWarning } from '../api/model-catalog.js';
+import { runPrintMode, readStdin, buildPrintPrompt, OUTPUT_FORMATS, INPUT_FORMATS } from './print-mode.js';
+import { StreamJsonSession } from './stream-json-session.js';
+import { PERMISSION_MODES, isValidPermissionMode } from '../permissions/permission-modes.js';
+import { setGlobalLogLevel, LogLevel } from '../utils/logging.js';
+import { getAPIKey } from '../auth/api-key.js';
+import { usesThirdPartyProvider } from '../api/anthropic-client.js';
+import { toolRegistry } from '../tools/index.js';
+import { startTerminalUI } from '../ui/terminal.js';
 import { UpdateManager } from '../update/update-system.js';
 import { ConfigurationSystem } from '../config/configuration-system.js';
 import chalk from 'chalk';
@@ -45,12 +59,21 @@ export class ClaudeCodeCLI {
     this.program
       .command('chat', { isDefault: true })
       .description('Start an interactive conversation with Claude')
-      .option('-m, --model <model>', 'Model to use', 'claude-3-5-sonnet-20241022')
+      .argument('[prompt]', 'Prompt to run with --print')
+      .option('-m, --model <model>', 'Model alias (sonnet, opus, haiku) or full name; defaults to the configured model')
       .option('-t, --temperature <temp>', 'Temperature setting', parseFloat, 0)
       .option('--max-tokens <tokens>', 'Maximum tokens', parseInt, 4096)
       .option('--no-stream', 'Disable streaming responses')
-      .action(async (options) => {
-        await this.startConversation(options);
+      .option('-p, --print', 'Run the prompt without the interactive UI, print the response and exit')
+      .option('--output-format <format>', `Output format with --print (${OUTPUT_FORMATS.join('|')})`, 'text')
+      .option('--input-format <format>', `Input format with --print (${INPUT_FORMATS.join('|')})`, 'text')
+      .option('--permission-mode <mode>', `Permission mode for the session (${PERMISSION_MODES.join('|')})`)
+      .action(async (prompt, options) => {
+        if (options.print) {
+          await this.runPrint(prompt, options);
+        } else {
+          await this.startConversation(options);
+        }
       });
 
     // Configuration command
@@ -120,6 +143,8 @@ export class ClaudeCodeCLI {
       .option('-r, --resume <id>', 'Resume a session')
       .option('-d, --delete <id>', 'Delete a session')
       .option('--export <id>', 'Export session history')
+      .option('--format <format>', `Export format (${EXPORT_FORMATS.join('|')})`, 'json')
+      .option('-o, --output <path>', 'Write export to file instead of stdout')
       .action(async (options) => {
         await this.manageSessions(options);
       });
@@ -136,6 +161,17 @@ export class ClaudeCodeCLI {
         await this.showDebugInfo(options);
       });
 
+    // Usage command
+    this.program
+      .command('usage')
+      .description('Show API spend by project and model')
+      .option('-d, --days <days>', 'Number of days to include', value => parseInt(value, 10), 30)
+      .option('-p, --project', 'Only show the current project')
+      .option('-j, --json', 'Output as JSON')
+      .action(async (options) => {
+        await this.showUsage(options);
+      });
+
     // API command
     this.program
       .command('api')
@@ -172,10 +208,20 @@ export class ClaudeCodeCLI {
       .option('--profile <profile>', 'Configuration profile to use');
   }
 
+  /**
+   * Check a --permission-mode value
+   */
+  validatePermissionMode(mode) {
+    if (mode !== undefined && !isValidPermissionMode(mode)) {
+      throw new Error(`Unknown permission mode: ${mode}. Use one of: ${PERMISSION_MODES.join(', ')}`);
+    }
+  }
+
   /**
    * Start conversation
    */
   async startConversation(options) {
+    this.validatePermissionMode(options.permissionMode);
     console.log(chalk.cyan('🤖 Starting Claude Code...'));
 
     // Initialize runtime
@@ -183,7 +229,12 @@ export class ClaudeCodeCLI {
 
     // Override options from CLI
     if (options.model) {
-      this.runtime.config.model = options.model;
+      this.runtime.config.model = resolveModelAlias(options.model);
+
+      const warning = getDeprecationWarning(this.runtime.config.model);
+      if (warning) {
+        console.log(chalk.yellow(`⚠️  ${warning}`));
+      }
     }
     if (options.temperature !== undefined) {
       this.runtime.config.temperature = options.temperature;
@@ -200,11 +251,68 @@ export class ClaudeCodeCLI {
     if (!conversation) {
       throw new Error('Conversation system not initialized');
     }
+    if (options.model) {
+      conversation.agentLoop?.setModel(this.runtime.config.model);
+    }
+    if (options.permissionMode) {
+      conversation.agentLoop?.setPermissionMode(options.permissionMode);
+    }
 
     // Start conversation loop
     await conversation.start();
   }
 
+  /**
+   * Run headless with the full agent loop
+   * Text input runs one prompt with piped stdin appended; stream-json input
+   * keeps the session open and reads user messages from stdin
+   */
+  async runPrint(prompt, options) {
+    if (!OUTPUT_FORMATS.includes(options.outputFormat)) {
+      throw new Error(`Unknown output format: ${options.outputFormat}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!INPUT_FORMATS.includes(options.inputFormat)) {
+      throw new Error(`Unknown input format: ${options.inputFormat}. Use one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+    this.validatePermissionMode(options.permissionMode);
+
+    const streamInput = options.inputFormat === 'stream-json';
+    if (streamInput && (prompt || options.outputFormat !== 'stream-json')) {
+      throw new Error('--input-format stream-json reads prompts from stdin and requires --output-format stream-json');
+    }
+
+    const input = streamInput ? null : buildPrintPrompt(prompt, await readStdin());
+    if (!streamInput && !input) {
+      throw new Error('Provide a prompt as an argument or through stdin when using --print');
+    }
+
+    // Logs go to stdout and would corrupt the output
+    if (!process.env.DEBUG) {
+      setGlobalLogLevel(LogLevel.ERROR);
+    }
+
+    const { key } = getAPIKey();
+    if (!key && !usesThirdPartyProvider()) {
+      throw new Error('Not authenticated. Please run "claude login" first.');
+    }
+
+    const conversationLoop = new AgentConversationLoop({
+      apiKey: key,
+      mainLoopModel: options.model,
+      permissionMode: options.permissionMode,
+      isNonInteractiveSession: true,
+      tools: toolRegistry.list().filter(tool => tool.enabled).map(tool => tool.class)
+    });
+
+    const result = streamInput
+      ? await new StreamJsonSession(conversationLoop).run()
+      : await runPrintMode(conversationLoop, input, { outputFormat: options.outputFormat });
+
+    if (result?.is_error) {
+      process.exitCode = 1;
+    }
+  }
+
   /**
    * Manage configuration
    */
@@ -350,7 +458,78 @@ export class ClaudeCodeCLI {
    * Manage sessions
    */
   async manageSessions(options) {
-    console.log('Session management not yet implemented');
+    const store = new SessionStore();
+
+    if (options.resume) {
+      await this.resumeSession(store, options.resume);
+    } else if (options.delete) {
+      const { sessionId } = store.deleteSession(options.delete);
+      console.log(chalk.green(`✅ Deleted session: ${sessionId}`));
+    } else if (options.export) {
+      if (!EXPORT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown export format: ${options.format}. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+      }
+
+      const data = exportSession(store.loadSession(options.export), options.format);
+
+      if (options.output) {
+        await fs.writeFile(options.output, data, 'utf8');
+        console.log(chalk.green(`✅ Exported session to ${options.output}`));
+      } else {
+        console.log(data);
+      }
+    } else {
+      const sessions = store.listSessions();
+
+      if (sessions.length === 0) {
+        console.log('No saved sessions');
+        return;
+      }
+
+      console.log('Sessions:');
+      sessions.forEach(session => {
+        const date = session.modified.toLocaleString();
+        console.log(`  ${chalk.cyan(session.sessionId.slice(0, 8))}  ${chalk.gray(date)}  ${session.messageCount} messages`);
+        console.log(`    ${session.summary}`);
+        if (session.cwd) {
+          console.log(`    ${chalk.gray(session.cwd)}`);
+        }
+      });
+      console.log('\nRun "claude session --resume <id>" to continue a session');
+    }
+  }
+
+  /**
+   * Resume a saved session in the terminal UI
+   */
+  async resumeSession(store, sessionId) {
+    const { key } = getAPIKey();
+    if (!key && !usesThirdPartyProvider()) {
+      throw new Error('Not authenticated. Please run "claude login" first.');
+    }
+
+    // Continue in the directory the session was recorded in while it still exists
+    const { cwd: sessionCwd } = store.loadSession(sessionId);
+    const cwdExists = sessionCwd && await fs.stat(sessionCwd).then(stats => stats.isDirectory(), () => false);
+    const cwd = cwdExists ? sessionCwd : process.cwd();
+
+    const conversationLoop = new AgentConversationLoop({
+      apiKey: key,
+      cwd,
+      tools: toolRegistry.list().filter(tool => tool.enabled).map(tool => tool.class)
+    });
+
+    const session = conversationLoop.resumeSession(sessionId, store);
+    console.log(chalk.cyan(`🤖 Resuming session ${session.sessionId} (${session.messages.length} messages)`));
+
+    if (sessionCwd && !cwdExists) {
+      console.log(chalk.yellow(`⚠️  Session was recorded in ${sessionCwd}, which no longer exists; continuing in ${cwd}`));
+    } else if (cwd !== process.cwd()) {
+      console.log(chalk.gray(`Working directory: ${cwd}`));
+    }
+
+    const ui = startTerminalUI(conversationLoop);
+    await ui.waitUntilExit();
   }
 
   /**
@@ -380,6 +559,61 @@ export class ClaudeCodeCLI {
     }
   }
 
+  /**
+   * Show historical spend and budget status
+   */
+  async showUsage(options) {
+    const rows = new SpendStore().getHistory({
+      days: options.days,
+      project: options.project ? process.cwd() : undefined
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(rows, null, 2));
+      return;
+    }
+
+    if (rows.length === 0) {
+      console.log(`No API spend recorded in the last ${options.days} days`);
+      return;
+    }
+
+    const byProject = new Map();
+    const total = createTotals();
+
+    for (const { date, project, model, ...totals } of rows) {
+      const models = byProject.get(project) || new Map();
+      models.set(model, addTotals(models.get(model) || createTotals(), totals));
+      byProject.set(project, models);
+      addTotals(total, totals);
+    }
+
+    console.log(`Spend over the last ${options.days} days:`);
+
+    for (const [project, models] of byProject) {
+      const projectTotal = [...models.values()].reduce((sum, totals) => sum + totals.costUsd, 0);
+      console.log(`\n  ${chalk.cyan(project)}  ${formatCost(projectTotal)}`);
+
+      for (const [model, totals] of models) {
+        console.log(`    ${model.padEnd(32)} ${formatCost(totals.costUsd).padStart(10)}  ` +
+          chalk.gray(`${totals.requests} requests, ${totals.inputTokens + totals.cacheReadTokens + totals.cacheCreationTokens} in, ${totals.outputTokens} out`));
+      }
+    }
+
+    console.log(`\n  Total: ${formatCost(total.costUsd)} across ${total.requests} requests`);
+
+    const costBudget = new CostBudget();
+    const budgets = costBudget.getStatus().filter(({ scope }) => scope !== 'session');
+    if (budgets.length > 0) {
+      console.log('\nBudgets:');
+      for (const { scope, label, spentUsd, limitUsd } of budgets) {
+        // The project budget only covers the current directory
+        const project = scope === 'project' ? ` in ${costBudget.project}` : '';
+        console.log(`  ${label.padEnd(14)} ${formatCost(spentUsd)} of ${formatCost(limitUsd)} today${project}`);
+      }
+    }
+  }
+
   /**
    * Call API directly
    */
@@ -387,16 +621,31 @@ export class ClaudeCodeCLI {
     await this.runtime.initialize();
     const apiClient = this.runtime.systems.get('api-client');
 
-    const response = await apiClient.messages.create({
+    const request = {
       model: options.model || this.runtime.config.model,
-      messages: [{ role: 'user', content: prompt }],
-      stream: options.stream !== false
-    });
+      messages: [{ role: 'user', content: prompt }]
+    };
+
+    // JSON output needs the complete message
+    if (options.stream !== false && !options.json) {
+      for await (const event of apiClient.streamMessage(request)) {
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          process.stdout.write(event.delta.text);
+        }
+      }
+      process.stdout.write('\n');
+      return;
+    }
+
+    const response = await apiClient.accumulateMessage(request);
 
     if (options.json) {
       console.log(JSON.stringify(response, null, 2));
     } else {
-      console.log(response.content[0].text);
+      console.log(response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n'));
     }
   }
 
@@ -420,7 +669,7 @@ export class ClaudeCodeCLI {
 
     const defaultConfig = {
       version: '1.0.0',
-      model: 'claude-3-5-sonnet-20241022',
+      model: 'sonnet',
       tools: {
         all: true
       },
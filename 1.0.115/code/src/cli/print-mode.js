@@ -0,0 +1,80 @@
+/**
+ * Print Mode
+ * Headless runs for scripts: `claude -p "prompt"`
+ *
+ * Output formats:
+ *   text         final response text
+ *   json         the result message once the run ends
+ *   stream-json  every message as one JSON object per line
+ */
+
+import { streamLoopMessages } from '../conversation/message-stream.js';
+
+const OUTPUT_FORMATS = ['text', 'json', 'stream-json'];
+// stream-json input is handled by StreamJsonSession
+const INPUT_FORMATS = ['text', 'stream-json'];
+
+/**
+ * Read piped stdin
+ * Returns an empty string when stdin is a terminal
+ */
+async function readStdin(stream = process.stdin) {
+  if (stream.isTTY) return '';
+
+  let data = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    data += chunk;
+  }
+  return data;
+}
+
+/**
+ * Combine the prompt argument with piped input
+ */
+function buildPrintPrompt(prompt, stdinText) {
+  return [prompt, stdinText]
+    .map(part => part?.trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Run a prompt and write output in the requested format
+ * Returns the result message
+ */
+async function runPrintMode(loop, prompt, options = {}) {
+  const outputFormat = options.outputFormat || 'text';
+  const output = options.output || process.stdout;
+  const errorOutput = options.errorOutput || process.stderr;
+  let result = null;
+
+  for await (const message of streamLoopMessages(loop, prompt)) {
+    if (outputFormat === 'stream-json') {
+      output.write(JSON.stringify(message) + '\n');
+    }
+    if (message.type === 'result') {
+      result = message;
+    }
+  }
+
+  if (outputFormat === 'json') {
+    output.write(JSON.stringify(result) + '\n');
+  } else if (outputFormat === 'text') {
+    if (result.is_error) {
+      errorOutput.write(`Error: ${result.result}\n`);
+    } else {
+      output.write(result.result + '\n');
+    }
+  }
+
+  return result;
+}
+
+export {
+  runPrintMode,
+  readStdin,
+  buildPrintPrompt,
+  OUTPUT_FORMATS,
+  INPUT_FORMATS
+};
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Stream JSON Session
+ * Drives a long-running agent loop with JSON lines on stdin and stdout
+ *
+ * Input lines:
+ *   { type: 'user', message: { role: 'user', content } }
+ *     Runs a turn. content is a string or text, image and document blocks
+ *     with base64 sources. Turns run one after another.
+ *   { type: 'control_response', request_id, response }
+ *     Answers a permission request: { behavior: 'allow', updatedInput }
+ *     or { behavior: 'deny', message }.
+ *
+ * Output lines are the message-stream messages, plus permission requests:
+ *   { type: 'control_request', request_id, request: { subtype: 'can_use_tool', tool_name, input, permission_suggestions } }
+ *   permission_suggestions, when present, lists rules that would cover the tool use.
+ * A user message with invalid content gets an error_during_execution result.
+ */
+
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+import { createPermissionDecision } from '../conversation/tool-execution.js';
+import {
+  streamTurnMessages,
+  createInitMessage,
+  createResultMessage,
+  parseUserContent
+} from '../conversation/message-stream.js';
+
+/**
+ * Stream JSON session
+ */
+class StreamJsonSession {
+  constructor(loop, options = {}) {
+    this.loop = loop;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.errorOutput = options.errorOutput || process.stderr;
+    this.pendingPermissions = new Map();
+    this.inputClosed = false;
+    this.lastResult = null;
+
+    loop.setPermissionPrompt(request => this.requestPermission(request));
+  }
+
+  /**
+   * Write one message
+   */
+  write(message) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Read input until it closes, running turns as user messages arrive
+   * Returns the result message of the last turn
+   */
+  async run() {
+    this.write(createInitMessage(this.loop));
+
+    const lines = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+    let turns = Promise.resolve();
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        this.errorOutput.write(`Invalid JSON input: ${line}\n`);
+        continue;
+      }
+
+      switch (message.type) {
+        case 'user':
+          turns = turns.then(() => this.runTurn(message));
+          break;
+        case 'control_response':
+          this.resolvePermission(message);
+          break;
+        default:
+          this.errorOutput.write(`Unknown input message type: ${message.type}\n`);
+      }
+    }
+
+    // Nobody is left to answer permission requests
+    this.inputClosed = true;
+    for (const requestId of this.pendingPermissions.keys()) {
+      this.resolvePermission({ request_id: requestId, response: { behavior: 'deny', message: 'Input closed' } });
+    }
+
+    await turns;
+    return this.lastResult;
+  }
+
+  /**
+   * Run a turn for one user message
+   * Content that can not be sent ends the turn with an error result
+   */
+  async runTurn(message) {
+    const startTime = Date.now();
+    let content;
+    try {
+      content = parseUserContent(message.message?.content);
+    } catch (error) {
+      this.lastResult = createResultMessage(this.loop, { response: null, error, numTurns: 0, startTime });
+      this.write(this.lastResult);
+      return;
+    }
+
+    for await (const output of streamTurnMessages(this.loop, content.text, content.blocks)) {
+      this.write(output);
+      if (output.type === 'result') {
+        this.lastResult = output;
+      }
+    }
+  }
+
+  /**
+   * Send a permission request and wait for its control_response
+   */
+  requestPermission({ tool, input, suggestions }) {
+    if (this.inputClosed) {
+      return Promise.resolve(createPermissionDecision({ behavior: 'deny', message: 'Input closed' }));
+    }
+
+    const requestId = randomUUID();
+
+    return new Promise(resolve => {
+      this.pendingPermissions.set(requestId, { input, resolve });
+      this.write({
+        type: 'control_request',
+        request_id: requestId,
+        request: { subtype: 'can_use_tool', tool_name: tool, input, permission_suggestions: suggestions }
+      });
+    });
+  }
+
+  /**
+   * Resolve a permission request from its control_response
+   */
+  resolvePermission({ request_id: requestId, response }) {
+    const pending = this.pendingPermissions.get(requestId);
+    if (!pending) {
+      this.errorOutput.write(`No pending permission request: ${requestId}\n`);
+      return;
+    }
+
+    this.pendingPermissions.delete(requestId);
+    pending.resolve(createPermissionDecision(response, pending.input));
+  }
+}
+
+export {
+  StreamJsonSession
+};
\ No newline at end of file
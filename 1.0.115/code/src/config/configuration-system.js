@@ -6,6 +6,7 @@
 
 import { resolve, join, dirname, basename } from 'path';
 import fs from 'fs';
+import { getCwd } from '../utils/cwd.js';
 
 // Configuration Source Types
 const CONFIG_SOURCES = [
@@ -106,9 +107,10 @@ function loadConfig(source) {
 
 /**
  * Save configuration to a source
+ * Merges into the existing file unless options.replace is set
  * Original: function W4(arg, options)
  */
-function saveConfig(source, config) {
+function saveConfig(source, config, options = {}) {
   // Don't save policy or flag settings
   if (source === 'policySettings' || source === 'flagSettings') {
     return { error: null };
@@ -128,11 +130,10 @@ function saveConfig(source, config) {
       fs.mkdirSync(dir, { recursive: true });
     }
 
-    // Load existing config to merge
-    const existing = loadConfig(source);
-
-    // Merge configurations
-    const merged = mergeConfigurations(existing || {}, config);
+    // Load existing config to merge; arrays would only ever grow
+    const merged = options.replace ?
+      config :
+      mergeConfigurations(loadConfig(source) || {}, config);
 
     // Write configuration
     fs.writeFileSync(
@@ -251,6 +252,15 @@ function getGlobalConfig() {
   return config || {};
 }
 
+/**
+ * Save changed keys to user settings
+ * Pass only the keys that change; getGlobalConfig() also holds project,
+ * local and policy settings that must not be copied into user settings
+ */
+function updateGlobalConfig(changes) {
+  return saveConfig('userSettings', changes);
+}
+
 /**
  * Get cached global configuration
  * Original: function gk()
@@ -406,7 +416,7 @@ class ConfigWatcher {
 
 // Helper functions - would need to be imported
 function getCurrentWorkingDirectory() {
-  return process.cwd();
+  return getCwd();
 }
 
 function getUserConfigDirectory() {
@@ -434,6 +444,7 @@ export {
   mergeConfigurations,
   clearConfigCache,
   getGlobalConfig,
+  updateGlobalConfig,
   getCachedGlobalConfig,
   parseFrontmatter,
   ConfigWatcher
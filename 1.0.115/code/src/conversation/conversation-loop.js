@@ -8,6 +8,30 @@ import { EventEmitter } from 'events';
 import { Transform, Readable } from 'stream';
 import { getLogger } from '../utils/logging.js';
 import { ErrorRecoveryManager } from '../error/error-recovery.js';
+import { parseThinkingBudget } from './thinking.js';
+import { getModelDisplayName } from '../api/anthropic-client.js';
+import { resolveModelAlias, getDeprecationWarning } from '../api/model-catalog.js';
+import { PERMISSION_MODES, PERMISSION_MODE_INFO } from '../permissions/permission-modes.js';
+import {
+  parsePermissionRule,
+  formatPermissionRule,
+  formatValidationError,
+  getPermissionSourceDisplayName,
+  getWorkingDirectories
+} from '../permissions/permission-validation.js';
+import {
+  getPermissionContextRules,
+  createAddDirectoryUpdates,
+  createRemoveDirectoryUpdates
+} from '../permissions/permission-system.js';
+import {
+  getPermissionTitle,
+  getPermissionRequestRules,
+  getPermissionRequestLines,
+  getPermissionOptions,
+  createPermissionDialogDecision
+} from '../ui/permission-dialog.js';
+import path from 'path';
 
 /**
  * Conversation states
@@ -206,12 +230,9 @@ export class InputHandler extends EventEmitter {
     // Check for newline
     const lines = this.buffer.split('\n');
     if (lines.length > 1) {
-      // Process complete lines
+      // Process complete lines; an empty line can answer a question
       for (let i = 0; i < lines.length - 1; i++) {
-        const line = lines[i].trim();
-        if (line) {
-          this.emit('line', line);
-        }
+        this.emit('line', lines[i].trim());
       }
       // Keep incomplete line in buffer
       this.buffer = lines[lines.length - 1];
@@ -486,6 +507,15 @@ export class ConversationLoop extends EventEmitter {
     // Message processor (to be injected)
     this.messageProcessor = options.messageProcessor || null;
 
+    // Agent loop driving tool use and transcripts (optional)
+    this.agentLoop = options.agentLoop || null;
+
+    // Answers the next input line when a question is open
+    this.pendingConfirmation = null;
+
+    // Tool uses waiting for approval, asked one at a time
+    this.permissionRequests = [];
+
     this.setupHandlers();
   }
 
@@ -501,11 +531,78 @@ export class ConversationLoop extends EventEmitter {
     this.inputHandler.on('end', this.handleInputEnd.bind(this));
     this.inputHandler.on('error', this.handleInputError.bind(this));
 
+    // Agent events
+    if (this.agentLoop) {
+      this.agentLoop.on('stream:delta', ({ text }) => this.outputHandler.stdout.write(text));
+      this.agentLoop.on('thinking:start', () => this.outputHandler.write('✻ Thinking…\n', { color: 'gray' }));
+      this.agentLoop.on('thinking:delta', ({ text }) => this.outputHandler.write(text, { color: 'gray' }));
+      this.agentLoop.on('thinking:complete', () => this.outputHandler.write('\n\n'));
+      this.agentLoop.on('message:continue', () => this.outputHandler.write('\n(response hit the output limit, continuing)\n', { color: 'gray' }));
+      this.agentLoop.on('message:truncated', ({ maxTokens }) => this.outputHandler.write(`\nResponse stopped at the ${maxTokens} token output limit\n`, { color: 'yellow' }));
+      this.agentLoop.on('model:fallback', ({ from, to }) => this.outputHandler.write(`\n${getModelDisplayName(from)} is overloaded, switching to ${getModelDisplayName(to)}\n`, { color: 'yellow' }));
+      this.agentLoop.on('model:restored', ({ model }) => this.outputHandler.write(`\nSwitching back to ${getModelDisplayName(model)}\n`, { color: 'gray' }));
+      this.agentLoop.on('budget:warning', ({ message }) => this.outputHandler.write(`\n${message}\n`, { color: 'yellow' }));
+      this.agentLoop.on('budget:confirm', ({ message, callback }) => {
+        this.outputHandler.write(`\n${message}. Continue anyway? (y/N) `, { color: 'yellow' });
+        this.pendingConfirmation = answer => callback(/^y(es)?$/i.test(answer.trim()));
+      });
+      this.agentLoop.on('permission:request', request => {
+        this.permissionRequests.push(request);
+        if (this.permissionRequests.length === 1) {
+          this.promptPermission(request);
+        }
+      });
+      this.agentLoop.on('permission:mode', ({ mode }) => {
+        const { title, color } = PERMISSION_MODE_INFO[mode];
+        this.outputHandler.write(`\nPermission mode: ${title}\n`, { color });
+      });
+    }
+
     // Process events
     process.on('SIGINT', this.handleInterrupt.bind(this));
     process.on('SIGTERM', this.handleTerminate.bind(this));
   }
 
+  /**
+   * Ask the user to approve a tool use
+   * Offers the same choices as the terminal UI's permission dialog
+   */
+  promptPermission(request) {
+    const rules = getPermissionRequestRules(request);
+    const options = getPermissionOptions(rules);
+
+    const decide = decision => {
+      request.callback(decision);
+      this.permissionRequests.shift();
+      if (this.permissionRequests.length > 0) {
+        this.promptPermission(this.permissionRequests[0]);
+      }
+    };
+
+    const ask = () => {
+      this.outputHandler.write(`Choose 1-${options.length}: `);
+      this.pendingConfirmation = answer => {
+        const option = options[Number(answer.trim()) - 1];
+        if (!option) {
+          ask();
+        } else if (option.value === 'deny') {
+          this.outputHandler.write('Tell Claude what to do differently (Enter to skip): ');
+          this.pendingConfirmation = feedback => decide(createPermissionDialogDecision('deny', request, rules, feedback));
+        } else {
+          decide(createPermissionDialogDecision(option.value, request, rules));
+        }
+      };
+    };
+
+    this.outputHandler.write(`\n${getPermissionTitle(request.tool, request.input, request.cwd)}\n`, { color: 'yellow', bold: true });
+    for (const line of getPermissionRequestLines(request)) {
+      this.outputHandler.write(`  ${line.text}\n`, { color: line.color || (line.dim ? 'gray' : undefined), bold: line.bold });
+    }
+    this.outputHandler.write('Do you want to proceed?\n');
+    options.forEach((option, index) => this.outputHandler.write(`  ${index + 1}. ${option.label}\n`));
+    ask();
+  }
+
   /**
    * Start conversation loop
    * Original: main loop pattern with async iteration
@@ -554,6 +651,14 @@ export class ConversationLoop extends EventEmitter {
    * Handle line input
    */
   async handleLine(line) {
+    // Answer an open question
+    if (this.pendingConfirmation) {
+      const callback = this.pendingConfirmation;
+      this.pendingConfirmation = null;
+      callback(line);
+      return;
+    }
+
     // Check for exit commands
     if (this.exitCommands.includes(line.toLowerCase())) {
       await this.stop();
@@ -629,6 +734,10 @@ export class ConversationLoop extends EventEmitter {
 
         // Handle response
         await this.handleResponse(response);
+      } else if (this.agentLoop) {
+        const response = await this.agentLoop.processUserInput(content);
+        this.context.addMessage(MessageType.ASSISTANT, getTextContent(response));
+        this.outputHandler.newLine();
       } else {
         // Echo mode if no processor
         this.outputHandler.write(`Echo: ${content}\n`);
@@ -699,12 +808,41 @@ export class ConversationLoop extends EventEmitter {
         this.inputHandler.setMode(InputMode.MULTILINE);
         this.outputHandler.write('Multiline mode - use ``` to end\n');
         break;
+      case 'fork':
+        this.handleFork(args[0]);
+        break;
+      case 'branches':
+        this.handleBranches(args[0]);
+        break;
+      case 'rewind':
+        this.handleRewind(args[0]);
+        break;
+      case 'compact':
+        await this.handleCompact(args.join(' ').trim());
+        break;
+      case 'think':
+        this.handleThink(args[0]);
+        break;
+      case 'mode':
+        this.handleMode(args.filter(arg => arg !== '--save')[0], args.includes('--save'));
+        break;
+      case 'permissions':
+        this.handlePermissions(args.filter(Boolean));
+        break;
       case 'model':
         if (args[0]) {
-          this.context.currentModel = args[0];
-          this.outputHandler.write(`Model set to: ${args[0]}\n`);
+          const model = resolveModelAlias(args[0]);
+          const warning = getDeprecationWarning(model);
+
+          this.agentLoop?.setModel(model);
+          this.context.currentModel = model;
+          this.outputHandler.write(`Model set to: ${getModelDisplayName(model)} (${model})\n`);
+          if (warning) {
+            this.outputHandler.write(`${warning}\n`, { color: 'yellow' });
+          }
         } else {
-          this.outputHandler.write(`Current model: ${this.context.currentModel}\n`);
+          const model = this.agentLoop?.options.mainLoopModel || this.context.currentModel;
+          this.outputHandler.write(`Current model: ${model}\n`);
         }
         break;
       default:
@@ -715,6 +853,323 @@ export class ConversationLoop extends EventEmitter {
     this.emit('continue');
   }
 
+  /**
+   * Fork conversation from an earlier message
+   * Without a message number, lists the fork points
+   */
+  handleFork(messageNumber) {
+    if (!this.agentLoop) {
+      this.outputHandler.write('Branching requires an agent conversation\n', { color: 'red' });
+      return;
+    }
+
+    if (messageNumber === undefined) {
+      this.outputHandler.write('Fork points (use /fork <n> to continue after message n):\n');
+      this.outputHandler.write('  0. (start of conversation)\n');
+      this.agentLoop.messages.forEach((message, i) => {
+        const text = getTextContent(message) || describeBlocks(message);
+        const preview = text.slice(0, 50) + (text.length > 50 ? '...' : '');
+        this.outputHandler.write(`  ${i + 1}. ${message.type === 'user' ? 'User' : 'Assistant'}: ${preview}\n`);
+      });
+      return;
+    }
+
+    try {
+      this.agentLoop.forkFrom(Number(messageNumber));
+      this.outputHandler.write(
+        `Forked after message ${messageNumber}. The original branch is kept; see /branches\n`,
+        { color: 'green' }
+      );
+    } catch (error) {
+      this.outputHandler.writeError(`Fork failed: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * List branches or switch to one
+   */
+  handleBranches(branchId) {
+    if (!this.agentLoop) {
+      this.outputHandler.write('Branching requires an agent conversation\n', { color: 'red' });
+      return;
+    }
+
+    if (branchId) {
+      try {
+        const branch = this.agentLoop.switchBranch(branchId);
+        this.outputHandler.write(
+          `Switched to branch ${branch.id.slice(0, 8)} (${branch.messageCount} messages)\n`,
+          { color: 'green' }
+        );
+      } catch (error) {
+        this.outputHandler.writeError(`Switch failed: ${error.message}\n`);
+      }
+      return;
+    }
+
+    const branches = this.agentLoop.getBranches();
+    if (branches.length === 0) {
+      this.outputHandler.write('No branches yet\n');
+      return;
+    }
+
+    this.outputHandler.write('Branches (use /branches <id> to switch):\n');
+    branches.forEach(branch => {
+      const marker = branch.current ? '*' : ' ';
+      const preview = branch.preview.slice(0, 50) + (branch.preview.length > 50 ? '...' : '');
+      this.outputHandler.write(`${marker} ${branch.id.slice(0, 8)}  ${branch.messageCount} messages  ${preview}\n`);
+    });
+  }
+
+  /**
+   * Get or set the session thinking budget
+   */
+  handleThink(value) {
+    if (!this.agentLoop) {
+      this.outputHandler.write('Thinking requires an agent conversation\n', { color: 'red' });
+      return;
+    }
+
+    if (value === undefined) {
+      const budget = this.agentLoop.thinkingBudget;
+      this.outputHandler.write(budget
+        ? `Thinking budget: ${budget.toLocaleString()} tokens\n`
+        : 'Thinking is off (prompts with "think", "think hard" or "ultrathink" still enable it)\n');
+      return;
+    }
+
+    try {
+      const budget = parseThinkingBudget(value);
+      this.agentLoop.setThinkingBudget(budget);
+      this.outputHandler.write(budget
+        ? `Thinking budget set to ${budget.toLocaleString()} tokens\n`
+        : 'Thinking turned off\n', { color: 'green' });
+    } catch (error) {
+      this.outputHandler.writeError(`${error.message}\n`);
+    }
+  }
+
+  /**
+   * Get or set the permission mode
+   * save makes it the default for new sessions in this project
+   */
+  handleMode(mode, save) {
+    if (!this.agentLoop) {
+      this.outputHandler.write('Permission modes require an agent conversation\n', { color: 'red' });
+      return;
+    }
+
+    if (mode === undefined) {
+      const current = this.agentLoop.context.toolPermissionContext.mode;
+      this.outputHandler.write(`Permission mode: ${PERMISSION_MODE_INFO[current].title}\n`);
+      this.outputHandler.write(`Modes: ${PERMISSION_MODES.join(', ')}\n`);
+      return;
+    }
+
+    try {
+      this.agentLoop.setPermissionMode(mode, { persist: save });
+    } catch (error) {
+      this.outputHandler.writeError(`${error.message}\n`);
+    }
+  }
+
+  /**
+   * List or edit permission rules and working directories
+   *   /permissions                          list rules by source and the working directories
+   *   /permissions add <allow|ask|deny> <rule>  save a rule to local settings
+   *   /permissions remove <rule>            remove a rule that is not read-only
+   *   /permissions add-dir <path>           add a working directory
+   *   /permissions remove-dir <path>        remove an added working directory
+   */
+  handlePermissions([action, ...args]) {
+    if (!this.agentLoop) {
+      this.outputHandler.write('Permissions require an agent conversation\n', { color: 'red' });
+      return;
+    }
+
+    const permissionContext = this.agentLoop.context.toolPermissionContext;
+    const rules = getPermissionContextRules(permissionContext);
+
+    switch (action) {
+      case undefined: {
+        for (const behavior of ['allow', 'ask', 'deny']) {
+          this.outputHandler.write(`${behavior}:\n`);
+
+          const behaviorRules = rules.filter(rule => rule.ruleBehavior === behavior);
+          if (behaviorRules.length === 0) {
+            this.outputHandler.write('  (none)\n', { color: 'gray' });
+          }
+          for (const rule of behaviorRules) {
+            const readOnly = rule.removable ? '' : ' (read-only)';
+            this.outputHandler.write(
+              `  ${formatPermissionRule(rule.ruleValue)}  ${getPermissionSourceDisplayName(rule.source)}${readOnly}\n`
+            );
+          }
+        }
+
+        this.outputHandler.write('Working directories:\n');
+        for (const directory of getWorkingDirectories(permissionContext)) {
+          const source = permissionContext.additionalWorkingDirectories.get(directory)?.source;
+          this.outputHandler.write(`  ${directory}${source ? `  ${getPermissionSourceDisplayName(source)}` : ''}\n`);
+        }
+        return;
+      }
+
+      case 'add': {
+        const [behavior, ...ruleParts] = args;
+        const ruleString = ruleParts.join(' ').trim();
+
+        if (!['allow', 'ask', 'deny'].includes(behavior) || !ruleString) {
+          this.outputHandler.writeError('Usage: /permissions add <allow|ask|deny> <rule>\n');
+          return;
+        }
+
+        const error = formatValidationError(ruleString);
+        if (error) {
+          this.outputHandler.writeError(`${error}\n`);
+          return;
+        }
+
+        const ruleValue = parsePermissionRule(ruleString);
+        this.agentLoop.updatePermissions([{ type: 'addRules', rules: [ruleValue], behavior, destination: 'localSettings' }]);
+        this.outputHandler.write(`Added ${behavior} rule ${formatPermissionRule(ruleValue)} to local settings\n`, { color: 'green' });
+        return;
+      }
+
+      case 'remove': {
+        const ruleString = formatPermissionRule(parsePermissionRule(args.join(' ').trim()));
+        const matches = rules.filter(rule => formatPermissionRule(rule.ruleValue) === ruleString);
+        const removable = matches.filter(rule => rule.removable);
+
+        if (matches.length === 0) {
+          this.outputHandler.writeError(`No permission rule ${ruleString}\n`);
+          return;
+        }
+        if (removable.length === 0) {
+          this.outputHandler.writeError(`${ruleString} is read-only (${getPermissionSourceDisplayName(matches[0].source)})\n`);
+          return;
+        }
+
+        this.agentLoop.updatePermissions(removable.map(rule => ({
+          type: 'removeRules',
+          rules: [rule.ruleValue],
+          behavior: rule.ruleBehavior,
+          destination: rule.source
+        })));
+        for (const rule of removable) {
+          this.outputHandler.write(
+            `Removed ${rule.ruleBehavior} rule ${ruleString} from ${getPermissionSourceDisplayName(rule.source)}\n`,
+            { color: 'green' }
+          );
+        }
+        return;
+      }
+
+      case 'add-dir': {
+        const directory = path.resolve(args.join(' ').trim() || '.');
+        const updates = createAddDirectoryUpdates(directory);
+
+        if (getWorkingDirectories(permissionContext).includes(directory)) {
+          this.outputHandler.writeError(`${directory} is already a working directory\n`);
+        } else if (!updates) {
+          this.outputHandler.writeError(`${directory} is not a directory\n`);
+        } else {
+          this.agentLoop.updatePermissions(updates);
+          this.outputHandler.write(`Added ${directory} as a working directory\n`, { color: 'green' });
+        }
+        return;
+      }
+
+      case 'remove-dir': {
+        const directory = path.resolve(args.join(' ').trim() || '.');
+        const entry = permissionContext.additionalWorkingDirectories.get(directory);
+
+        if (!entry) {
+          this.outputHandler.writeError(`${directory} is not an added working directory\n`);
+          return;
+        }
+
+        this.agentLoop.updatePermissions(createRemoveDirectoryUpdates(directory, entry.source || 'session'));
+        this.outputHandler.write(`Removed working directory ${directory}\n`, { color: 'green' });
+        return;
+      }
+
+      default:
+        this.outputHandler.writeError(`Unknown permissions action: ${action}\n`);
+    }
+  }
+
+  /**
+   * Summarize the conversation to free context
+   */
+  async handleCompact(instructions) {
+    if (!this.agentLoop) {
+      this.outputHandler.write('Compaction requires an agent conversation\n', { color: 'red' });
+      return;
+    }
+
+    this.outputHandler.write('Compacting conversation...\n', { color: 'gray' });
+
+    try {
+      const result = await this.agentLoop.compact({
+        trigger: 'manual',
+        customInstructions: instructions || null
+      });
+
+      if (result) {
+        this.outputHandler.write(
+          `Compacted ${result.originalCount} messages (~${result.tokenSavings} tokens saved)\n`,
+          { color: 'green' }
+        );
+      } else {
+        this.outputHandler.write('Nothing to compact\n');
+      }
+    } catch (error) {
+      this.outputHandler.writeError(`Compaction failed: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Rewind files and conversation to a checkpoint
+   * Without a checkpoint id, lists the checkpoints
+   */
+  handleRewind(checkpointId) {
+    if (!this.agentLoop?.checkpoints) {
+      this.outputHandler.write('Checkpointing is not enabled for this conversation\n', { color: 'red' });
+      return;
+    }
+
+    if (checkpointId === undefined) {
+      const checkpoints = this.agentLoop.checkpoints.listCheckpoints();
+      if (checkpoints.length === 0) {
+        this.outputHandler.write('No checkpoints yet\n');
+        return;
+      }
+
+      this.outputHandler.write('Checkpoints (use /rewind <n> to restore to before turn n):\n');
+      checkpoints.forEach(checkpoint => {
+        const preview = checkpoint.prompt.slice(0, 50) + (checkpoint.prompt.length > 50 ? '...' : '');
+        const files = checkpoint.files.length === 1 ? '1 file' : `${checkpoint.files.length} files`;
+        this.outputHandler.write(`  ${checkpoint.id}. ${preview} (${files})\n`);
+      });
+      return;
+    }
+
+    try {
+      const result = this.agentLoop.rewind(Number(checkpointId));
+      const fileCount = result.restoredFiles.length + result.deletedFiles.length;
+
+      this.outputHandler.write(`Restored ${fileCount} file${fileCount !== 1 ? 's' : ''}\n`, { color: 'green' });
+      if (result.conversationRestored) {
+        this.outputHandler.write(`Conversation rewound to before: ${result.checkpoint.prompt}\n`, { color: 'green' });
+      } else {
+        this.outputHandler.write('Conversation was compacted since this checkpoint and was not rewound\n', { color: 'yellow' });
+      }
+    } catch (error) {
+      this.outputHandler.writeError(`Rewind failed: ${error.message}\n`);
+    }
+  }
+
   /**
    * Show prompt
    */
@@ -722,7 +1177,12 @@ export class ConversationLoop extends EventEmitter {
     const prompt = this.inputHandler.mode === InputMode.MULTILINE
       ? this.multilinePrompt
       : this.prompt;
+    const mode = this.agentLoop?.context.toolPermissionContext.mode;
 
+    if (mode && mode !== 'default') {
+      const { symbol, color } = PERMISSION_MODE_INFO[mode];
+      this.outputHandler.write(`${symbol} ${mode} `, { color });
+    }
     this.outputHandler.write(prompt, { color: 'cyan' });
   }
 
@@ -738,6 +1198,14 @@ Available commands:
   /context      - Show context information
   /multiline    - Enter multiline mode
   /model [name] - Get or set model
+  /fork [n]     - Branch the conversation after message n
+  /branches [id] - List branches or switch to one
+  /rewind [n]   - Restore files and conversation to before turn n
+  /compact [instructions] - Summarize the conversation to free context
+  /think [tokens|on|off] - Get or set the thinking budget for this session
+  /mode [name] [--save] - Get or set the permission mode; --save makes it the default
+  /permissions [add <allow|ask|deny> <rule> | remove <rule> | add-dir <path> | remove-dir <path>]
+                - List or edit permission rules and working directories
   exit/quit/bye - Exit conversation
 
 Special keys:
@@ -905,6 +1373,28 @@ Special keys:
   }
 }
 
+/**
+ * Get text blocks of an agent message
+ */
+function getTextContent(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+
+  return (message.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * Describe non-text blocks of an agent message
+ */
+function describeBlocks(message) {
+  return (message.content || [])
+    .map(block => block.type === 'tool_use' ? `[${block.name}]` : `[${block.type}]`)
+    .join(' ');
+}
+
 // Export utility functions
 export function createConversationLoop(options) {
   return new ConversationLoop(options);
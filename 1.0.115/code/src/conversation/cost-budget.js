@@ -0,0 +1,151 @@
+/**
+ * Cost Budgets
+ * Session, daily and per-project spend limits
+ *
+ * Settings:
+ *   maxSessionCostUsd       spend of this session
+ *   maxDailyCostUsd         spend today across all projects
+ *   maxProjectDailyCostUsd  spend today in this project
+ *   costWarningThreshold    share of a budget that triggers a warning (0.8)
+ *
+ * A warning is emitted once per budget. Past a budget the loop asks for
+ * confirmation; once confirmed, that budget is not enforced again this session.
+ */
+
+import { EventEmitter } from 'events';
+import { getGlobalConfig } from '../config/configuration-system.js';
+import { calculateUsageCost } from './token-management.js';
+import { SpendStore } from '../session/spend-store.js';
+import { getCwd } from '../utils/cwd.js';
+
+const DEFAULT_WARNING_THRESHOLD = 0.8;
+
+const BUDGETS = [
+  { scope: 'session', setting: 'maxSessionCostUsd', label: 'session' },
+  { scope: 'daily', setting: 'maxDailyCostUsd', label: 'daily' },
+  { scope: 'project', setting: 'maxProjectDailyCostUsd', label: 'daily project' }
+];
+
+/**
+ * Format a USD amount
+ */
+function formatCost(costUsd) {
+  return `$${costUsd.toFixed(costUsd < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Cost budget tracker
+ */
+class CostBudget extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const settings = { ...getGlobalConfig(), ...options.settings };
+
+    this.project = options.project || getCwd();
+    this.store = options.store || new SpendStore();
+    this.limits = Object.fromEntries(
+      BUDGETS.map(({ scope, setting }) => [scope, settings[setting] > 0 ? settings[setting] : null])
+    );
+    this.warningThreshold = settings.costWarningThreshold ?? DEFAULT_WARNING_THRESHOLD;
+    this.sessionCostUsd = 0;
+    this.warned = new Set();
+    this.approved = new Set();
+  }
+
+  /**
+   * Check if any budget is configured
+   */
+  isEnabled() {
+    return Object.values(this.limits).some(limit => limit !== null);
+  }
+
+  /**
+   * Record the cost of an API response
+   * Spend is always persisted so `claude usage` has history
+   */
+  record(model, usage) {
+    const costUsd = calculateUsageCost(model, usage);
+
+    this.sessionCostUsd += costUsd;
+    this.store.record({ project: this.project, model, costUsd, usage });
+
+    this.checkWarnings();
+    return costUsd;
+  }
+
+  /**
+   * Get current spend for a budget
+   */
+  getSpend(scope) {
+    switch (scope) {
+      case 'session':
+        return this.sessionCostUsd;
+      case 'daily':
+        return this.store.getDailySpend();
+      case 'project':
+        return this.store.getDailySpend({ project: this.project });
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Get status of each configured budget
+   */
+  getStatus() {
+    return BUDGETS
+      .filter(({ scope }) => this.limits[scope] !== null)
+      .map(({ scope, label }) => ({
+        scope,
+        label,
+        limitUsd: this.limits[scope],
+        spentUsd: this.getSpend(scope)
+      }));
+  }
+
+  /**
+   * Emit a warning for budgets past the threshold
+   */
+  checkWarnings() {
+    for (const status of this.getStatus()) {
+      if (this.warned.has(status.scope)) continue;
+      if (status.spentUsd < status.limitUsd * this.warningThreshold) continue;
+
+      this.warned.add(status.scope);
+      this.emit('warning', {
+        ...status,
+        message: `${formatCost(status.spentUsd)} of the ${formatCost(status.limitUsd)} ${status.label} budget used`
+      });
+    }
+  }
+
+  /**
+   * Get the first budget that is used up and not yet approved
+   */
+  getExceededBudget() {
+    const status = this.getStatus().find(({ scope, spentUsd, limitUsd }) =>
+      !this.approved.has(scope) && spentUsd >= limitUsd
+    );
+
+    if (!status) return null;
+
+    return {
+      ...status,
+      message: `The ${status.label} cost budget of ${formatCost(status.limitUsd)} is used up ` +
+        `(${formatCost(status.spentUsd)} spent)`
+    };
+  }
+
+  /**
+   * Allow spending past a budget for the rest of the session
+   */
+  approve(scope) {
+    this.approved.add(scope);
+  }
+}
+
+export {
+  CostBudget,
+  formatCost,
+  BUDGETS
+};
\ No newline at end of file
@@ -4,51 +4,451 @@
  */
 
 import { EventEmitter } from 'events';
-import { performToolUse } from './tool-execution.js';
+import { randomUUID } from 'crypto';
+import path from 'path';
+import { ToolExecutor } from './tool-execution.js';
 import { calculateTokenUsage } from './token-management.js';
-import { applyMicrocompaction } from './microcompaction.js';
+import { TokenCounter, countToolTokens, buildContextUsageData } from './token-counting.js';
+import { applyMicrocompaction, compactConversation } from './microcompaction.js';
+import { createAnthropicClient } from '../api/anthropic-client.js';
+import { getContextWindow, getOutputLimit, getDefaultModel, resolveModelAlias } from '../api/model-catalog.js';
+import { ModelFallbackManager } from '../api/model-fallback.js';
+import { HOOK_EVENTS, executeHooks } from '../hooks/hook-system.js';
+import {
+  SessionTranscript,
+  SessionStore,
+  setCurrentSession,
+  buildMessagePath,
+  getMessageText
+} from '../session/session-store.js';
+import { CheckpointStore, isCheckpointingEnabled } from '../session/checkpoint-store.js';
+import {
+  getDefaultThinkingBudget,
+  modelSupportsThinking,
+  resolveThinkingBudget,
+  buildThinkingParam,
+  isSignedThinkingBlock,
+  getThinkingText
+} from './thinking.js';
+import { addCacheBreakpoints, isPromptCachingEnabled, getCacheHitRate } from './prompt-caching.js';
+import { CostBudget } from './cost-budget.js';
+import { getCwd, runWithCwd } from '../utils/cwd.js';
+import {
+  PLAN_MODE_PROMPT,
+  isValidPermissionMode,
+  isBypassPermissionsModeDisabled,
+  getDefaultPermissionMode,
+  getNextPermissionMode
+} from '../permissions/permission-modes.js';
+import {
+  loadPermissionRulesFromSettings,
+  applyPermissionUpdates,
+  persistPermissionUpdate,
+  persistPermissionUpdates
+} from '../permissions/permission-system.js';
 
 const MAX_CONVERSATION_TOKENS = 200000;
 const AUTO_COMPACT_THRESHOLD = 150000;
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+const MAX_CONTINUATIONS = 3;
+
+const API_BETAS = [
+  'pdfs-2024-09-25',
+  'prompt-caching-2024-07-31',
+  'computer-use-2024-10-22',
+  'token-counting-2024-11-01'
+];
+
+const CONTINUATION_PROMPT = 'Your response was cut off because it exceeded the output token limit. ' +
+  'Continue exactly where you left off, without repeating anything you already wrote.';
 
 class ConversationLoop extends EventEmitter {
   constructor(options = {}) {
     super();
+    // Settings, sessions and tools are read relative to the loop's directory
+    this.cwd = options.cwd ? path.resolve(options.cwd) : getCwd();
+    runWithCwd(this.cwd, () => this.initialize(options));
+  }
+
+  /**
+   * Set up conversation state, tools and the first session
+   */
+  initialize(options) {
     this.messages = [];
+    // Every message across all branches, keyed by uuid
+    this.messageIndex = new Map();
+    // Sub-agents start from a copy of their parent's permissions
     this.context = {
-      toolPermissionContext: {
-        mode: 'ask',
+      toolPermissionContext: options.toolPermissionContext || loadPermissionRulesFromSettings({
+        mode: 'default',
         alwaysAllowRules: {},
         alwaysDenyRules: {},
+        alwaysAskRules: {},
         additionalWorkingDirectories: new Map()
-      },
+      }),
       inProgressToolUseIDs: new Set(),
       erroredToolUseIDs: new Set(),
       resolvedToolUseIDs: new Set()
     };
     this.options = {
-      maxThinkingTokens: 100000,
-      mainLoopModel: 'claude-3-5-sonnet-20241022',
-      ...options
+      maxThinkingTokens: getDefaultThinkingBudget(),
+      checkpointing: isCheckpointingEnabled(),
+      ...options,
+      mainLoopModel: resolveModelAlias(options.mainLoopModel) || getDefaultModel()
     };
     this.abortController = new AbortController();
+    // Session budget; keywords in a prompt can raise it for one turn
+    this.thinkingBudget = this.options.maxThinkingTokens;
+    this.turnThinkingBudget = 0;
+    // Raised to the model's output limit after a max_tokens stop
+    this.maxOutputTokens = this.options.maxOutputTokens ||
+      parseInt(process.env.CLAUDE_CODE_MAX_OUTPUT_TOKENS, 10) ||
+      DEFAULT_MAX_OUTPUT_TOKENS;
     this.tokenUsage = {
       input: 0,
       output: 0,
       cacheCreation: 0,
+      cacheRead: 0,
       total: 0
     };
+    this.tokenCounter = new TokenCounter({
+      mode: this.options.tokenCountingMode,
+      model: this.options.mainLoopModel,
+      apiClient: this.options.tokenCountingMode === 'exact' ? this.getApiClient() : null
+    });
+    this.toolExecutor = this.options.toolExecutor || new ToolExecutor({
+      maxConcurrent: this.options.maxConcurrentTools,
+      permissionPrompt: this.options.permissionPrompt,
+      // Interactive users answer in their own time
+      permissionTimeout: this.options.isNonInteractiveSession ? undefined : 0
+    });
+    this.toolExecutor.registerTools(this.options.tools || []);
+    this.toolExecutor.on('permission:request', request => this.handlePermissionRequest(request));
+    // Overloaded requests move to smaller models for a while
+    this.modelFallback = null;
+    this.setModel(this.options.mainLoopModel);
+    // Sub-agents share their parent's budget, which reports its warnings
+    this.costBudget = this.options.costBudget || new CostBudget({ project: this.cwd });
+    if (!this.options.costBudget) {
+      this.costBudget.on('warning', event => this.emit('budget:warning', event));
+    }
+    this.transcript = null;
+    this.checkpoints = null;
+    this.setPermissionMode(
+      this.options.permissionMode ||
+      this.options.toolPermissionContext?.mode ||
+      getDefaultPermissionMode()
+    );
+    this.startSession(this.options.sessionId);
+  }
+
+  /**
+   * Start a new session transcript
+   */
+  startSession(sessionId = randomUUID()) {
+    this.sessionId = sessionId;
+    this.resetCheckpoints();
+
+    if (this.options.persistSession === false) {
+      this.transcript = null;
+      return;
+    }
+
+    this.transcript = new SessionTranscript({
+      sessionId,
+      cwd: this.cwd,
+      model: this.options.mainLoopModel
+    });
+    setCurrentSession(this.transcript);
+  }
+
+  /**
+   * Start a fresh checkpoint store for the current session
+   */
+  resetCheckpoints() {
+    this.checkpoints = this.options.checkpointing
+      ? new CheckpointStore({ sessionId: this.sessionId, cwd: this.cwd })
+      : null;
+  }
+
+  /**
+   * Resume a persisted session
+   */
+  resumeSession(sessionId, store = new SessionStore()) {
+    const session = store.loadSession(sessionId);
+
+    this.clear({ keepSession: true });
+    this.sessionId = session.sessionId;
+    this.resetCheckpoints();
+    this.messages = session.messages;
+    this.messageIndex = new Map(session.tree.map(message => [message.uuid, message]));
+    this.rebuildToolState();
+
+    this.tokenUsage = {
+      input: session.usage.input,
+      output: session.usage.output,
+      cacheCreation: session.usage.cacheCreation,
+      cacheRead: session.usage.cacheRead,
+      total: session.usage.total
+    };
+
+    if (this.options.persistSession !== false) {
+      this.transcript = new SessionTranscript({
+        sessionId: session.sessionId,
+        cwd: session.cwd || this.cwd,
+        model: this.options.mainLoopModel,
+        transcriptPath: session.transcriptPath,
+        lastUuid: this.messages[this.messages.length - 1]?.uuid || null
+      });
+      setCurrentSession(this.transcript);
+    }
+
+    this.emit('session:resume', {
+      sessionId: session.sessionId,
+      messageCount: this.messages.length
+    });
+
+    return session;
+  }
+
+  /**
+   * Rebuild tool bookkeeping from results on the current branch
+   */
+  rebuildToolState() {
+    this.context.inProgressToolUseIDs.clear();
+    this.context.erroredToolUseIDs.clear();
+    this.context.resolvedToolUseIDs.clear();
+
+    for (const message of this.messages) {
+      if (!Array.isArray(message.content)) continue;
+
+      for (const block of message.content) {
+        if (block.type !== 'tool_result') continue;
+
+        if (block.is_error) {
+          this.context.erroredToolUseIDs.add(block.tool_use_id);
+        } else {
+          this.context.resolvedToolUseIDs.add(block.tool_use_id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Append message to conversation and transcript
+   * The message becomes a child of the current branch tip
+   */
+  appendMessage(message) {
+    message.uuid = message.uuid || randomUUID();
+    message.parentUuid = this.messages[this.messages.length - 1]?.uuid || null;
+
+    this.messages.push(message);
+    this.messageIndex.set(message.uuid, message);
+    this.transcript?.recordMessage(message);
+
+    return message;
+  }
+
+  /**
+   * Fork the conversation after a message on the current branch
+   * Original path is kept; the next message starts a new branch
+   */
+  forkFrom(messageNumber) {
+    if (!Number.isInteger(messageNumber) || messageNumber < 0 || messageNumber > this.messages.length) {
+      throw new Error(`Message number must be between 0 and ${this.messages.length}`);
+    }
+
+    const forkPoint = this.messages[messageNumber - 1];
+    if (forkPoint?.type === 'assistant' &&
+        forkPoint.content.some(block => block.type === 'tool_use')) {
+      throw new Error('Cannot fork from a message that is waiting for tool results');
+    }
+
+    this.messages = this.messages.slice(0, messageNumber);
+    this.rebuildToolState();
+    this.recordActiveBranch();
+
+    this.emit('branch:fork', {
+      parentUuid: forkPoint?.uuid || null,
+      messageCount: this.messages.length
+    });
+
+    return forkPoint || null;
+  }
+
+  /**
+   * List branches of the conversation tree
+   */
+  getBranches() {
+    const parents = new Set();
+    for (const message of this.messageIndex.values()) {
+      if (message.parentUuid) parents.add(message.parentUuid);
+    }
+
+    const currentTip = this.messages[this.messages.length - 1] || null;
+    const tips = [...this.messageIndex.values()].filter(message => !parents.has(message.uuid));
+
+    // A fresh fork has no messages of its own yet
+    if (currentTip && !tips.includes(currentTip)) {
+      tips.push(currentTip);
+    }
+
+    return tips.map(tip => {
+      const path = buildMessagePath(this.messageIndex, tip.uuid);
+      const lastPrompt = [...path].reverse().find(message =>
+        message.type === 'user' && getMessageText(message)
+      );
+
+      return {
+        id: tip.uuid,
+        messageCount: path.length,
+        preview: lastPrompt ? getMessageText(lastPrompt) : '',
+        current: tip === currentTip
+      };
+    });
+  }
+
+  /**
+   * Switch to another branch by tip id or unambiguous prefix
+   */
+  switchBranch(branchId) {
+    const matches = this.getBranches().filter(branch => branch.id.startsWith(branchId));
+
+    if (matches.length === 0) {
+      throw new Error(`Branch not found: ${branchId}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Branch id "${branchId}" is ambiguous (${matches.length} matches)`);
+    }
+
+    this.messages = buildMessagePath(this.messageIndex, matches[0].id);
+    this.rebuildToolState();
+    this.recordActiveBranch();
+
+    this.emit('branch:switch', {
+      branchId: matches[0].id,
+      messageCount: this.messages.length
+    });
+
+    return matches[0];
+  }
+
+  /**
+   * Rewind files and conversation to before a checkpoint's prompt
+   * The rewound turns stay in the tree as a separate branch
+   */
+  rewind(checkpointId) {
+    if (!this.checkpoints) {
+      throw new Error('Checkpointing is disabled');
+    }
+
+    const { checkpoint, restoredFiles, deletedFiles } = this.checkpoints.rewind(checkpointId);
+
+    // Turns before a compaction can no longer be addressed
+    const conversationRestored = !checkpoint.parentUuid ||
+      this.messageIndex.has(checkpoint.parentUuid);
+
+    if (conversationRestored) {
+      this.messages = buildMessagePath(this.messageIndex, checkpoint.parentUuid);
+      this.rebuildToolState();
+      this.recordActiveBranch();
+    }
+
+    const result = {
+      checkpoint,
+      restoredFiles,
+      deletedFiles,
+      conversationRestored
+    };
+
+    this.emit('checkpoint:rewind', result);
+    return result;
+  }
+
+  /**
+   * Record the current branch tip so resume continues from it
+   */
+  recordActiveBranch() {
+    const tipUuid = this.messages[this.messages.length - 1]?.uuid || null;
+
+    this.transcript?.append({
+      type: 'system',
+      subtype: 'active_branch',
+      leafUuid: tipUuid,
+      sessionId: this.sessionId,
+      timestamp: new Date().toISOString()
+    });
+    if (this.transcript) this.transcript.lastUuid = tipUuid;
+  }
+
+  /**
+   * Set the session thinking budget
+   * Zero disables thinking unless a prompt asks for it
+   */
+  setThinkingBudget(budget) {
+    this.thinkingBudget = budget;
+    this.emit('thinking:budget', { budget });
+  }
+
+  /**
+   * Set the permission mode
+   * persist saves it as the default mode in local settings
+   */
+  setPermissionMode(mode, { persist = false } = {}) {
+    if (!isValidPermissionMode(mode)) {
+      throw new Error(`Unknown permission mode: ${mode}`);
+    }
+    if (mode === 'bypassPermissions' && isBypassPermissionsModeDisabled()) {
+      throw new Error('bypassPermissions mode is disabled by policy');
+    }
+
+    this.context.toolPermissionContext.mode = mode;
+    this.emit('permission:mode', { mode });
+
+    if (persist) {
+      runWithCwd(this.cwd, () => persistPermissionUpdate({ type: 'setMode', mode, destination: 'localSettings' }));
+    }
+  }
+
+  /**
+   * Switch to the next permission mode
+   */
+  cyclePermissionMode() {
+    const mode = getNextPermissionMode(this.context.toolPermissionContext.mode);
+    this.setPermissionMode(mode);
+    return mode;
   }
 
   /**
    * Process user input
+   * The turn runs in the loop's working directory
    */
-  async processUserInput(input, precedingBlocks = []) {
+  processUserInput(input, precedingBlocks = []) {
+    return runWithCwd(this.cwd, () => this.runTurn(input, precedingBlocks));
+  }
+
+  /**
+   * Run one turn from a user prompt
+   */
+  async runTurn(input, precedingBlocks) {
     this.emit('input:start', { input });
 
+    // Checkpoint files before the assistant acts on this prompt
+    this.checkpoints?.createCheckpoint({
+      parentUuid: this.messages[this.messages.length - 1]?.uuid || null,
+      prompt: input
+    });
+
+    // Budget stays fixed for the whole turn, including tool-use requests
+    this.turnThinkingBudget = resolveThinkingBudget({
+      prompt: input,
+      sessionBudget: this.thinkingBudget,
+      model: this.getModel()
+    });
+
     // Create user message
     const userMessage = this.createUserMessage(input, precedingBlocks);
-    this.messages.push(userMessage);
+    this.appendMessage(userMessage);
 
     // Check token limits
     const tokenCount = await this.estimateTokenCount();
@@ -69,215 +469,408 @@ class ConversationLoop extends EventEmitter {
 
   /**
    * Query the assistant
+   * Runs requested tools and queries again until the turn ends
    */
   async queryAssistant() {
-    const systemPrompt = await this.buildSystemPrompt();
-    const stream = await this.streamCompletion(systemPrompt);
+    // abort() replaces the controller, so the turn keeps the signal it started with
+    const signal = this.abortController.signal;
+    let assistantMessage = await this.streamAssistantMessage(signal);
+    let continuations = 0;
+    let turns = 1;
 
-    const assistantMessage = {
-      type: 'assistant',
-      content: [],
-      usage: null,
-      thinking: null
-    };
-
-    let currentToolUse = null;
-    let thinking = '';
-    let inThinkingBlock = false;
-
-    for await (const event of stream) {
-      switch (event.type) {
-        case 'content_block_start':
-          if (event.content_block.type === 'thinking') {
-            inThinkingBlock = true;
-          } else if (event.content_block.type === 'tool_use') {
-            currentToolUse = {
-              id: event.content_block.id,
-              name: event.content_block.name,
-              input: ''
-            };
-          }
-          break;
-
-        case 'content_block_delta':
-          if (inThinkingBlock) {
-            thinking += event.delta.text || '';
-          } else if (currentToolUse && event.delta.partial_json) {
-            currentToolUse.input += event.delta.partial_json;
-          } else if (event.delta.text) {
-            if (!assistantMessage.content.length ||
-                assistantMessage.content[assistantMessage.content.length - 1].type !== 'text') {
-              assistantMessage.content.push({ type: 'text', text: '' });
-            }
-            assistantMessage.content[assistantMessage.content.length - 1].text += event.delta.text;
-            this.emit('stream:delta', { text: event.delta.text });
-          }
-          break;
-
-        case 'content_block_stop':
-          if (inThinkingBlock) {
-            assistantMessage.thinking = thinking;
-            inThinkingBlock = false;
-          } else if (currentToolUse) {
-            try {
-              currentToolUse.input = JSON.parse(currentToolUse.input);
-            } catch {}
-
-            assistantMessage.content.push({
-              type: 'tool_use',
-              id: currentToolUse.id,
-              name: currentToolUse.name,
-              input: currentToolUse.input
-            });
-
-            // Execute tool
-            await this.executeToolUse(currentToolUse);
-            currentToolUse = null;
-          }
-          break;
+    while (true) {
+      if (assistantMessage.stopReason === 'max_tokens') {
+        this.raiseOutputLimit();
+      }
 
-        case 'message_delta':
-          if (event.delta.usage) {
-            assistantMessage.usage = event.delta.usage;
-            this.updateTokenUsage(event.delta.usage);
-          }
-          break;
+      const toolUses = assistantMessage.content.filter(block => block.type === 'tool_use');
 
-        case 'message_stop':
-          this.messages.push(assistantMessage);
-          this.emit('message:complete', { message: assistantMessage });
-          break;
+      if (toolUses.length > 0) {
+        await this.executeToolUses(toolUses, assistantMessage.toolInputErrors);
 
-        case 'error':
-          throw new Error(event.error.message);
+        if (this.options.maxTurns && turns >= this.options.maxTurns) {
+          const error = new Error(`Reached maximum number of turns (${this.options.maxTurns})`);
+          error.code = 'MAX_TURNS';
+          throw error;
+        }
+        turns++;
+      } else if (assistantMessage.stopReason === 'max_tokens' && continuations < MAX_CONTINUATIONS) {
+        continuations++;
+        this.emit('message:continue', { continuations });
+        this.appendMessage({
+          type: 'user',
+          content: [{ type: 'text', text: CONTINUATION_PROMPT }],
+          isMeta: true
+        });
+      } else {
+        if (assistantMessage.stopReason === 'max_tokens') {
+          this.emit('message:truncated', { message: assistantMessage, maxTokens: this.maxOutputTokens });
+        }
+        break;
       }
+
+      // Tool results of an aborted turn are not sent
+      signal.throwIfAborted();
+      assistantMessage = await this.streamAssistantMessage(signal);
     }
 
     return assistantMessage;
   }
 
   /**
-   * Execute tool use
+   * Set the main model
+   * Starts a new fallback chain from it, so an earlier downgrade is dropped
    */
-  async executeToolUse(toolUse) {
-    this.context.inProgressToolUseIDs.add(toolUse.id);
-    this.emit('tool:start', { toolUse });
+  setModel(model) {
+    const mainLoopModel = resolveModelAlias(model) || getDefaultModel();
 
-    try {
-      const result = await performToolUse(toolUse, this.context);
-
-      const toolResultMessage = {
-        type: 'user',
-        content: [{
-          type: 'tool_result',
-          tool_use_id: toolUse.id,
-          content: result.content,
-          is_error: result.is_error || false
-        }]
-      };
+    this.options.mainLoopModel = mainLoopModel;
+    this.tokenCounter.model = mainLoopModel;
+    this.transcript?.setModel(mainLoopModel);
 
-      this.messages.push(toolResultMessage);
-      this.context.resolvedToolUseIDs.add(toolUse.id);
-      this.emit('tool:complete', { toolUse, result });
+    this.modelFallback?.removeAllListeners();
+    this.modelFallback = new ModelFallbackManager({
+      primaryModel: mainLoopModel,
+      models: this.options.fallbackModels
+    });
+    this.modelFallback.on('fallback', event => this.emit('model:fallback', event));
+    this.modelFallback.on('restore', event => this.emit('model:restored', event));
 
-      // Continue conversation if needed
-      if (!result.is_error) {
-        await this.queryAssistant();
-      }
-    } catch (error) {
-      this.context.erroredToolUseIDs.add(toolUse.id);
-      this.emit('tool:error', { toolUse, error });
-
-      const errorMessage = {
-        type: 'user',
-        content: [{
-          type: 'tool_result',
-          tool_use_id: toolUse.id,
-          content: `Error: ${error.message}`,
-          is_error: true
-        }]
-      };
+    this.emit('model:change', { model: mainLoopModel });
+  }
 
-      this.messages.push(errorMessage);
-    } finally {
-      this.context.inProgressToolUseIDs.delete(toolUse.id);
-    }
+  /**
+   * Get model for the next request
+   * The primary model unless a fallback is active
+   */
+  getModel() {
+    return this.modelFallback.getModel();
   }
 
   /**
-   * Stream completion from API
+   * Get the output limit of the current model
    */
-  async streamCompletion(systemPrompt) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': this.options.apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-beta': 'pdfs-2024-09-25,prompt-caching-2024-07-31,computer-use-2024-10-22,token-counting-2024-11-01'
-      },
-      body: JSON.stringify({
-        model: this.options.mainLoopModel,
-        max_tokens: 8192,
-        system: systemPrompt,
-        messages: this.messages,
-        stream: true,
-        tools: this.options.tools || [],
-        metadata: {
-          user_id: this.options.userId
+  getOutputLimit() {
+    return getOutputLimit(this.getModel());
+  }
+
+  /**
+   * Raise max_tokens to the model's output limit for later requests
+   */
+  raiseOutputLimit() {
+    const outputLimit = this.getOutputLimit();
+    if (this.maxOutputTokens >= outputLimit) return false;
+
+    this.maxOutputTokens = outputLimit;
+    this.emit('output:limit', { maxTokens: outputLimit });
+    return true;
+  }
+
+  /**
+   * Get max_tokens and thinking budget for the next request
+   * Thinking counts toward max_tokens, so the budget is added on top
+   */
+  getRequestLimits() {
+    const outputLimit = this.getOutputLimit();
+    // A fallback model may not support thinking
+    const thinkingBudget = modelSupportsThinking(this.getModel()) ? this.turnThinkingBudget : 0;
+    const maxTokens = Math.min(outputLimit, this.maxOutputTokens + thinkingBudget);
+
+    return {
+      maxTokens,
+      thinkingBudget: thinkingBudget
+        ? Math.min(thinkingBudget, maxTokens - 1)
+        : 0
+    };
+  }
+
+  /**
+   * Stream one assistant message
+   * Retries on the next fallback model while the current one is overloaded
+   */
+  async streamAssistantMessage(signal = this.abortController.signal) {
+    await this.enforceCostBudget();
+
+    while (true) {
+      signal.throwIfAborted();
+
+      try {
+        return await this.streamModelResponse(signal);
+      } catch (error) {
+        // Output already shown can not be taken back, so only a failure
+        // before the first content block moves to a fallback model
+        if (signal.aborted || error.partialResponse || !this.modelFallback.handleError(error)) {
+          throw error;
         }
-      }),
-      signal: this.abortController.signal
+      }
+    }
+  }
+
+  /**
+   * Stop before a request that would spend past a budget
+   * Interactive sessions may confirm to continue; others stop
+   */
+  async enforceCostBudget() {
+    const exceeded = this.costBudget.getExceededBudget();
+    if (!exceeded) return;
+
+    const canConfirm = !this.options.isNonInteractiveSession && this.listenerCount('budget:confirm') > 0;
+    const approved = canConfirm && await new Promise(resolve => {
+      this.emit('budget:confirm', { ...exceeded, callback: resolve });
     });
 
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
+    if (!approved) {
+      const error = new Error(exceeded.message);
+      error.code = 'BUDGET_EXCEEDED';
+      throw error;
     }
 
-    return this.parseSSEStream(response.body);
+    this.costBudget.approve(exceeded.scope);
   }
 
   /**
-   * Parse SSE stream
+   * Stream one response from the current model
    */
-  async *parseSSEStream(body) {
-    const reader = body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
+  async streamModelResponse(signal = this.abortController.signal) {
+    const systemPrompt = await this.buildSystemPrompt();
+    const limits = this.getRequestLimits();
+    const stream = await this.streamCompletion(systemPrompt, limits, signal);
 
-    while (true) {
-      const { done, value } = await reader.read();
+    const assistantMessage = {
+      type: 'assistant',
+      content: [],
+      usage: null,
+      thinking: null,
+      stopReason: null
+    };
+    const toolInputErrors = {};
+
+    let currentBlock = null;
+    let partialJson = '';
+    let started = false;
+
+    try {
+      for await (const event of stream) {
+        switch (event.type) {
+          // Input and cache tokens are only reported here
+          case 'message_start':
+            assistantMessage.usage = event.message?.usage || null;
+            break;
+
+          case 'content_block_start':
+            started = true;
+            currentBlock = { ...event.content_block };
+            partialJson = '';
+
+            if (currentBlock.type === 'thinking') {
+              currentBlock.thinking = currentBlock.thinking || '';
+              currentBlock.signature = currentBlock.signature || '';
+              this.emit('thinking:start');
+            } else if (currentBlock.type === 'text') {
+              currentBlock.text = currentBlock.text || '';
+            }
+            break;
 
-      if (done) break;
+          case 'content_block_delta':
+            switch (event.delta.type) {
+              case 'thinking_delta':
+                currentBlock.thinking += event.delta.thinking;
+                this.emit('thinking:delta', { text: event.delta.thinking });
+                break;
 
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
+              case 'signature_delta':
+                currentBlock.signature += event.delta.signature;
+                break;
 
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') return;
+              case 'input_json_delta':
+                partialJson += event.delta.partial_json;
+                break;
 
-          try {
-            const event = JSON.parse(data);
-            yield event;
-          } catch (error) {
-            console.error('Failed to parse SSE event:', error);
+              case 'text_delta':
+                currentBlock.text += event.delta.text;
+                this.emit('stream:delta', { text: event.delta.text });
+                break;
+            }
+            break;
+
+          case 'content_block_stop':
+            if (!currentBlock) break;
+
+            if (currentBlock.type === 'tool_use') {
+              try {
+                currentBlock.input = partialJson ? JSON.parse(partialJson) : {};
+              } catch (error) {
+                // The API requires an object; the model is told about the failure instead
+                currentBlock.input = {};
+                toolInputErrors[currentBlock.id] = `Invalid tool input: ${error.message}`;
+              }
+            } else if (currentBlock.type === 'thinking') {
+              this.emit('thinking:complete', { thinking: currentBlock.thinking });
+            }
+
+            // Blocks are kept verbatim so thinking signatures still verify
+            // Tools run after the message completes
+            assistantMessage.content.push(currentBlock);
+            currentBlock = null;
+            break;
+
+          case 'message_delta': {
+            if (event.delta.stop_reason) {
+              assistantMessage.stopReason = event.delta.stop_reason;
+            }
+
+            const usage = event.usage || event.delta.usage;
+            if (usage) {
+              assistantMessage.usage = { ...assistantMessage.usage, ...usage };
+            }
+            break;
+          }
+
+          case 'message_stop':
+            this.updateTokenUsage(assistantMessage.usage);
+            if (Object.keys(toolInputErrors).length > 0) {
+              assistantMessage.toolInputErrors = describeToolInputErrors(
+                toolInputErrors,
+                assistantMessage.stopReason,
+                limits.maxTokens
+              );
+            }
+            assistantMessage.thinking = getThinkingText(assistantMessage.content) || null;
+            this.appendMessage(assistantMessage);
+            this.emit('message:complete', { message: assistantMessage });
+            break;
+
+          case 'error': {
+            const error = new Error(event.error.message);
+            error.type = event.error.type;
+            throw error;
           }
         }
       }
+    } catch (error) {
+      error.partialResponse = started;
+      throw error;
     }
+
+    return assistantMessage;
+  }
+
+  /**
+   * Execute tool uses of one assistant message
+   * All results go back to the model in a single user message
+   * Tools with unparseable input are not run and report an error instead
+   */
+  async executeToolUses(toolUses, toolInputErrors = {}) {
+    const runnable = toolUses.filter(toolUse => !toolInputErrors[toolUse.id]);
+
+    for (const toolUse of toolUses) {
+      if (toolInputErrors[toolUse.id]) {
+        this.context.erroredToolUseIDs.add(toolUse.id);
+        this.emit('tool:error', { toolUse, error: new Error(toolInputErrors[toolUse.id]) });
+        continue;
+      }
+
+      this.context.inProgressToolUseIDs.add(toolUse.id);
+      this.emit('tool:start', { toolUse });
+
+      // Snapshot before any tool in the batch can modify files
+      this.checkpoints?.captureToolInput(toolUse.name, toolUse.input);
+    }
+
+    const runResults = await this.toolExecutor.performToolUses(
+      runnable,
+      this.getToolUseContext(),
+      (toolUse, result) => {
+        this.context.inProgressToolUseIDs.delete(toolUse.id);
+
+        if (result.is_error) {
+          this.context.erroredToolUseIDs.add(toolUse.id);
+          this.emit('tool:error', { toolUse, error: new Error(result.content) });
+        } else {
+          this.context.resolvedToolUseIDs.add(toolUse.id);
+          this.emit('tool:complete', { toolUse, result });
+        }
+      }
+    );
+
+    const results = toolUses.map(toolUse => toolInputErrors[toolUse.id]
+      ? { content: toolInputErrors[toolUse.id], is_error: true }
+      : runResults[runnable.indexOf(toolUse)]);
+
+    const toolUseResults = {};
+    toolUses.forEach((toolUse, index) => {
+      if (results[index].data !== undefined) {
+        toolUseResults[toolUse.id] = results[index].data;
+      }
+    });
+
+    const toolResultMessage = {
+      type: 'user',
+      content: toolUses.map((toolUse, index) => ({
+        type: 'tool_result',
+        tool_use_id: toolUse.id,
+        content: results[index].content,
+        is_error: results[index].is_error || false
+      })),
+      toolUseResults
+    };
+
+    this.appendMessage(toolResultMessage);
+    this.emit('tools:complete', { message: toolResultMessage });
+    return toolResultMessage;
+  }
+
+  /**
+   * Stream completion from API
+   */
+  async streamCompletion(systemPrompt, limits = this.getRequestLimits(), signal = this.abortController.signal) {
+    const { maxTokens, thinkingBudget } = limits;
+    let prompt = {
+      system: systemPrompt,
+      messages: this.toApiMessages(),
+      tools: this.toApiTools()
+    };
+
+    if (isPromptCachingEnabled()) {
+      prompt = addCacheBreakpoints(prompt);
+    }
+
+    return this.getApiClient().streamMessage({
+      model: this.getModel(),
+      maxTokens,
+      ...prompt,
+      thinking: buildThinkingParam(thinkingBudget),
+      temperature: this.options.temperature ?? 1,
+      metadata: {
+        user_id: this.options.userId
+      },
+      betas: API_BETAS,
+      signal
+    });
   }
 
   /**
    * Build system prompt
+   * Plan mode adds its instructions at the end
    */
   async buildSystemPrompt() {
+    const sections = [
+      this.options.systemPrompt || this.getDefaultSystemPrompt(),
+      this.options.appendSystemPrompt,
+      this.context.toolPermissionContext.mode === 'plan' ? PLAN_MODE_PROMPT : null
+    ];
+
+    return sections.filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Get default system prompt
+   */
+  getDefaultSystemPrompt() {
     return `You are Claude, an AI assistant created by Anthropic.
 You are viewing a terminal session.
 
-Current working directory: ${process.cwd()}
+Current working directory: ${this.cwd}
 Platform: ${process.platform}
 Node version: ${process.version}
 
@@ -325,63 +918,275 @@ Be concise and helpful. Focus on completing the user's request efficiently.`;
   }
 
   /**
-   * Estimate token count
+   * Estimate token count of the next request
+   * Exact when tokenCountingMode is 'exact'
    */
   async estimateTokenCount() {
-    // Simplified estimation - actual implementation would use tokenizer
-    let totalChars = 0;
+    return await this.tokenCounter.countConversation({
+      messages: this.messages,
+      apiMessages: this.toApiMessages(),
+      apiTools: this.toApiTools(),
+      system: await this.buildSystemPrompt(),
+      tools: this.options.tools || []
+    });
+  }
 
-    for (const message of this.messages) {
-      if (typeof message.content === 'string') {
-        totalChars += message.content.length;
-      } else if (Array.isArray(message.content)) {
-        for (const block of message.content) {
-          if (block.text) totalChars += block.text.length;
-          if (block.content) totalChars += block.content.length;
+  /**
+   * Get context window usage for TokenUsageDisplay
+   */
+  async getContextUsage() {
+    const model = this.options.mainLoopModel;
+    const systemPrompt = await this.buildSystemPrompt();
+
+    return buildContextUsageData({
+      model,
+      maxTokens: getContextWindow(model),
+      categories: [
+        { name: 'System prompt', tokens: this.tokenCounter.countText(systemPrompt), color: 'gray', icon: '■' },
+        { name: 'System tools', tokens: countToolTokens(this.options.tools || []), color: 'cyan', icon: '■' },
+        { name: 'Messages', tokens: this.tokenCounter.countMessages(this.messages), color: 'magenta', icon: '■' }
+      ],
+      cache: {
+        readTokens: this.tokenUsage.cacheRead,
+        writeTokens: this.tokenUsage.cacheCreation,
+        hitRate: getCacheHitRate(this.tokenUsage)
+      }
+    });
+  }
+
+  /**
+   * Convert loop messages to API message params
+   * Signed thinking blocks are sent back unchanged so tool-use turns can continue
+   */
+  toApiMessages() {
+    return this.messages
+      .filter(message => message.type === 'user' || message.type === 'assistant')
+      .map(message => ({
+        role: message.type,
+        content: Array.isArray(message.content)
+          ? message.content.filter(isSignedThinkingBlock)
+          : message.content
+      }))
+      // A response cut off mid-thinking has nothing left to send
+      .filter(message => message.content.length > 0);
+  }
+
+  /**
+   * Convert tools to API tool definitions
+   */
+  toApiTools() {
+    return (this.options.tools || []).map(tool => ({
+      name: tool.name,
+      description: typeof tool.description === 'string' ? tool.description : '',
+      input_schema: tool.input_schema || tool.inputSchema || { type: 'object', properties: {} }
+    }));
+  }
+
+  /**
+   * Get API client
+   */
+  getApiClient() {
+    if (!this.apiClient) {
+      this.apiClient = this.options.apiClient || createAnthropicClient({
+        apiKey: this.options.apiKey,
+        model: this.options.mainLoopModel
+      });
+    }
+    return this.apiClient;
+  }
+
+  /**
+   * Build context passed to tools
+   * Tools that query the model reuse this loop's client and abort signal
+   */
+  getToolUseContext() {
+    return {
+      ...this.context,
+      abortController: this.abortController,
+      setPermissionMode: mode => this.setPermissionMode(mode),
+      requestPermission: request => this.requestPermission(request),
+      cwd: this.cwd,
+      options: {
+        mainLoopModel: this.getModel(),
+        tools: this.options.tools || [],
+        maxThinkingTokens: this.turnThinkingBudget,
+        apiClient: this.getApiClient(),
+        costBudget: this.costBudget,
+        isNonInteractiveSession: this.options.isNonInteractiveSession || false
+      }
+    };
+  }
+
+  /**
+   * Forward a permission request to listeners
+   * Without a listener nobody can answer, so the request is denied at once.
+   * updatedPermissions on an approval are applied before the tool runs
+   */
+  handlePermissionRequest(request) {
+    if (this.listenerCount('permission:request') === 0) {
+      request.callback({
+        behavior: 'deny',
+        decisionReason: {
+          type: 'mode',
+          reason: `${request.tool} requires permission, which cannot be granted in a non-interactive session`
+        }
+      });
+      return;
+    }
+
+    this.emit('permission:request', {
+      ...request,
+      // Prompts render outside the turn, so relative paths need the loop's directory
+      cwd: this.cwd,
+      callback: decision => {
+        if (decision.behavior === 'allow' && decision.updatedPermissions?.length) {
+          this.updatePermissions(decision.updatedPermissions);
         }
+        request.callback(decision);
       }
+    });
+  }
+
+  /**
+   * Ask about a tool use the way this loop's own tools are asked
+   * Sub-agents use it so their permission requests reach the user
+   */
+  requestPermission(request) {
+    if (this.toolExecutor.permissionPrompt) {
+      return this.toolExecutor.permissionPrompt(request);
     }
 
-    // Rough estimation: 4 chars per token
-    return Math.ceil(totalChars / 4);
+    return new Promise(resolve => this.handlePermissionRequest({ ...request, callback: resolve }));
+  }
+
+  /**
+   * Apply permission updates to this session
+   * Updates for local, project or user settings are saved there too
+   */
+  updatePermissions(updates) {
+    this.context.toolPermissionContext = applyPermissionUpdates(this.context.toolPermissionContext, updates);
+    runWithCwd(this.cwd, () => persistPermissionUpdates(updates));
+  }
+
+  /**
+   * Answer permission requests with a function instead of events
+   * The function receives { tool, input } and resolves to a decision
+   */
+  setPermissionPrompt(permissionPrompt) {
+    this.toolExecutor.permissionPrompt = permissionPrompt;
   }
 
   /**
    * Perform auto-compaction
+   * Failures are reported but do not interrupt the turn
    */
   async performAutoCompaction() {
-    this.emit('compaction:start');
+    try {
+      await this.compact({ trigger: 'auto' });
+    } catch (error) {
+      this.emit('compaction:error', { trigger: 'auto', error });
+    }
+  }
+
+  /**
+   * Compact conversation with a model-written summary
+   * Manual compaction summarizes everything; auto keeps the recent half
+   */
+  compact(options = {}) {
+    return runWithCwd(this.cwd, () => this.runCompaction(options));
+  }
 
-    const compactionResult = await applyMicrocompaction(this.messages);
+  /**
+   * Summarize the conversation and replace it with the summary
+   */
+  async runCompaction(options) {
+    const { trigger = 'manual', customInstructions = null } = options;
+
+    this.emit('compaction:start', { trigger });
+
+    const hookResults = await executeHooks(HOOK_EVENTS.PRE_COMPACT, {
+      trigger,
+      custom_instructions: customInstructions,
+      permission_mode: this.context.toolPermissionContext.mode
+    }, this.abortController.signal);
+
+    const blocked = hookResults.find(result => result.blockingError || result.preventContinuation);
+    if (blocked) {
+      throw new Error(
+        `Compaction blocked by PreCompact hook: ${blocked.blockingError?.blockingError || blocked.stopReason || 'no reason given'}`
+      );
+    }
+
+    // Successful hook output extends the summary instructions
+    const instructions = [
+      customInstructions,
+      ...hookResults.filter(result => result.status === 0).map(result => result.stdout.trim())
+    ].filter(Boolean).join('\n\n');
+
+    const compactOptions = {
+      model: this.getModel(),
+      apiClient: this.getApiClient(),
+      customInstructions: instructions || null
+    };
+
+    const compactionResult = trigger === 'manual'
+      ? await compactConversation(this.messages, compactOptions)
+      : await applyMicrocompaction(this.messages, compactOptions);
 
     if (compactionResult) {
-      this.messages = compactionResult.messages;
+      this.updateTokenUsage(compactionResult.usage);
+
+      // Compaction starts a new tree; earlier branches stay in the transcript
+      this.messages = [];
+      this.messageIndex.clear();
+
+      // Start a new transcript chain from the compacted history
+      this.transcript?.append({
+        type: 'system',
+        subtype: 'compact_boundary',
+        sessionId: this.sessionId,
+        timestamp: new Date().toISOString()
+      });
+
+      for (const message of compactionResult.messages) {
+        this.appendMessage({ ...message, uuid: undefined, parentUuid: undefined });
+      }
+
       this.emit('compaction:complete', {
+        trigger,
         originalCount: compactionResult.originalCount,
         newCount: compactionResult.messages.length
       });
     }
+
+    return compactionResult;
   }
 
   /**
    * Update token usage
    */
-  updateTokenUsage(usage) {
+  updateTokenUsage(usage, model = this.getModel()) {
     if (!usage) return;
 
+    this.costBudget.record(model, usage);
+
     this.tokenUsage.input += usage.input_tokens || 0;
     this.tokenUsage.output += usage.output_tokens || 0;
     this.tokenUsage.cacheCreation += usage.cache_creation_input_tokens || 0;
-    this.tokenUsage.total = this.tokenUsage.input + this.tokenUsage.output;
+    this.tokenUsage.cacheRead += usage.cache_read_input_tokens || 0;
+    this.tokenUsage.total = this.tokenUsage.input + this.tokenUsage.cacheCreation +
+      this.tokenUsage.cacheRead + this.tokenUsage.output;
 
     this.emit('tokens:update', this.tokenUsage);
   }
 
   /**
    * Clear conversation
+   * Starts a fresh session unless keepSession is set
    */
-  clear() {
+  clear(options = {}) {
     this.messages = [];
+    this.messageIndex.clear();
     this.context.inProgressToolUseIDs.clear();
     this.context.erroredToolUseIDs.clear();
     this.context.resolvedToolUseIDs.clear();
@@ -389,8 +1194,14 @@ Be concise and helpful. Focus on completing the user's request efficiently.`;
       input: 0,
       output: 0,
       cacheCreation: 0,
+      cacheRead: 0,
       total: 0
     };
+
+    if (!options.keepSession) {
+      this.startSession();
+    }
+
     this.emit('conversation:clear');
   }
 
@@ -404,8 +1215,23 @@ Be concise and helpful. Focus on completing the user's request efficiently.`;
   }
 }
 
+/**
+ * Explain tool input parse failures to the model
+ */
+function describeToolInputErrors(toolInputErrors, stopReason, maxTokens) {
+  if (stopReason !== 'max_tokens') return toolInputErrors;
+
+  const described = {};
+  for (const [id, message] of Object.entries(toolInputErrors)) {
+    described[id] = `${message}. The response hit the output token limit (${maxTokens} tokens) ` +
+      'while writing this input. Retry with smaller input, for example by splitting the change into several calls.';
+  }
+  return described;
+}
+
 export {
   ConversationLoop,
   MAX_CONVERSATION_TOKENS,
-  AUTO_COMPACT_THRESHOLD
+  AUTO_COMPACT_THRESHOLD,
+  DEFAULT_MAX_OUTPUT_TOKENS
 };
\ No newline at end of file
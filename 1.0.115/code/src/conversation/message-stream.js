@@ -0,0 +1,204 @@
+/**
+ * Message Stream
+ * Runs one prompt through the agent loop and yields its progress as messages
+ *
+ * Messages, in order (init once per session, the rest per turn):
+ *   { type: 'system', subtype: 'init' }   session, model and tools
+ *   { type: 'assistant', message }        each model response, including tool_use blocks
+ *   { type: 'user', message }             tool_result blocks sent back to the model
+ *   { type: 'result', subtype }           final text, turns, usage, cost and duration
+ */
+
+/**
+ * Split user message content into prompt text and attachment blocks
+ */
+function parseUserContent(content) {
+  if (typeof content === 'string') {
+    return { text: content, blocks: [] };
+  }
+
+  if (!Array.isArray(content)) {
+    throw new Error('User message content must be a string or an array of content blocks');
+  }
+
+  const text = [];
+  const blocks = [];
+
+  for (const block of content) {
+    if (block.type === 'text') {
+      text.push(block.text);
+    } else if (block.type === 'image' || block.type === 'document') {
+      if (block.source?.type !== 'base64') {
+        throw new Error(`Only base64 ${block.type} sources are supported`);
+      }
+      blocks.push({ type: block.type, media_type: block.source.media_type, data: block.source.data });
+    } else {
+      throw new Error(`Unsupported content block in user message: ${block.type}`);
+    }
+  }
+
+  return { text: text.join('\n'), blocks };
+}
+
+/**
+ * Create init message
+ */
+function createInitMessage(loop) {
+  return {
+    type: 'system',
+    subtype: 'init',
+    session_id: loop.sessionId,
+    cwd: loop.cwd,
+    model: loop.getModel(),
+    permissionMode: loop.context.toolPermissionContext.mode,
+    tools: (loop.options.tools || []).map(tool => tool.name)
+  };
+}
+
+/**
+ * Create assistant message from a loop message
+ */
+function createAssistantMessage(loop, message) {
+  return {
+    type: 'assistant',
+    session_id: loop.sessionId,
+    message: {
+      id: message.uuid,
+      role: 'assistant',
+      model: loop.getModel(),
+      content: message.content,
+      stop_reason: message.stopReason,
+      usage: message.usage
+    }
+  };
+}
+
+/**
+ * Create user message from a loop tool result message
+ */
+function createToolResultMessage(loop, message) {
+  return {
+    type: 'user',
+    session_id: loop.sessionId,
+    message: {
+      role: 'user',
+      content: message.content
+    }
+  };
+}
+
+/**
+ * Get text of an assistant message
+ */
+function getResultText(message) {
+  if (!message) return '';
+
+  return message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Get result subtype for how a turn ended
+ */
+function getResultSubtype(error) {
+  if (!error) return 'success';
+  return error.code === 'MAX_TURNS' ? 'error_max_turns' : 'error_during_execution';
+}
+
+/**
+ * Create final result message
+ */
+function createResultMessage(loop, { response, error, numTurns, startTime }) {
+  const usage = loop.tokenUsage;
+
+  return {
+    type: 'result',
+    subtype: getResultSubtype(error),
+    is_error: Boolean(error),
+    session_id: loop.sessionId,
+    num_turns: numTurns,
+    duration_ms: Date.now() - startTime,
+    result: error ? error.message : getResultText(response),
+    total_cost_usd: loop.costBudget.sessionCostUsd,
+    usage: {
+      input_tokens: usage.input,
+      output_tokens: usage.output,
+      cache_creation_input_tokens: usage.cacheCreation,
+      cache_read_input_tokens: usage.cacheRead
+    }
+  };
+}
+
+/**
+ * Run one turn and yield its messages as the loop produces them
+ * Stopping iteration early aborts the turn
+ */
+async function* streamTurnMessages(loop, prompt, precedingBlocks = []) {
+  const startTime = Date.now();
+  const queue = [];
+  let notify = null;
+  let done = false;
+  let numTurns = 0;
+  let response = null;
+  let error = null;
+
+  const push = message => {
+    queue.push(message);
+    notify?.();
+  };
+  const onAssistant = ({ message }) => {
+    numTurns++;
+    push(createAssistantMessage(loop, message));
+  };
+  const onToolResults = ({ message }) => push(createToolResultMessage(loop, message));
+
+  loop.on('message:complete', onAssistant);
+  loop.on('tools:complete', onToolResults);
+
+  try {
+    loop.processUserInput(prompt, precedingBlocks)
+      .then(result => { response = result; }, err => { error = err; })
+      .finally(() => {
+        done = true;
+        notify?.();
+      });
+
+    while (!done || queue.length > 0) {
+      if (queue.length > 0) {
+        yield queue.shift();
+        continue;
+      }
+
+      await new Promise(resolve => { notify = resolve; });
+      notify = null;
+    }
+
+    yield createResultMessage(loop, { response, error, numTurns, startTime });
+  } finally {
+    loop.off('message:complete', onAssistant);
+    loop.off('tools:complete', onToolResults);
+
+    if (!done) {
+      loop.abort();
+    }
+  }
+}
+
+/**
+ * Run a prompt and yield the init message followed by the turn's messages
+ */
+async function* streamLoopMessages(loop, prompt) {
+  yield createInitMessage(loop);
+  yield* streamTurnMessages(loop, prompt);
+}
+
+export {
+  streamLoopMessages,
+  streamTurnMessages,
+  createInitMessage,
+  createResultMessage,
+  parseUserContent,
+  getResultText
+};
\ No newline at end of file
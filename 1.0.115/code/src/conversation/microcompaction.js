@@ -8,6 +8,23 @@ import { TokenManager } from './token-management.js';
 const COMPACTION_THRESHOLD = 150000;
 const TARGET_SIZE_RATIO = 0.5;
 const MIN_MESSAGES_TO_COMPACT = 10;
+const SUMMARY_MAX_TOKENS = 8192;
+const MAX_TRANSCRIPT_BLOCK_LENGTH = 2000;
+
+// Prompt used to summarize the compacted prefix
+const COMPACT_PROMPT = `Your task is to create a detailed summary of the conversation so far. The summary replaces the conversation in your context, so it must preserve every technical detail needed to continue the work without asking the user to repeat themselves.
+
+Include these sections:
+1. Primary Request and Intent: what the user asked for, in detail
+2. Key Technical Concepts: technologies, frameworks and patterns discussed
+3. Files and Code Sections: every file read, created or modified, with why it matters and the important snippets
+4. Errors and Fixes: errors encountered and how they were resolved, including user feedback
+5. Decisions: choices made and the reasons behind them
+6. Pending Tasks: open TODOs and anything the user asked for that is not done
+7. Current Work: precisely what was being worked on immediately before this summary
+8. Next Step: the next step to take, if any, directly in line with the most recent request
+
+Respond with the summary only.`;
 
 class MicrocompactionManager {
   constructor(options = {}) {
@@ -15,6 +32,10 @@ class MicrocompactionManager {
     this.targetRatio = options.targetRatio || TARGET_SIZE_RATIO;
     this.preserveToolCalls = options.preserveToolCalls !== false;
     this.tokenManager = new TokenManager(options.model);
+    this.model = options.model;
+    // Client used for model summaries; template summaries are used without one
+    this.apiClient = options.apiClient || null;
+    this.customInstructions = options.customInstructions || null;
   }
 
   /**
@@ -62,7 +83,44 @@ class MicrocompactionManager {
       boundary: boundary,
       tokenSavings: savings,
       preCompactTokenCount: tokenCount,
-      postCompactTokenCount: newTokenCount
+      postCompactTokenCount: newTokenCount,
+      usage: summary.usage
+    };
+  }
+
+  /**
+   * Compact the whole conversation on request
+   * Ignores the token threshold; used by /compact
+   */
+  async compactAll(messages) {
+    if (messages.length === 0) {
+      return null;
+    }
+
+    const tokenCount = this.tokenManager.estimateMessagesTokenCount(messages);
+    const boundary = {
+      index: messages.length,
+      score: 0,
+      timestamp: Date.now()
+    };
+
+    const summary = await this.createSummary(messages, boundary);
+    const compactedMessages = [
+      this.createBoundaryMarker(boundary),
+      ...summary.messages
+    ];
+
+    const newTokenCount = this.tokenManager.estimateMessagesTokenCount(compactedMessages);
+
+    return {
+      messages: compactedMessages,
+      originalCount: messages.length,
+      compactedCount: compactedMessages.length,
+      boundary: boundary,
+      tokenSavings: tokenCount - newTokenCount,
+      preCompactTokenCount: tokenCount,
+      postCompactTokenCount: newTokenCount,
+      usage: summary.usage
     };
   }
 
@@ -169,8 +227,109 @@ class MicrocompactionManager {
 
   /**
    * Create summary of messages to be compacted
+   * Asks the model when an API client is configured
    */
   async createSummary(messages, boundary) {
+    if (this.apiClient) {
+      return await this.createModelSummary(messages, boundary);
+    }
+
+    return this.createTemplateSummary(messages, boundary);
+  }
+
+  /**
+   * Summarize messages with the model
+   */
+  async createModelSummary(messages, boundary) {
+    let prompt = COMPACT_PROMPT;
+    if (this.customInstructions) {
+      prompt += `\n\nAdditional instructions:\n${this.customInstructions}`;
+    }
+
+    const response = await this.apiClient.createMessage({
+      model: this.model,
+      maxTokens: SUMMARY_MAX_TOKENS,
+      system: 'You are a helpful AI assistant tasked with summarizing conversations.',
+      messages: [{
+        role: 'user',
+        content: `<conversation>\n${this.formatTranscript(messages)}\n</conversation>\n\n${prompt}`
+      }]
+    });
+
+    const text = (response?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n')
+      .trim();
+
+    if (!text) {
+      throw new Error('Compaction failed: the model returned an empty summary');
+    }
+
+    return {
+      messages: [{
+        type: 'user',
+        isCompactSummary: true,
+        content: [{
+          type: 'text',
+          text: 'This session is being continued from a previous conversation that ran out of context. ' +
+            `The conversation is summarized below (${boundary.index} messages compacted):\n\n${text}`
+        }]
+      }],
+      attachments: [],
+      hookResults: [],
+      usage: response.usage || null
+    };
+  }
+
+  /**
+   * Render messages as plain text for the summary request
+   */
+  formatTranscript(messages) {
+    const lines = [];
+
+    for (const message of messages) {
+      if (message.type === 'system') {
+        lines.push(`System: ${typeof message.content === 'string' ? message.content : ''}`);
+        continue;
+      }
+
+      const role = message.type === 'user' ? 'User' : 'Assistant';
+      const content = typeof message.content === 'string'
+        ? [{ type: 'text', text: message.content }]
+        : message.content || [];
+
+      for (const block of content) {
+        switch (block.type) {
+          case 'text':
+            lines.push(`${role}: ${block.text}`);
+            break;
+          case 'tool_use':
+            lines.push(`Tool call ${block.name}: ${truncateText(JSON.stringify(block.input))}`);
+            break;
+          case 'tool_result': {
+            const result = typeof block.content === 'string'
+              ? block.content
+              : (block.content || []).map(part => part.text || `[${part.type}]`).join('\n');
+            lines.push(`Tool ${block.is_error ? 'error' : 'result'}: ${truncateText(result)}`);
+            break;
+          }
+          case 'thinking':
+          case 'redacted_thinking':
+            break;
+          default:
+            lines.push(`${role}: [${block.type}]`);
+        }
+      }
+    }
+
+    return lines.join('\n\n');
+  }
+
+  /**
+   * Create template summary without a model call
+   */
+  createTemplateSummary(messages, boundary) {
     const summaryMessages = [];
 
     // Group messages by type
@@ -409,6 +568,14 @@ class MicrocompactionManager {
   }
 }
 
+/**
+ * Truncate long tool payloads in summary transcripts
+ */
+function truncateText(text) {
+  if (text.length <= MAX_TRANSCRIPT_BLOCK_LENGTH) return text;
+  return `${text.slice(0, MAX_TRANSCRIPT_BLOCK_LENGTH)}... [${text.length - MAX_TRANSCRIPT_BLOCK_LENGTH} more characters]`;
+}
+
 /**
  * Create microcompaction manager
  */
@@ -424,6 +591,14 @@ export async function applyMicrocompaction(messages, options = {}) {
   return await manager.applyMicrocompaction(messages);
 }
 
+/**
+ * Compact all messages regardless of size
+ */
+export async function compactConversation(messages, options = {}) {
+  const manager = new MicrocompactionManager(options);
+  return await manager.compactAll(messages);
+}
+
 /**
  * Check if messages need compaction
  */
@@ -436,5 +611,6 @@ export {
   MicrocompactionManager,
   COMPACTION_THRESHOLD,
   TARGET_SIZE_RATIO,
-  MIN_MESSAGES_TO_COMPACT
+  MIN_MESSAGES_TO_COMPACT,
+  COMPACT_PROMPT
 };
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Prompt Caching
+ * Places cache_control breakpoints on the stable parts of each request
+ *
+ * Breakpoints go on the system prompt, the last tool definition and the
+ * conversation prefix. The prefix breakpoint moves forward with every
+ * request; the previous one is kept so the next request reads what the
+ * last one wrote. The API allows at most four breakpoints per request.
+ */
+
+const CACHE_CONTROL = { type: 'ephemeral' };
+
+// Prefix breakpoints: the newest message and the one cached by the last request
+const MESSAGE_BREAKPOINTS = 2;
+
+// Blocks the API rejects cache_control on
+const UNCACHEABLE_BLOCKS = ['thinking', 'redacted_thinking'];
+
+/**
+ * Check if prompt caching is enabled
+ * DISABLE_PROMPT_CACHING turns it off, e.g. for gateways that reject cache_control
+ */
+function isPromptCachingEnabled() {
+  return !['1', 'true'].includes(String(process.env.DISABLE_PROMPT_CACHING).toLowerCase());
+}
+
+/**
+ * Check if a block can carry a breakpoint
+ */
+function isCacheableBlock(block) {
+  if (UNCACHEABLE_BLOCKS.includes(block.type)) return false;
+  if (block.type === 'text') return block.text.length > 0;
+  return true;
+}
+
+/**
+ * Add a breakpoint to the system prompt
+ */
+function cacheSystemPrompt(system) {
+  if (!system) return system;
+
+  const blocks = typeof system === 'string' ? [{ type: 'text', text: system }] : [...system];
+  const last = blocks.length - 1;
+  blocks[last] = { ...blocks[last], cache_control: CACHE_CONTROL };
+
+  return blocks;
+}
+
+/**
+ * Add a breakpoint to the last tool definition
+ * Tools are hashed in order, so this caches all of them
+ */
+function cacheTools(tools) {
+  if (!tools?.length) return tools;
+
+  const last = tools.length - 1;
+  return [
+    ...tools.slice(0, last),
+    { ...tools[last], cache_control: CACHE_CONTROL }
+  ];
+}
+
+/**
+ * Add a breakpoint to the last cacheable block of a message
+ * Returns null when the message has no such block
+ */
+function cacheMessage(message) {
+  if (typeof message.content === 'string') {
+    if (!message.content) return null;
+    return {
+      ...message,
+      content: [{ type: 'text', text: message.content, cache_control: CACHE_CONTROL }]
+    };
+  }
+
+  for (let index = message.content.length - 1; index >= 0; index--) {
+    if (isCacheableBlock(message.content[index])) {
+      const content = [...message.content];
+      content[index] = { ...content[index], cache_control: CACHE_CONTROL };
+      return { ...message, content };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add breakpoints to the conversation prefix
+ * The newest user message ends the prefix this request writes; the user
+ * message before it ends the prefix the previous request wrote
+ */
+function cacheMessages(messages) {
+  const result = [...messages];
+  let remaining = MESSAGE_BREAKPOINTS;
+
+  for (let index = result.length - 1; index >= 0 && remaining > 0; index--) {
+    if (result[index].role !== 'user') continue;
+
+    const cached = cacheMessage(result[index]);
+    if (cached) {
+      result[index] = cached;
+      remaining--;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Add cache breakpoints to a request
+ * Inputs are not modified
+ */
+function addCacheBreakpoints({ system, tools, messages }) {
+  return {
+    system: cacheSystemPrompt(system),
+    tools: cacheTools(tools),
+    messages: cacheMessages(messages)
+  };
+}
+
+/**
+ * Get share of input tokens served from the cache
+ */
+function getCacheHitRate({ input = 0, cacheCreation = 0, cacheRead = 0 }) {
+  const total = input + cacheCreation + cacheRead;
+  return total > 0 ? cacheRead / total : 0;
+}
+
+export {
+  addCacheBreakpoints,
+  isPromptCachingEnabled,
+  getCacheHitRate,
+  CACHE_CONTROL
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * Extended Thinking
+ * Thinking budgets, prompt keyword triggers and API request parameters
+ */
+
+import { getModelInfo } from '../api/model-catalog.js';
+
+// The API rejects budgets below this
+const MIN_THINKING_BUDGET = 1024;
+
+const THINKING_BUDGETS = {
+  NONE: 0,
+  BASIC: 4000,
+  MIDDLE: 10000,
+  HIGHEST: 31999
+};
+
+// Checked in order, so longer phrases win over plain "think"
+const THINKING_TRIGGERS = [
+  {
+    budget: THINKING_BUDGETS.HIGHEST,
+    patterns: [
+      /\bultrathink\b/i,
+      /\bthink harder\b/i,
+      /\bthink intensely\b/i,
+      /\bthink longer\b/i,
+      /\bthink (?:really|super|very) hard\b/i
+    ]
+  },
+  {
+    budget: THINKING_BUDGETS.MIDDLE,
+    patterns: [
+      /\bmegathink\b/i,
+      /\bthink hard\b/i,
+      /\bthink deeply\b/i,
+      /\bthink more\b/i,
+      /\bthink a lot\b/i,
+      /\bthink about it\b/i
+    ]
+  },
+  {
+    budget: THINKING_BUDGETS.BASIC,
+    patterns: [/\bthink\b/i]
+  }
+];
+
+// Models missing from the catalog that accept the thinking parameter
+const THINKING_MODEL_PATTERN = /claude-3-7-|claude-(?:opus|sonnet|haiku)-4/;
+
+/**
+ * Check if a model supports extended thinking
+ */
+function modelSupportsThinking(model) {
+  const modelInfo = getModelInfo(model);
+  if (modelInfo) return modelInfo.supportsThinking;
+
+  return THINKING_MODEL_PATTERN.test(model || '');
+}
+
+/**
+ * Get default session budget from MAX_THINKING_TOKENS
+ */
+function getDefaultThinkingBudget() {
+  const budget = parseInt(process.env.MAX_THINKING_TOKENS, 10);
+  return Number.isFinite(budget) && budget > 0 ? budget : THINKING_BUDGETS.NONE;
+}
+
+/**
+ * Get thinking budget requested by keywords in a prompt
+ */
+function getKeywordThinkingBudget(text) {
+  if (!text) return THINKING_BUDGETS.NONE;
+
+  for (const trigger of THINKING_TRIGGERS) {
+    if (trigger.patterns.some(pattern => pattern.test(text))) {
+      return trigger.budget;
+    }
+  }
+
+  return THINKING_BUDGETS.NONE;
+}
+
+/**
+ * Resolve the budget for a turn
+ * Keywords can raise the session budget but never lower it
+ */
+function resolveThinkingBudget({ prompt = '', sessionBudget = 0, model } = {}) {
+  if (!modelSupportsThinking(model)) {
+    return THINKING_BUDGETS.NONE;
+  }
+
+  const budget = Math.max(sessionBudget || 0, getKeywordThinkingBudget(prompt));
+  if (budget === 0) return THINKING_BUDGETS.NONE;
+
+  return Math.max(MIN_THINKING_BUDGET, budget);
+}
+
+/**
+ * Build the thinking request parameter
+ */
+function buildThinkingParam(budget) {
+  if (!budget) return undefined;
+
+  return {
+    type: 'enabled',
+    budget_tokens: budget
+  };
+}
+
+/**
+ * Parse a budget argument such as "8000", "off" or "hard"
+ */
+function parseThinkingBudget(value) {
+  const normalized = String(value).trim().toLowerCase();
+
+  if (['off', 'none', '0'].includes(normalized)) {
+    return THINKING_BUDGETS.NONE;
+  }
+  if (normalized === 'on') {
+    return THINKING_BUDGETS.BASIC;
+  }
+  if (/^\d+$/.test(normalized)) {
+    const budget = parseInt(normalized, 10);
+    if (budget < MIN_THINKING_BUDGET) {
+      throw new Error(`Thinking budget must be at least ${MIN_THINKING_BUDGET} tokens`);
+    }
+    return budget;
+  }
+
+  const keywordBudget = getKeywordThinkingBudget(`think ${normalized}`);
+  if (normalized && keywordBudget !== THINKING_BUDGETS.BASIC) {
+    return keywordBudget;
+  }
+
+  throw new Error(`Invalid thinking budget: ${value}. Use a token count, "on" or "off"`);
+}
+
+/**
+ * Check if a thinking block can be sent back to the API
+ * Blocks cut off mid-stream have no signature and would be rejected
+ */
+function isSignedThinkingBlock(block) {
+  if (block.type === 'redacted_thinking') return Boolean(block.data);
+  if (block.type === 'thinking') return Boolean(block.signature);
+  return true;
+}
+
+/**
+ * Join the text of thinking blocks
+ */
+function getThinkingText(content) {
+  if (!Array.isArray(content)) return '';
+
+  return content
+    .filter(block => block.type === 'thinking')
+    .map(block => block.thinking)
+    .join('\n\n');
+}
+
+export {
+  THINKING_BUDGETS,
+  MIN_THINKING_BUDGET,
+  modelSupportsThinking,
+  getDefaultThinkingBudget,
+  getKeywordThinkingBudget,
+  resolveThinkingBudget,
+  buildThinkingParam,
+  parseThinkingBudget,
+  isSignedThinkingBlock,
+  getThinkingText
+};
\ No newline at end of file
@@ -0,0 +1,326 @@
+/**
+ * Token Counting Service
+ * Approximate local token counts with optional exact counts from the API
+ */
+
+// Fixed costs per block, based on observed API counts
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const TOOL_USE_OVERHEAD_TOKENS = 12;
+const TOOL_DEFINITION_OVERHEAD_TOKENS = 20;
+const IMAGE_TOKENS = 1600;
+const IMAGE_PIXELS_PER_TOKEN = 750;
+const PDF_PAGE_TOKENS = 2000;
+
+// Words, single punctuation and newline runs
+const TOKEN_PATTERN = /[A-Za-z0-9_]+|[^\sA-Za-z0-9_]|\n+/g;
+const CHARS_PER_WORD_TOKEN = 4;
+
+const TokenCountingMode = {
+  APPROXIMATE: 'approximate',
+  EXACT: 'exact'
+};
+
+/**
+ * Approximate token count of plain text
+ * Long words split into ~4 character pieces; non-ASCII characters count individually
+ */
+function approximateTokenCount(text) {
+  if (!text) return 0;
+
+  let tokens = 0;
+  for (const piece of text.match(TOKEN_PATTERN) || []) {
+    tokens += piece.length > CHARS_PER_WORD_TOKEN && /^\w/.test(piece)
+      ? Math.ceil(piece.length / CHARS_PER_WORD_TOKEN)
+      : 1;
+  }
+
+  return tokens;
+}
+
+/**
+ * Estimate image tokens from base64 PNG/GIF dimensions when available
+ */
+function estimateImageTokens(source) {
+  if (source?.type !== 'base64' || !source.data) {
+    return IMAGE_TOKENS;
+  }
+
+  const header = Buffer.from(source.data.slice(0, 64), 'base64');
+  let width = 0;
+  let height = 0;
+
+  if (source.media_type === 'image/png' && header.length >= 24) {
+    width = header.readUInt32BE(16);
+    height = header.readUInt32BE(20);
+  } else if (source.media_type === 'image/gif' && header.length >= 10) {
+    width = header.readUInt16LE(6);
+    height = header.readUInt16LE(8);
+  }
+
+  if (!width || !height) {
+    return IMAGE_TOKENS;
+  }
+
+  // The API downscales large images, which caps the cost
+  return Math.min(IMAGE_TOKENS, Math.ceil((width * height) / IMAGE_PIXELS_PER_TOKEN));
+}
+
+/**
+ * Estimate document tokens
+ */
+function estimateDocumentTokens(source) {
+  if (!source) return 0;
+
+  if (source.type === 'text') {
+    return approximateTokenCount(source.data);
+  }
+
+  if (source.type === 'content' && Array.isArray(source.content)) {
+    return source.content.reduce((sum, block) => sum + countBlockTokens(block), 0);
+  }
+
+  if (source.type === 'base64' && source.media_type === 'application/pdf') {
+    const pdf = Buffer.from(source.data, 'base64').toString('latin1');
+    const pages = (pdf.match(/\/Type\s*\/Page[^s]/g) || []).length || 1;
+    return pages * PDF_PAGE_TOKENS;
+  }
+
+  return IMAGE_TOKENS;
+}
+
+/**
+ * Approximate token count of a single content block
+ */
+function countBlockTokens(block) {
+  if (typeof block === 'string') {
+    return approximateTokenCount(block);
+  }
+
+  switch (block.type) {
+    case 'text':
+      return approximateTokenCount(block.text);
+
+    case 'image':
+      return estimateImageTokens(block.source);
+
+    case 'document':
+      return estimateDocumentTokens(block.source) + approximateTokenCount(block.title || '');
+
+    case 'tool_use':
+    case 'server_tool_use':
+      return TOOL_USE_OVERHEAD_TOKENS +
+        approximateTokenCount(block.name) +
+        approximateTokenCount(JSON.stringify(block.input || {}));
+
+    case 'tool_result':
+      if (typeof block.content === 'string') {
+        return TOOL_USE_OVERHEAD_TOKENS + approximateTokenCount(block.content);
+      }
+      return TOOL_USE_OVERHEAD_TOKENS +
+        (block.content || []).reduce((sum, part) => sum + countBlockTokens(part), 0);
+
+    case 'thinking':
+      return approximateTokenCount(block.thinking);
+
+    case 'redacted_thinking':
+      return Math.ceil((block.data || '').length / CHARS_PER_WORD_TOKEN);
+
+    default:
+      return approximateTokenCount(JSON.stringify(block));
+  }
+}
+
+/**
+ * Approximate token count of a message
+ */
+function countMessageTokens(message) {
+  const content = message.content;
+
+  if (typeof content === 'string') {
+    return MESSAGE_OVERHEAD_TOKENS + approximateTokenCount(content);
+  }
+
+  return MESSAGE_OVERHEAD_TOKENS +
+    (content || []).reduce((sum, block) => sum + countBlockTokens(block), 0);
+}
+
+/**
+ * Approximate token count of tool definitions
+ */
+function countToolTokens(tools = []) {
+  let total = 0;
+
+  for (const tool of tools) {
+    const description = typeof tool.description === 'string' ? tool.description : '';
+    const schema = tool.input_schema || tool.inputSchema || {};
+
+    total += TOOL_DEFINITION_OVERHEAD_TOKENS +
+      approximateTokenCount(tool.name) +
+      approximateTokenCount(description) +
+      approximateTokenCount(JSON.stringify(schema));
+  }
+
+  return total;
+}
+
+/**
+ * Build context usage data for TokenUsageDisplay
+ * Each grid cell represents an equal share of the context window
+ */
+function buildContextUsageData({ model, maxTokens, categories, memoryFiles = [], mcpTools = [], cache = null, gridSize = 10 }) {
+  const usedTokens = categories.reduce((sum, category) => sum + category.tokens, 0);
+  const freeTokens = Math.max(0, maxTokens - usedTokens);
+  const allCategories = [
+    ...categories,
+    { name: 'Free space', tokens: freeTokens, color: undefined, icon: '□' }
+  ];
+
+  const cellCount = gridSize * gridSize;
+  const cells = [];
+
+  for (const category of allCategories) {
+    const share = Math.round((category.tokens / maxTokens) * cellCount);
+    const count = category.tokens > 0 ? Math.max(1, share) : 0;
+
+    for (let i = 0; i < count && cells.length < cellCount; i++) {
+      cells.push({
+        char: category.name === 'Free space' ? '□' : '■',
+        color: category.color,
+        categoryName: category.name
+      });
+    }
+  }
+
+  while (cells.length < cellCount) {
+    cells.push({ char: '□', color: undefined, categoryName: 'Free space' });
+  }
+
+  const gridRows = [];
+  for (let i = 0; i < cellCount; i += gridSize) {
+    gridRows.push(cells.slice(i, i + gridSize));
+  }
+
+  return {
+    categories: allCategories,
+    totalTokens: usedTokens,
+    rawMaxTokens: maxTokens,
+    percentage: Math.round((usedTokens / maxTokens) * 100),
+    gridRows,
+    model,
+    memoryFiles,
+    mcpTools,
+    cache
+  };
+}
+
+/**
+ * Token counter
+ * Caches counts per message object so recounting a conversation is cheap
+ */
+class TokenCounter {
+  constructor(options = {}) {
+    this.mode = options.mode || TokenCountingMode.APPROXIMATE;
+    this.apiClient = options.apiClient || null;
+    this.model = options.model;
+    this.messageCache = new WeakMap();
+    this.exactCache = null;
+  }
+
+  /**
+   * Count tokens in text
+   */
+  countText(text) {
+    return approximateTokenCount(text);
+  }
+
+  /**
+   * Count tokens in a message, using the cache
+   */
+  countMessage(message) {
+    let count = this.messageCache.get(message);
+
+    if (count === undefined) {
+      count = countMessageTokens(message);
+      this.messageCache.set(message, count);
+    }
+
+    return count;
+  }
+
+  /**
+   * Count tokens across messages
+   */
+  countMessages(messages) {
+    return messages.reduce((sum, message) => sum + this.countMessage(message), 0);
+  }
+
+  /**
+   * Approximate count of a full request
+   */
+  countRequest({ messages = [], system = '', tools = [] } = {}) {
+    const systemText = Array.isArray(system)
+      ? system.map(block => block.text || '').join('\n')
+      : system;
+
+    return this.countMessages(messages) +
+      approximateTokenCount(systemText) +
+      countToolTokens(tools);
+  }
+
+  /**
+   * Count a full request, exactly when configured
+   * Falls back to the local count if the API is unavailable
+   */
+  async countConversation(request = {}) {
+    const { messages = [] } = request;
+
+    if (this.mode !== TokenCountingMode.EXACT || !this.apiClient?.countTokens) {
+      return this.countRequest(request);
+    }
+
+    const lastMessage = messages[messages.length - 1];
+    if (this.exactCache &&
+        this.exactCache.lastMessage === lastMessage &&
+        this.exactCache.length === messages.length) {
+      return this.exactCache.count;
+    }
+
+    try {
+      const result = await this.apiClient.countTokens({
+        model: this.model,
+        messages: request.apiMessages || messages,
+        system: request.system,
+        tools: request.apiTools
+      });
+
+      this.exactCache = {
+        lastMessage,
+        length: messages.length,
+        count: result.input_tokens
+      };
+
+      return result.input_tokens;
+    } catch {
+      return this.countRequest(request);
+    }
+  }
+
+  /**
+   * Drop cached exact counts
+   */
+  reset() {
+    this.messageCache = new WeakMap();
+    this.exactCache = null;
+  }
+}
+
+export {
+  TokenCounter,
+  TokenCountingMode,
+  approximateTokenCount,
+  countBlockTokens,
+  countMessageTokens,
+  countToolTokens,
+  buildContextUsageData,
+  IMAGE_TOKENS
+};
\ No newline at end of file
@@ -3,42 +3,35 @@
  * Handle token counting, limits, and usage tracking
  */
 
-// Token limits per model
-const TOKEN_LIMITS = {
-  'claude-3-opus-20240229': 200000,
-  'claude-3-sonnet-20240229': 200000,
-  'claude-3-5-sonnet-20241022': 200000,
-  'claude-3-haiku-20240307': 200000,
-  'claude-2.1': 200000,
-  'claude-2.0': 100000,
-  'claude-instant-1.2': 100000
-};
+import { approximateTokenCount, countMessageTokens } from './token-counting.js';
+import { getCacheHitRate } from './prompt-caching.js';
+import {
+  getModelPricing,
+  getContextWindow,
+  getDefaultModel,
+  resolveModelAlias,
+  getModelAliases
+} from '../api/model-catalog.js';
 
-// Pricing per million tokens (in USD)
-const TOKEN_PRICING = {
-  'claude-3-opus-20240229': {
-    input: 15.00,
-    output: 75.00,
-    cacheWrite: 3.75,
-    cacheRead: 1.88
-  },
-  'claude-3-5-sonnet-20241022': {
-    input: 3.00,
-    output: 15.00,
-    cacheWrite: 3.75,
-    cacheRead: 0.30
-  },
-  'claude-3-haiku-20240307': {
-    input: 0.25,
-    output: 1.25,
-    cacheWrite: 0.30,
-    cacheRead: 0.03
-  }
-};
+/**
+ * Calculate cost in USD of one API usage object
+ * Unknown models cost nothing, since their price cannot be known
+ */
+function calculateUsageCost(model, usage) {
+  const pricing = getModelPricing(model);
+  if (!pricing || !usage) return 0;
+
+  return (
+    (usage.input_tokens || 0) * pricing.input +
+    (usage.output_tokens || 0) * pricing.output +
+    (usage.cache_creation_input_tokens || 0) * pricing.cacheWrite +
+    (usage.cache_read_input_tokens || 0) * pricing.cacheRead
+  ) / 1000000;
+}
 
 class TokenManager {
-  constructor(model = 'claude-3-5-sonnet-20241022') {
-    this.model = model;
+  constructor(model = getDefaultModel()) {
+    this.model = resolveModelAlias(model);
     this.usage = {
       inputTokens: 0,
       outputTokens: 0,
@@ -47,11 +40,13 @@ class TokenManager {
       totalTokens: 0
     };
     this.sessionUsage = [];
-    this.maxTokens = TOKEN_LIMITS[model] || 200000;
+    this.maxTokens = getContextWindow(this.model);
   }
 
   /**
    * Update token usage from API response
+   * input_tokens excludes cached tokens, so cache reads and writes are
+   * counted separately and added to the total
    */
   updateUsage(usage) {
     if (!usage) return;
@@ -63,6 +58,8 @@ class TokenManager {
 
     this.usage.totalTokens =
       this.usage.inputTokens +
+      this.usage.cacheCreationTokens +
+      this.usage.cacheReadTokens +
       this.usage.outputTokens;
 
     // Track session usage
@@ -79,54 +76,16 @@ class TokenManager {
 
   /**
    * Estimate token count for text
-   * Rough estimation: ~4 characters per token
    */
   estimateTokenCount(text) {
-    if (!text) return 0;
-
-    // More accurate estimation based on content type
-    const words = text.split(/\s+/).length;
-    const chars = text.length;
-
-    // Average: 1.3 tokens per word or 4 chars per token
-    const wordBasedEstimate = Math.ceil(words * 1.3);
-    const charBasedEstimate = Math.ceil(chars / 4);
-
-    // Use the more conservative estimate
-    return Math.max(wordBasedEstimate, charBasedEstimate);
+    return approximateTokenCount(text);
   }
 
   /**
    * Estimate tokens for messages array
    */
   estimateMessagesTokenCount(messages) {
-    let total = 0;
-
-    for (const message of messages) {
-      // Add message wrapper overhead (~4 tokens)
-      total += 4;
-
-      if (typeof message.content === 'string') {
-        total += this.estimateTokenCount(message.content);
-      } else if (Array.isArray(message.content)) {
-        for (const block of message.content) {
-          if (block.type === 'text' && block.text) {
-            total += this.estimateTokenCount(block.text);
-          } else if (block.type === 'tool_use') {
-            // Tool use overhead
-            total += 50;
-            total += this.estimateTokenCount(JSON.stringify(block.input));
-          } else if (block.type === 'tool_result') {
-            total += this.estimateTokenCount(block.content);
-          } else if (block.type === 'image') {
-            // Images have high token cost
-            total += 1500;
-          }
-        }
-      }
-    }
-
-    return total;
+    return messages.reduce((total, message) => total + countMessageTokens(message), 0);
   }
 
   /**
@@ -137,11 +96,22 @@ class TokenManager {
     return estimated > (this.maxTokens * threshold);
   }
 
+  /**
+   * Get share of input tokens read from the prompt cache
+   */
+  getCacheHitRate() {
+    return getCacheHitRate({
+      input: this.usage.inputTokens,
+      cacheCreation: this.usage.cacheCreationTokens,
+      cacheRead: this.usage.cacheReadTokens
+    });
+  }
+
   /**
    * Calculate cost for current usage
    */
   calculateCost() {
-    const pricing = TOKEN_PRICING[this.model];
+    const pricing = getModelPricing(this.model);
     if (!pricing) return null;
 
     const cost = {
@@ -173,7 +143,10 @@ class TokenManager {
       breakdown: {
         input: this.usage.inputTokens,
         output: this.usage.outputTokens,
-        cache: this.usage.cacheCreationTokens + this.usage.cacheReadTokens
+        cache: this.usage.cacheCreationTokens + this.usage.cacheReadTokens,
+        cacheWrite: this.usage.cacheCreationTokens,
+        cacheRead: this.usage.cacheReadTokens,
+        cacheHitRate: `${(this.getCacheHitRate() * 100).toFixed(1)}%`
       },
       cost: cost ? {
         total: `$${cost.total.toFixed(4)}`,
@@ -202,7 +175,7 @@ class TokenManager {
    * Get token limit for model
    */
   static getModelLimit(model) {
-    return TOKEN_LIMITS[model] || 200000;
+    return getContextWindow(model);
   }
 
   /**
@@ -259,7 +232,7 @@ export function calculateTokenUsage(messages, response) {
 /**
  * Check if token limit exceeded
  */
-export function isTokenLimitExceeded(messages, model = 'claude-3-5-sonnet-20241022') {
+export function isTokenLimitExceeded(messages, model = getDefaultModel()) {
   const manager = new TokenManager(model);
   const estimated = manager.estimateMessagesTokenCount(messages);
   return estimated >= manager.maxTokens;
@@ -269,13 +242,11 @@ export function isTokenLimitExceeded(messages, model = 'claude-3-5-sonnet-202410
  * Get recommended model based on token count
  */
 export function getRecommendedModel(tokenCount) {
-  if (tokenCount < 50000) return 'claude-3-haiku-20240307';
-  if (tokenCount < 150000) return 'claude-3-5-sonnet-20241022';
-  return 'claude-3-opus-20240229';
+  const { haiku, sonnet } = getModelAliases();
+  return tokenCount < 50000 ? haiku : sonnet;
 }
 
 export {
   TokenManager,
-  TOKEN_LIMITS,
-  TOKEN_PRICING
+  calculateUsageCost
 };
\ No newline at end of file
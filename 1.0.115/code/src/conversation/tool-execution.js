@@ -4,8 +4,14 @@
  */
 
 import { EventEmitter } from 'events';
+import {
+  findRuleDecisionForTool,
+  formatPermissionRule
+} from '../permissions/permission-validation.js';
+import { checkPermissionMode } from '../permissions/permission-modes.js';
 
 const TOOL_TIMEOUT = 120000; // 2 minutes default
+const PERMISSION_TIMEOUT = 30000;
 const MAX_CONCURRENT_TOOLS = 5;
 
 class ToolExecutor extends EventEmitter {
@@ -17,6 +23,10 @@ class ToolExecutor extends EventEmitter {
     this.maxConcurrent = options.maxConcurrent || MAX_CONCURRENT_TOOLS;
     this.defaultTimeout = options.timeout || TOOL_TIMEOUT;
     this.permissionMode = options.permissionMode || 'ask';
+    // Answers permission requests instead of the permission:request event
+    this.permissionPrompt = options.permissionPrompt || null;
+    // Unanswered permission requests are denied after this long; 0 waits for the user
+    this.permissionTimeout = options.permissionTimeout ?? PERMISSION_TIMEOUT;
   }
 
   /**
@@ -64,6 +74,8 @@ class ToolExecutor extends EventEmitter {
       status: 'checking'
     });
 
+    let holdsSlot = false;
+
     try {
       // Check permissions
       const permission = await this.checkPermission(tool, input, context);
@@ -86,14 +98,13 @@ class ToolExecutor extends EventEmitter {
         }
       }
 
-      // Check concurrency
-      if (!tool.isConcurrencySafe || !tool.isConcurrencySafe()) {
-        await this.waitForConcurrencySlot();
-      }
+      // Wait for a free slot
+      await this.waitForConcurrencySlot();
 
       // Update status
       this.executingTools.get(id).status = 'executing';
       this.concurrentCount++;
+      holdsSlot = true;
 
       // Execute tool
       const result = await this.executeTool(
@@ -102,19 +113,70 @@ class ToolExecutor extends EventEmitter {
         context
       );
 
-      // Map result
-      return this.mapToolResult(tool, result, id);
+      // Map result, keeping raw output for transcripts
+      return {
+        ...this.mapToolResult(tool, result, id),
+        data: result
+      };
 
     } catch (error) {
       this.emit('tool:error', { tool: name, error });
       return this.createErrorResult(id, error.message);
 
     } finally {
-      this.concurrentCount--;
+      if (holdsSlot) {
+        this.concurrentCount--;
+      }
       this.executingTools.delete(id);
     }
   }
 
+  /**
+   * Execute all tool uses of an assistant message
+   * Consecutive concurrency-safe tools run in parallel; others run alone, in order
+   */
+  async performToolUses(toolUses, context, onResult) {
+    const results = new Array(toolUses.length);
+
+    for (const batch of this.partitionToolUses(toolUses)) {
+      const run = async ({ toolUse, index }) => {
+        results[index] = await this.performToolUse(toolUse, context);
+        onResult?.(toolUse, results[index]);
+      };
+
+      if (batch.concurrent) {
+        await Promise.all(batch.items.map(run));
+      } else {
+        for (const item of batch.items) {
+          await run(item);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Group tool uses into batches that may run together
+   */
+  partitionToolUses(toolUses) {
+    const batches = [];
+
+    toolUses.forEach((toolUse, index) => {
+      const tool = this.tools.get(toolUse.name);
+      const concurrent = Boolean(tool?.isConcurrencySafe?.(toolUse.input));
+      const last = batches[batches.length - 1];
+
+      if (concurrent && last?.concurrent) {
+        last.items.push({ toolUse, index });
+      } else {
+        batches.push({ concurrent, items: [{ toolUse, index }] });
+      }
+    });
+
+    return batches;
+  }
+
   /**
    * Execute the tool with timeout
    */
@@ -122,8 +184,9 @@ class ToolExecutor extends EventEmitter {
     const timeout = tool.timeout || this.defaultTimeout;
 
     // Create timeout promise
+    let timer;
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
+      timer = setTimeout(() => {
         reject(new Error(`Tool execution timed out after ${timeout}ms`));
       }, timeout);
     });
@@ -138,7 +201,11 @@ class ToolExecutor extends EventEmitter {
     const toolPromise = this.runTool(tool, input, toolContext);
 
     // Race between tool execution and timeout
-    return await Promise.race([toolPromise, timeoutPromise]);
+    try {
+      return await Promise.race([toolPromise, timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
@@ -179,11 +246,51 @@ class ToolExecutor extends EventEmitter {
 
   /**
    * Check permission to use tool
+   * Deny rules apply before the permission mode and the tool's own check,
+   * ask rules override their approval except in bypassPermissions mode
    */
   async checkPermission(tool, input, context) {
-    // Use tool's own permission check if available
-    if (tool.checkPermissions) {
-      return await tool.checkPermissions(input, context);
+    const permissionContext = context.toolPermissionContext;
+    const ruleDecision = permissionContext ?
+      findRuleDecisionForTool(permissionContext, tool, input) :
+      null;
+
+    if (ruleDecision?.behavior === 'deny') {
+      const rule = ruleDecision.rule;
+      return {
+        behavior: 'deny',
+        decisionReason: { type: 'rule', rule, reason: `Tool denied by rule ${formatPermissionRule(rule.ruleValue)}` }
+      };
+    }
+
+    // Session permission mode (plan, acceptEdits, bypassPermissions)
+    const modeDecision = permissionContext ?
+      checkPermissionMode(permissionContext.mode, tool, input, permissionContext) :
+      null;
+
+    if (modeDecision?.behavior === 'deny') {
+      return modeDecision;
+    }
+
+    // The tool's own check can still deny, e.g. a Bash subcommand matching a deny rule
+    const toolDecision = tool.checkPermissions ?
+      await tool.checkPermissions(input, context) :
+      null;
+
+    if (toolDecision?.behavior === 'deny') {
+      return toolDecision;
+    }
+    if (modeDecision?.behavior === 'allow' &&
+        (ruleDecision?.behavior !== 'ask' || permissionContext.mode === 'bypassPermissions')) {
+      return modeDecision;
+    }
+
+    // Use tool's own permission check if available; 'ask' still asks
+    if (toolDecision) {
+      if (toolDecision.behavior === 'allow' && ruleDecision?.behavior !== 'ask') {
+        return toolDecision;
+      }
+      return await this.askPermission(tool, toolDecision.updatedInput || input, ruleDecision, toolDecision.suggestions);
     }
 
     // Apply default permission logic
@@ -199,50 +306,42 @@ class ToolExecutor extends EventEmitter {
 
       case 'ask':
       default:
-        return await this.askPermission(tool, input, context);
+        return await this.askPermission(tool, input, ruleDecision);
     }
   }
 
   /**
-   * Ask for permission interactively
+   * Ask for permission interactively unless an allow rule covers the tool use
+   * suggestions are permission updates offered alongside approval
    */
-  async askPermission(tool, input, context) {
-    // Check if tool is in always-allow list
-    if (context.toolPermissionContext?.alwaysAllowRules) {
-      const rules = context.toolPermissionContext.alwaysAllowRules;
-      if (rules[tool.name]) {
-        return { behavior: 'allow', updatedInput: input };
-      }
+  async askPermission(tool, input, ruleDecision, suggestions) {
+    if (ruleDecision?.behavior === 'allow') {
+      return { behavior: 'allow', updatedInput: input };
     }
 
-    // Check if tool is in always-deny list
-    if (context.toolPermissionContext?.alwaysDenyRules) {
-      const rules = context.toolPermissionContext.alwaysDenyRules;
-      if (rules[tool.name]) {
-        return {
-          behavior: 'deny',
-          decisionReason: { type: 'rule', reason: 'Tool denied by rule' }
-        };
-      }
+    // A permission prompt answers directly; it has no timeout
+    if (this.permissionPrompt) {
+      return await this.permissionPrompt({ tool: tool.name, input, suggestions });
     }
 
     // Emit permission request event
     return new Promise((resolve) => {
+      const timer = this.permissionTimeout ? setTimeout(() => {
+        resolve({
+          behavior: 'deny',
+          decisionReason: { type: 'timeout', reason: 'Permission request timed out' }
+        });
+      }, this.permissionTimeout) : null;
+
       this.emit('permission:request', {
         tool: tool.name,
         input,
+        suggestions,
         callback: (decision) => {
+          clearTimeout(timer);
           resolve(decision);
         }
       });
-
-      // Default timeout for permission request
-      setTimeout(() => {
-        resolve({
-          behavior: 'deny',
-          decisionReason: { type: 'timeout', reason: 'Permission request timed out' }
-        });
-      }, 30000);
     });
   }
 
@@ -336,6 +435,21 @@ class ToolExecutor extends EventEmitter {
   }
 }
 
+/**
+ * Convert an external permission answer to a decision
+ * Answers are { behavior: 'allow', updatedInput } or { behavior: 'deny', message }
+ */
+function createPermissionDecision(response = {}, input) {
+  if (response.behavior === 'allow') {
+    return { behavior: 'allow', updatedInput: response.updatedInput || input };
+  }
+
+  return {
+    behavior: 'deny',
+    decisionReason: { type: 'user', reason: response.message || 'Denied by user' }
+  };
+}
+
 // Singleton instance
 let toolExecutor = null;
 
@@ -368,14 +482,15 @@ export function registerTools(tools, options) {
 /**
  * Check if tool is safe to execute concurrently
  */
-export function isConcurrencySafe(toolName) {
+export function isConcurrencySafe(toolName, input) {
   const executor = getToolExecutor();
   const tool = executor.tools.get(toolName);
-  return tool?.isConcurrencySafe ? tool.isConcurrencySafe() : false;
+  return tool?.isConcurrencySafe ? tool.isConcurrencySafe(input) : false;
 }
 
 export {
   ToolExecutor,
+  createPermissionDecision,
   TOOL_TIMEOUT,
   MAX_CONCURRENT_TOOLS
 };
\ No newline at end of file
@@ -68,6 +68,20 @@ export class ValidationError extends ClaudeError {
   }
 }
 
+/**
+ * Check if an error means the model is overloaded
+ * Looks through errors wrapped by enhanceError
+ */
+export function isOverloadedError(error) {
+  const original = error?.details?.originalError || error;
+  if (!original) return false;
+
+  return original.status === 529 ||
+    original.status === 503 ||
+    original.type === 'overloaded_error' ||
+    original.body?.error?.type === 'overloaded_error';
+}
+
 /**
  * Retry configuration
  * Original: lines 13511-13521
@@ -79,7 +93,7 @@ export class RetryConfig {
     this.backoffMultiplier = options.backoffMultiplier ?? 2;
     this.maxBackoffMs = options.maxBackoffMs ?? 8000;
     this.jitterFactor = options.jitterFactor ?? 0.25;
-    this.retryableErrors = options.retryableErrors ?? [408, 409, 429, 500, 502, 503, 504];
+    this.retryableErrors = options.retryableErrors ?? [408, 409, 429, 500, 502, 503, 504, 529];
     this.showErrors = options.showErrors ?? false;
   }
 
@@ -507,6 +521,7 @@ export default {
   RateLimitError,
   AuthenticationError,
   ValidationError,
+  isOverloadedError,
   RetryConfig,
   ErrorRecoveryManager,
   CircuitBreaker,
@@ -7,6 +7,9 @@
 import { spawn } from 'child_process';
 import { randomUUID } from 'crypto';
 import { z } from 'zod';
+import { getCurrentSessionId, getCurrentTranscriptPath } from '../session/session-store.js';
+import { getGlobalConfig } from '../config/configuration-system.js';
+import { getCwd } from '../utils/cwd.js';
 
 // Hook Event Types
 const HOOK_EVENTS = {
@@ -572,7 +575,7 @@ async function executeHookCommand(hook, eventName, context, signal) {
     return { stdout: '', stderr: 'Operation cancelled', status: 1, aborted: true };
   }
 
-  const cwd = process.cwd();
+  const cwd = getCwd();
   const command = process.env.CLAUDE_CODE_SHELL_PREFIX ?
     applyShellPrefix(process.env.CLAUDE_CODE_SHELL_PREFIX, hook.command) :
     hook.command;
@@ -677,17 +680,53 @@ function applyShellPrefix(prefix, command) {
  */
 function createHookContext(permissionMode) {
   return {
-    session_id: getSessionId(),
-    transcript_path: getTranscriptPath(),
-    cwd: process.cwd(),
+    session_id: getCurrentSessionId() || randomUUID(),
+    transcript_path: getCurrentTranscriptPath(),
+    cwd: getCwd(),
     permission_mode: permissionMode
   };
 }
 
-// Helper functions - would need to be imported
-function getGlobalConfig() { return {}; }
-function getSessionId() { return randomUUID(); }
-function getTranscriptPath() { return null; }
+/**
+ * Run all hooks matching an event
+ * Exit code 2 blocks with stderr as the reason
+ */
+async function executeHooks(eventName, input = {}, signal) {
+  const context = {
+    ...createHookContext(input.permission_mode),
+    ...input,
+    hook_event_name: eventName
+  };
+
+  const hooks = findMatchingHooks(eventName, context);
+
+  return await Promise.all(hooks.map(async (hook) => {
+    if (hook.type === 'callback') {
+      return (await hook.callback(context, signal)) || {};
+    }
+
+    const output = await executeHookCommand(hook, eventName, context, signal);
+    const parsed = parseHookOutput(output.stdout);
+    const result = parsed.json
+      ? processHookResponse(parsed.json, hook.command, eventName)
+      : {};
+
+    if (output.status === 2) {
+      result.blockingError = {
+        blockingError: output.stderr.trim() || 'Blocked by hook',
+        command: hook.command
+      };
+    }
+
+    return {
+      ...result,
+      command: hook.command,
+      stdout: parsed.json ? '' : output.stdout,
+      stderr: output.stderr,
+      status: output.status
+    };
+  }));
+}
 
 export {
   HOOK_EVENTS,
@@ -711,5 +750,6 @@ export {
   parseHookOutput,
   processHookResponse,
   executeHookCommand,
+  executeHooks,
   createHookContext
 };
\ No newline at end of file
@@ -31,6 +31,9 @@ export { AgentExecutor } from './agent/agent-executor.js';
 // Tools
 export * as Tools from './tools/index.js';
 
+// SDK
+export { query, tool } from './sdk/query.js';
+
 // UI Components
 export { UIManager, uiManager, themes } from './ui/ui-components.js';
 export * as UIComponents from './ui/ui-components.js';
@@ -115,9 +118,18 @@ export function createClaudeCode(options = {}) {
       await configSystem.update(config);
     },
 
-    async executeT  { Tool } from './tools/index.js');
+    async executeTool(params) {
+      const { Tool } = await import('./tools/index.js');
       const tool = new Tool();
       return tool.execute(params);
+    },
+
+    /**
+     * Query the agent with this instance's options as defaults
+     */
+    async *query({ prompt, options: queryOptions = {} }) {
+      const { query } = await import('./sdk/query.js');
+      yield* query({ prompt, options: { ...options, ...queryOptions } });
     }
   };
 }
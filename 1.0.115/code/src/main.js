@@ -93,7 +93,7 @@ function initializeCLI() {
   program
     .command('chat', { isDefault: true })
     .description('Start conversation with Claude')
-    .option('-m, --model <model>', 'Model to use', 'claude-3-5-sonnet-20241022')
+    .option('-m, --model <model>', 'Model alias (sonnet, opus, haiku) or full name', 'sonnet')
     .option('-v, --verbose', 'Verbose output')
     .option('--no-stream', 'Disable streaming')
     .action(handleChat);
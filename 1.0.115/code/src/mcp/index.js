@@ -101,54 +101,56 @@ async function connectToMCPServer(serverName, serverConfig) {
  * Register MCP tools as available tools
  */
 function registerMCPTools(serverName, connection) {
-  const tools = connection.getTools();
-
-  for (const tool of tools) {
-    // Create a wrapper for each MCP tool
-    const mcpTool = {
-      name: `mcp_${serverName}_${tool.name}`,
-      description: tool.description || `MCP tool from ${serverName}`,
-      inputSchema: tool.inputSchema,
-
-      async *call(input, context) {
-        const result = await connection.callTool(tool.name, input);
-
-        yield {
-          type: 'result',
-          data: result
-        };
-      },
-
-      mapToolResultToToolResultBlockParam(data, toolUseId) {
-        return {
-          tool_use_id: toolUseId,
-          type: 'tool_result',
-          content: typeof data === 'string' ? data : JSON.stringify(data)
-        };
-      },
-
-      userFacingName() {
-        return `${serverName}:${tool.name}`;
-      },
-
-      isEnabled() {
-        return connection.isConnected();
-      },
-
-      isConcurrencySafe() {
-        return tool.concurrencySafe ?? true;
-      },
-
-      isReadOnly() {
-        return tool.readOnly ?? false;
-      }
-    };
-
+  for (const mcpTool of createMCPTools(serverName, connection)) {
     // Register the wrapped tool globally (would be added to AVAILABLE_TOOLS)
     registerGlobalTool(mcpTool);
   }
 }
 
+/**
+ * Wrap the tools of a connected MCP server as agent tools
+ */
+function createMCPTools(serverName, connection) {
+  return connection.getTools().map(tool => ({
+    name: `mcp_${serverName}_${tool.name}`,
+    description: tool.description || `MCP tool from ${serverName}`,
+    inputSchema: tool.inputSchema,
+
+    async *call(input, context) {
+      const result = await connection.callTool(tool.name, input);
+
+      yield {
+        type: 'result',
+        data: result
+      };
+    },
+
+    mapToolResultToToolResultBlockParam(data, toolUseId) {
+      return {
+        tool_use_id: toolUseId,
+        type: 'tool_result',
+        content: typeof data === 'string' ? data : JSON.stringify(data)
+      };
+    },
+
+    userFacingName() {
+      return `${serverName}:${tool.name}`;
+    },
+
+    isEnabled() {
+      return connection.isConnected();
+    },
+
+    isConcurrencySafe() {
+      return tool.concurrencySafe ?? true;
+    },
+
+    isReadOnly() {
+      return tool.readOnly ?? false;
+    }
+  }));
+}
+
 /**
  * Register a tool globally (placeholder - would integrate with main tool system)
  */
@@ -281,6 +283,7 @@ async function getMCPPrompt(serverName, promptName, args) {
 export {
   initializeMCPServers,
   connectToMCPServer,
+  createMCPTools,
   disconnectMCPServer,
   disconnectAllMCPServers,
   getConnectedMCPServers,
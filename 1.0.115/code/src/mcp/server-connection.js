@@ -7,6 +7,7 @@
 
 import { WebSocket } from 'ws';
 import { spawn } from 'child_process';
+import { getCwd } from '../utils/cwd.js';
 
 /**
  * MCP Server Connection Class
@@ -120,6 +121,7 @@ class McpServerConnection {
     const { command, args = [], env = {} } = this.serverConfig;
 
     const child = spawn(command, args, {
+      cwd: getCwd(),
       env: {
         ...process.env,
         ...env
@@ -0,0 +1,165 @@
+/**
+ * Permission Modes
+ * How tool uses are approved for a session
+ *
+ *   default            permission rules decide, anything else asks
+ *   acceptEdits        file edits inside the working directories are approved, Bash still asks
+ *   plan               only read-only tools run until the user approves a plan (ExitPlanMode)
+ *   bypassPermissions  every tool use is approved; deny rules still apply
+ *
+ * Settings:
+ *   permissions.defaultMode                   mode new sessions start in
+ *   permissions.disableBypassPermissionsMode  'disable' turns bypassPermissions off
+ *
+ * A checked-in project can not start sessions in bypassPermissions: that
+ * default is only taken from user, policy or flag settings.
+ */
+
+import { getGlobalConfig, loadConfig } from '../config/configuration-system.js';
+import { getToolInputPath, isInWorkingDirectories } from './permission-validation.js';
+
+// In Shift+Tab cycling order
+const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions'];
+
+const PERMISSION_MODE_INFO = {
+  default: { title: 'Default', symbol: '', color: 'gray' },
+  acceptEdits: { title: 'Accept edits', symbol: '⏵⏵', color: 'green' },
+  plan: { title: 'Plan mode', symbol: '⏸', color: 'cyan' },
+  bypassPermissions: { title: 'Bypass permissions', symbol: '⏵⏵', color: 'red' }
+};
+
+// Settings that may make bypassPermissions the default mode
+const BYPASS_DEFAULT_SOURCES = ['userSettings', 'policySettings', 'flagSettings'];
+
+// Tools approved in acceptEdits mode
+const EDIT_TOOLS = ['Edit', 'Write', 'MultiEdit', 'NotebookEdit'];
+
+const PLAN_MODE_PROMPT = `Plan mode is active. The user wants a plan before any changes are made.
+Only use read-only tools to research the task; do not edit files, run commands that change anything, or make commits.
+Bash only runs read-only commands such as ls, cat, grep, find and git status or log, without redirecting output to files.
+When the plan is ready, present it with the ExitPlanMode tool and wait for the user to approve it.`;
+
+/**
+ * Check if mode is a known permission mode
+ */
+function isValidPermissionMode(mode) {
+  return PERMISSION_MODES.includes(mode);
+}
+
+/**
+ * Check if policy turns bypassPermissions off
+ */
+function isBypassPermissionsModeDisabled(config = getGlobalConfig()) {
+  return config.permissions?.disableBypassPermissionsMode === 'disable';
+}
+
+/**
+ * Check if a mode can be used
+ */
+function isPermissionModeAvailable(mode, config = getGlobalConfig()) {
+  if (!isValidPermissionMode(mode)) return false;
+  return mode !== 'bypassPermissions' || !isBypassPermissionsModeDisabled(config);
+}
+
+/**
+ * Check if a source the user controls sets bypassPermissions as the default
+ */
+function isBypassDefaultTrusted() {
+  return BYPASS_DEFAULT_SOURCES.some(source =>
+    loadConfig(source)?.permissions?.defaultMode === 'bypassPermissions'
+  );
+}
+
+/**
+ * Get the mode new sessions start in
+ * A bypassPermissions default from project or local settings is ignored
+ */
+function getDefaultPermissionMode(config = getGlobalConfig()) {
+  const mode = config.permissions?.defaultMode;
+  if (!isPermissionModeAvailable(mode, config)) return 'default';
+  if (mode === 'bypassPermissions' && !isBypassDefaultTrusted()) return 'default';
+
+  return mode;
+}
+
+/**
+ * Get the mode after the current one, skipping unavailable modes
+ */
+function getNextPermissionMode(mode, config = getGlobalConfig()) {
+  const start = Math.max(PERMISSION_MODES.indexOf(mode), 0);
+
+  for (let step = 1; step <= PERMISSION_MODES.length; step++) {
+    const next = PERMISSION_MODES[(start + step) % PERMISSION_MODES.length];
+    if (isPermissionModeAvailable(next, config)) {
+      return next;
+    }
+  }
+
+  return 'default';
+}
+
+/**
+ * Get status bar text for a mode
+ * The default mode shows nothing
+ */
+function getPermissionModeStatus(mode, shortcut = 'shift+tab') {
+  if (!mode || mode === 'default') return '';
+
+  const { title, symbol } = PERMISSION_MODE_INFO[mode];
+  return `${symbol} ${title.toLowerCase()} on (${shortcut} to cycle)`;
+}
+
+/**
+ * Decide a tool use from the permission mode alone
+ * Returns null when the mode leaves the decision to rules and prompts
+ */
+function checkPermissionMode(mode, tool, input, context) {
+  switch (mode) {
+    case 'bypassPermissions':
+      return {
+        behavior: 'allow',
+        updatedInput: input,
+        decisionReason: { type: 'mode', mode }
+      };
+
+    case 'plan':
+      if (tool.isReadOnly?.(input)) return null;
+      return {
+        behavior: 'deny',
+        decisionReason: {
+          type: 'mode',
+          mode,
+          reason: `${tool.name} is not available in plan mode. Present your plan with ExitPlanMode and wait for approval before making changes`
+        }
+      };
+
+    case 'acceptEdits': {
+      if (!EDIT_TOOLS.includes(tool.name)) return null;
+
+      const filePath = getToolInputPath(tool, input);
+      if (!filePath || !isInWorkingDirectories(filePath, context)) return null;
+
+      return {
+        behavior: 'allow',
+        updatedInput: input,
+        decisionReason: { type: 'mode', mode }
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+export {
+  PERMISSION_MODES,
+  PERMISSION_MODE_INFO,
+  PLAN_MODE_PROMPT,
+  isValidPermissionMode,
+  isBypassPermissionsModeDisabled,
+  isPermissionModeAvailable,
+  getDefaultPermissionMode,
+  getNextPermissionMode,
+  getPermissionModeStatus,
+  checkPermissionMode
+};
\ No newline at end of file
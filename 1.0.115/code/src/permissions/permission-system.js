@@ -6,10 +6,25 @@
 
 import { isAbsolute } from 'path';
 import fs from 'fs';
+import { loadConfig, saveConfig } from '../config/configuration-system.js';
+import { getLogger } from '../utils/logging.js';
+import {
+  PERMISSION_SOURCES,
+  parsePermissionRule,
+  formatPermissionRule,
+  getAllowRules,
+  getAskRules,
+  getDenyRules
+} from './permission-validation.js';
+
+const logger = getLogger('permission-system');
 
 // Permission behaviors
 const PERMISSION_BEHAVIORS = ['allow', 'deny', 'ask'];
 
+// Settings files rules are read from, lowest priority first
+const SETTINGS_SOURCES = ['userSettings', 'projectSettings', 'localSettings', 'flagSettings', 'policySettings'];
+
 // Tool name constants
 const EDIT_FILE_TOOL = 'Read';
 const MAX_LINE_LENGTH = 2000;
@@ -162,9 +177,8 @@ function getAllPermissionRules() {
   }
 
   // Add rules from all sources
-  const sources = ['userSettings', 'projectSettings', 'localSettings'];
-  for (const source of sources) {
-    rules.push(...extractPermissionRules(source));
+  for (const source of SETTINGS_SOURCES) {
+    rules.push(...getRulesFromSource(source));
   }
 
   return rules;
@@ -179,36 +193,66 @@ function getRulesFromSource(source) {
   return extractPermissionRules(config, source);
 }
 
+/**
+ * Load rules and additional directories from the settings files into a permission context
+ */
+function loadPermissionRulesFromSettings(permissionContext) {
+  const context = {
+    ...permissionContext,
+    alwaysAllowRules: { ...permissionContext.alwaysAllowRules },
+    alwaysDenyRules: { ...permissionContext.alwaysDenyRules },
+    alwaysAskRules: { ...permissionContext.alwaysAskRules }
+  };
+
+  for (const rule of getAllPermissionRules()) {
+    const key = rule.ruleBehavior === 'allow' ? 'alwaysAllowRules' :
+               rule.ruleBehavior === 'deny' ? 'alwaysDenyRules' :
+               'alwaysAskRules';
+
+    context[key][rule.source] = [...(context[key][rule.source] || []), normalizeRuleValue(rule.ruleValue)];
+  }
+
+  const directories = new Map(permissionContext.additionalWorkingDirectories);
+  for (const source of SETTINGS_SOURCES) {
+    for (const directory of getConfigBySource(source).permissions?.additionalDirectories || []) {
+      directories.set(directory, { path: directory, source });
+    }
+  }
+  context.additionalWorkingDirectories = directories;
+
+  return context;
+}
+
 /**
  * Check if rule can be removed
+ * Session rules and rules saved in user, project or local settings can be;
+ * policy, flag and CLI rules are read-only
  * Original: function PUA(arg)
  */
 function canRemoveRule(rule) {
-  const ruleValue = normalizeRuleValue(rule.ruleValue);
-  const sourceConfig = getConfigBySource(rule.source);
-
-  if (!sourceConfig || !sourceConfig.permissions) return false;
-
-  const behaviorRules = sourceConfig.permissions[rule.ruleBehavior];
-  if (!behaviorRules || !behaviorRules.includes(ruleValue)) return false;
+  if (rule.source === 'session') return true;
+  if (!isPersistableDestination(rule.source)) return false;
 
-  try {
-    const updatedConfig = {
-      ...sourceConfig,
-      permissions: {
-        ...sourceConfig.permissions,
-        [rule.ruleBehavior]: behaviorRules.filter(r => r !== ruleValue)
-      }
-    };
+  const ruleValue = normalizeRuleValue(rule.ruleValue);
+  const behaviorRules = getConfigBySource(rule.source).permissions?.[rule.ruleBehavior];
 
-    const { error } = saveConfig(rule.source, updatedConfig);
-    if (error) return false;
+  return Array.isArray(behaviorRules) && behaviorRules.includes(ruleValue);
+}
 
-    return true;
-  } catch (error) {
-    console.error('Error removing rule:', error);
-    return false;
-  }
+/**
+ * Get every rule of a permission context, ordered by source
+ * Each rule is flagged removable or read-only
+ */
+function getPermissionContextRules(permissionContext) {
+  const rules = [
+    ...getAllowRules(permissionContext),
+    ...getAskRules(permissionContext),
+    ...getDenyRules(permissionContext)
+  ];
+
+  return rules
+    .sort((a, b) => PERMISSION_SOURCES.indexOf(a.source) - PERMISSION_SOURCES.indexOf(b.source))
+    .map(rule => ({ ...rule, removable: canRemoveRule(rule) }));
 }
 
 /**
@@ -238,7 +282,7 @@ function updatePermissionRules({ ruleValues, ruleBehavior }, source) {
     const permissions = config.permissions || {};
     const existingRules = permissions[ruleBehavior] || [];
     const existingSet = new Set(existingRules);
-    const newRules = ruleValues.filter(rule => !existingSet.has(rule));
+    const newRules = ruleValues.map(normalizeRuleValue).filter(rule => !existingSet.has(rule));
 
     if (newRules.length === 0) return true;
 
@@ -257,7 +301,7 @@ function updatePermissionRules({ ruleValues, ruleBehavior }, source) {
 
     return true;
   } catch (error) {
-    console.error('Error updating permissions:', error);
+    logger.error(`Error updating permissions: ${error.message}`);
     return false;
   }
 }
@@ -269,12 +313,12 @@ function updatePermissionRules({ ruleValues, ruleBehavior }, source) {
 function applyPermissionUpdate(currentConfig, update) {
   switch (update.type) {
     case 'setMode':
-      console.log(`Setting permission mode to '${update.mode}'`);
+      logger.debug(`Setting permission mode to '${update.mode}'`);
       return { ...currentConfig, mode: update.mode };
 
     case 'addRules': {
       const rules = update.rules.map(normalizeRuleValue);
-      console.log(`Adding ${rules.length} ${update.behavior} rules to ${update.destination}`);
+      logger.debug(`Adding ${rules.length} ${update.behavior} rules to ${update.destination}`);
 
       const key = update.behavior === 'allow' ? 'alwaysAllowRules' :
                  update.behavior === 'deny' ? 'alwaysDenyRules' :
@@ -294,7 +338,7 @@ function applyPermissionUpdate(currentConfig, update) {
 
     case 'replaceRules': {
       const rules = update.rules.map(normalizeRuleValue);
-      console.log(`Replacing ${update.behavior} rules in ${update.destination}`);
+      logger.debug(`Replacing ${update.behavior} rules in ${update.destination}`);
 
       const key = update.behavior === 'allow' ? 'alwaysAllowRules' :
                  update.behavior === 'deny' ? 'alwaysDenyRules' :
@@ -311,7 +355,7 @@ function applyPermissionUpdate(currentConfig, update) {
 
     case 'removeRules': {
       const rulesToRemove = update.rules.map(normalizeRuleValue);
-      console.log(`Removing ${rulesToRemove.length} ${update.behavior} rules from ${update.destination}`);
+      logger.debug(`Removing ${rulesToRemove.length} ${update.behavior} rules from ${update.destination}`);
 
       const key = update.behavior === 'allow' ? 'alwaysAllowRules' :
                  update.behavior === 'deny' ? 'alwaysDenyRules' :
@@ -331,10 +375,10 @@ function applyPermissionUpdate(currentConfig, update) {
     }
 
     case 'addDirectories': {
-      console.log(`Adding ${update.directories.length} directories to ${update.destination}`);
+      logger.debug(`Adding ${update.directories.length} directories to ${update.destination}`);
       const directories = new Map(currentConfig.additionalWorkingDirectories);
       for (const dir of update.directories) {
-        directories.set(dir, true);
+        directories.set(dir, { path: dir, source: update.destination });
       }
       return {
         ...currentConfig,
@@ -343,7 +387,7 @@ function applyPermissionUpdate(currentConfig, update) {
     }
 
     case 'removeDirectories': {
-      console.log(`Removing ${update.directories.length} directories from ${update.destination}`);
+      logger.debug(`Removing ${update.directories.length} directories from ${update.destination}`);
       const directories = new Map(currentConfig.additionalWorkingDirectories);
       for (const dir of update.directories) {
         directories.delete(dir);
@@ -388,11 +432,11 @@ function isPersistableDestination(destination) {
 function persistPermissionUpdate(update) {
   if (!isPersistableDestination(update.destination)) return;
 
-  console.log(`Persisting permission update: ${update.type} to '${update.destination}'`);
+  logger.debug(`Persisting permission update: ${update.type} to '${update.destination}'`);
 
   switch (update.type) {
     case 'addRules':
-      console.log(`Persisting ${update.rules.length} ${update.behavior} rules`);
+      logger.debug(`Persisting ${update.rules.length} ${update.behavior} rules`);
       updatePermissionRules(
         { ruleValues: update.rules, ruleBehavior: update.behavior },
         update.destination
@@ -400,7 +444,7 @@ function persistPermissionUpdate(update) {
       break;
 
     case 'removeRules':
-      console.log(`Removing ${update.rules.length} ${update.behavior} rules`);
+      logger.debug(`Removing ${update.rules.length} ${update.behavior} rules`);
       const config = getConfigBySource(update.destination);
       const rulesToRemove = new Set(update.rules.map(normalizeRuleValue));
       const filteredRules = (config.permissions?.[update.behavior] || [])
@@ -412,11 +456,11 @@ function persistPermissionUpdate(update) {
           ...config.permissions,
           [update.behavior]: filteredRules
         }
-      });
+      }, { replace: true });
       break;
 
     case 'setMode':
-      console.log(`Persisting mode '${update.mode}'`);
+      logger.debug(`Persisting mode '${update.mode}'`);
       saveConfig(update.destination, {
         ...getConfigBySource(update.destination),
         permissions: {
@@ -427,7 +471,7 @@ function persistPermissionUpdate(update) {
       break;
 
     case 'replaceRules':
-      console.log(`Replacing all ${update.behavior} rules with ${update.rules.length} new rules`);
+      logger.debug(`Replacing all ${update.behavior} rules with ${update.rules.length} new rules`);
       const newRules = update.rules.map(normalizeRuleValue);
       saveConfig(update.destination, {
         ...getConfigBySource(update.destination),
@@ -435,11 +479,11 @@ function persistPermissionUpdate(update) {
           ...getConfigBySource(update.destination)?.permissions,
           [update.behavior]: newRules
         }
-      });
+      }, { replace: true });
       break;
 
     case 'addDirectories':
-      console.log(`Adding ${update.directories.length} directories`);
+      logger.debug(`Adding ${update.directories.length} directories`);
       const existingDirs = getConfigBySource(update.destination)?.permissions?.additionalDirectories || [];
       const newDirs = update.directories.filter(dir => !existingDirs.includes(dir));
 
@@ -455,7 +499,7 @@ function persistPermissionUpdate(update) {
       break;
 
     case 'removeDirectories':
-      console.log(`Removing ${update.directories.length} directories`);
+      logger.debug(`Removing ${update.directories.length} directories`);
       const currentDirs = getConfigBySource(update.destination)?.permissions?.additionalDirectories || [];
       const dirsToRemove = new Set(update.directories);
       const remainingDirs = currentDirs.filter(dir => !dirsToRemove.has(dir));
@@ -466,7 +510,7 @@ function persistPermissionUpdate(update) {
           ...getConfigBySource(update.destination)?.permissions,
           additionalDirectories: remainingDirs
         }
-      });
+      }, { replace: true });
       break;
   }
 }
@@ -505,13 +549,40 @@ function createDirectoryPermissionRule(path) {
   return null;
 }
 
+/**
+ * Create updates that add a working directory
+ * The directory becomes readable and counts as part of the workspace
+ */
+function createAddDirectoryUpdates(directory, destination = 'localSettings') {
+  const ruleUpdate = createDirectoryPermissionRule(directory);
+  if (!ruleUpdate) return null;
+
+  return [
+    { ...ruleUpdate, destination },
+    { type: 'addDirectories', directories: [directory], destination }
+  ];
+}
+
+/**
+ * Create updates that remove a working directory and its read rule
+ */
+function createRemoveDirectoryUpdates(directory, destination = 'localSettings') {
+  const ruleUpdate = createDirectoryPermissionRule(directory);
+  const updates = [{ type: 'removeDirectories', directories: [directory], destination }];
+
+  if (ruleUpdate) {
+    updates.push({ ...ruleUpdate, type: 'removeRules', destination });
+  }
+
+  return updates;
+}
+
 // Placeholder functions - these would need to be imported or implemented
-function normalizeRule(rule) { return rule; }
-function normalizeRuleValue(ruleValue) { return ruleValue; }
+function normalizeRule(rule) { return typeof rule === 'string' ? parsePermissionRule(rule) : rule; }
+function normalizeRuleValue(ruleValue) { return typeof ruleValue === 'string' ? ruleValue : formatPermissionRule(ruleValue); }
 function getLocalSettings() { return {}; }
 function saveLocalSettings(config) { return config; }
-function getConfigBySource(source) { return {}; }
-function saveConfig(source, config) { return { error: null }; }
+function getConfigBySource(source) { return loadConfig(source) || {}; }
 function normalizePath(path) { return path; }
 
 export {
@@ -522,6 +593,8 @@ export {
   migrateToolUsageAnalytics,
   getAllPermissionRules,
   getRulesFromSource,
+  loadPermissionRulesFromSettings,
+  getPermissionContextRules,
   canRemoveRule,
   createEmptyPermissionContext,
   updatePermissionRules,
@@ -530,5 +603,7 @@ export {
   isPersistableDestination,
   persistPermissionUpdate,
   persistPermissionUpdates,
-  createDirectoryPermissionRule
+  createDirectoryPermissionRule,
+  createAddDirectoryUpdates,
+  createRemoveDirectoryUpdates
 };
\ No newline at end of file
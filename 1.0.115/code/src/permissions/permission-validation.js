@@ -7,6 +7,9 @@
 import { isIP } from 'node:net';
 import fs from 'fs';
 import path from 'path';
+import { minimatch } from 'minimatch';
+import { parseCommand, extractEnvVars, hasShellOperators, getWrappedCommands } from '../utils/command-parser.js';
+import { getCwd } from '../utils/cwd.js';
 
 // MCP Server Functions
 // Original: lines 514-552
@@ -310,7 +313,7 @@ function formatPermissionRule(rule) {
  */
 function getAllowRules(context) {
   return PERMISSION_SOURCES.flatMap(source =>
-    (context.alwaysAllowRules[source] || []).map(rule => ({
+    (context.alwaysAllowRules?.[source] || []).map(rule => ({
       source,
       ruleBehavior: 'allow',
       ruleValue: parsePermissionRule(rule)
@@ -395,7 +398,7 @@ function formatPermissionDecisionMessage(context, toolName, decision) {
  */
 function getDenyRules(context) {
   return PERMISSION_SOURCES.flatMap(source =>
-    (context.alwaysDenyRules[source] || []).map(rule => ({
+    (context.alwaysDenyRules?.[source] || []).map(rule => ({
       source,
       ruleBehavior: 'deny',
       ruleValue: parsePermissionRule(rule)
@@ -409,7 +412,7 @@ function getDenyRules(context) {
  */
 function getAskRules(context) {
   return PERMISSION_SOURCES.flatMap(source =>
-    (context.alwaysAskRules[source] || []).map(rule => ({
+    (context.alwaysAskRules?.[source] || []).map(rule => ({
       source,
       ruleBehavior: 'ask',
       ruleValue: parsePermissionRule(rule)
@@ -417,13 +420,192 @@ function getAskRules(context) {
   );
 }
 
+// Rule Content Matching
+//
+// Bash(npm test)          exact command
+// Bash(npm test:*)        command prefix, on whole words
+// Read(*.env)             gitignore-style path pattern: no slash matches at any depth,
+// Edit(src/**)            a slash anchors it to the project root or an additional
+// Edit(/docs/)            working directory, a trailing slash matches a directory
+// Read(//etc/**)          // is an absolute path, ~/ is the home directory
+// WebFetch(domain:x.com)  host name, *.x.com for its subdomains
+
+// Content rules for Edit cover every tool that changes files
+const RULE_CONTENT_TOOLS = {
+  Edit: ['Edit', 'Write', 'MultiEdit', 'NotebookEdit']
+};
+
+/**
+ * Get tokens of a command for rule matching
+ */
+function getCommandTokens(command) {
+  const { executable, args } = parseCommand(command);
+  return executable ? [executable, ...args] : [];
+}
+
+/**
+ * Check if a Bash rule matches a command
+ * Allow rules never cover compound commands; deny and ask rules also
+ * match commands behind VAR=value assignments and wrappers like sudo or xargs
+ */
+function matchBashRule(ruleContent, command, ruleBehavior) {
+  if (typeof command !== 'string') return false;
+
+  const target = command.trim();
+  if (ruleBehavior === 'allow' && hasShellOperators(target)) return false;
+
+  const isPrefix = ruleContent.endsWith(':*');
+  const ruleTokens = getCommandTokens(isPrefix ? ruleContent.slice(0, -2) : ruleContent);
+  if (ruleTokens.length === 0) return false;
+
+  const candidates = ruleBehavior === 'allow' ?
+    [target] :
+    getWrappedCommands(extractEnvVars(target).command).map(candidate => extractEnvVars(candidate).command);
+
+  return candidates.some(candidate => {
+    const commandTokens = getCommandTokens(candidate);
+    if (!isPrefix && commandTokens.length !== ruleTokens.length) return false;
+
+    return ruleTokens.every((token, index) => commandTokens[index] === token);
+  });
+}
+
+/**
+ * Get path of a file tool input
+ */
+function getToolInputPath(tool, input) {
+  const filePath = tool.getPath?.(input) ?? input?.file_path ?? input?.notebook_path;
+  if (typeof filePath !== 'string' || !filePath) return null;
+  return path.resolve(getCurrentWorkingDirectory(), filePath);
+}
+
+/**
+ * Get the project root and additional working directories
+ */
+function getWorkingDirectories(context) {
+  return [
+    getCurrentWorkingDirectory(),
+    ...(context?.additionalWorkingDirectories?.keys() || [])
+  ];
+}
+
+/**
+ * Check if a path is inside a working directory
+ */
+function isInWorkingDirectories(filePath, context) {
+  return getWorkingDirectories(context).some(root => {
+    const relativePath = path.relative(root, filePath);
+    return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+  });
+}
+
+/**
+ * Get the path and its parent directories, shortest last
+ */
+function getPathCandidates(filePath) {
+  const candidates = [];
+  let current = filePath;
+
+  while (current && current !== '.' && current !== path.dirname(current)) {
+    candidates.push(current);
+    current = path.dirname(current);
+  }
+
+  return candidates;
+}
+
+/**
+ * Check if a path rule matches a file
+ * Relative patterns are tried against each working directory
+ */
+function matchPathRule(ruleContent, filePath, context) {
+  if (!filePath) return false;
+
+  const isDirectory = ruleContent.endsWith('/');
+  let pattern = isDirectory ? `${ruleContent}**` : ruleContent;
+  const matches = candidate => minimatch(candidate, pattern, { dot: true });
+
+  if (pattern.startsWith('//')) {
+    pattern = pattern.slice(1);
+    return getPathCandidates(filePath).some(matches);
+  }
+
+  if (pattern.startsWith('~/')) {
+    pattern = path.join(getHomeDirectory(), pattern.slice(2));
+    return getPathCandidates(filePath).some(matches);
+  }
+
+  // Without a slash before the end, a pattern matches at any depth
+  const anchored = (isDirectory ? ruleContent.slice(0, -1) : ruleContent).includes('/');
+  if (pattern.startsWith('/')) {
+    pattern = pattern.slice(1);
+  } else if (!anchored) {
+    pattern = `**/${pattern}`;
+  }
+
+  return getWorkingDirectories(context).some(root => {
+    const relativePath = path.relative(root, filePath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return false;
+    }
+    return getPathCandidates(relativePath).some(matches);
+  });
+}
+
+/**
+ * Check if a WebFetch rule matches a URL
+ */
+function matchDomainRule(ruleContent, url) {
+  if (!ruleContent.startsWith('domain:')) return false;
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+
+  const domain = ruleContent.slice('domain:'.length).toLowerCase();
+  if (domain.startsWith('*.')) {
+    return hostname.endsWith(domain.slice(1));
+  }
+
+  return hostname === domain;
+}
+
+/**
+ * Check if rule content matches a tool input
+ */
+function ruleContentMatches(tool, rule, input, context) {
+  const { toolName, ruleContent } = rule.ruleValue;
+  const ruleTools = RULE_CONTENT_TOOLS[toolName] || [toolName];
+
+  if (!ruleTools.includes(tool.name)) return false;
+
+  if (usesBashPrefix(toolName)) {
+    return matchBashRule(ruleContent, input?.command, rule.ruleBehavior);
+  }
+
+  if (isFileTool(toolName)) {
+    return matchPathRule(ruleContent, getToolInputPath(tool, input), context);
+  }
+
+  if (toolName === 'WebFetch') {
+    return matchDomainRule(ruleContent, input?.url);
+  }
+
+  return false;
+}
+
 /**
  * Check if rule matches tool
+ * Rules with content only match when the tool input is given
  * Original: function A10(arg, options)
  */
-function ruleMatchesTool(tool, rule) {
-  // If rule has content, it must match exactly
-  if (rule.ruleValue.ruleContent !== undefined) return false;
+function ruleMatchesTool(tool, rule, input, context) {
+  if (rule.ruleValue.ruleContent !== undefined) {
+    return input !== undefined && ruleContentMatches(tool, rule, input, context);
+  }
 
   // Direct name match
   if (rule.ruleValue.toolName === tool.name) return true;
@@ -443,24 +625,81 @@ function ruleMatchesTool(tool, rule) {
  * Find allow rule for tool
  * Original: function yC9(arg, options)
  */
-function findAllowRuleForTool(context, tool) {
-  return getAllowRules(context).find(rule => ruleMatchesTool(tool, rule)) || null;
+function findAllowRuleForTool(context, tool, input) {
+  return getAllowRules(context).find(rule => ruleMatchesTool(tool, rule, input, context)) || null;
 }
 
 /**
  * Find deny rule for tool
  * Original: function kC9(arg, options)
  */
-function findDenyRuleForTool(context, tool) {
-  return getDenyRules(context).find(rule => ruleMatchesTool(tool, rule)) || null;
+function findDenyRuleForTool(context, tool, input) {
+  return getDenyRules(context).find(rule => ruleMatchesTool(tool, rule, input, context)) || null;
 }
 
 /**
  * Find ask rule for tool
  * Original: function _C9(arg, options)
  */
-function findAskRuleForTool(context, tool) {
-  return getAskRules(context).find(rule => ruleMatchesTool(tool, rule)) || null;
+function findAskRuleForTool(context, tool, input) {
+  return getAskRules(context).find(rule => ruleMatchesTool(tool, rule, input, context)) || null;
+}
+
+/**
+ * Find the rule that decides a tool use
+ * Deny rules win over ask rules, which win over allow rules, whatever their source
+ */
+function findRuleDecisionForTool(context, tool, input) {
+  for (const [behavior, findRule] of [
+    ['deny', findDenyRuleForTool],
+    ['ask', findAskRuleForTool],
+    ['allow', findAllowRuleForTool]
+  ]) {
+    const rule = findRule(context, tool, input);
+    if (rule) {
+      return { behavior, rule };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get allow rules that would cover a tool use next time
+ * Bash relies on the rules its permission check suggests; without them nothing is offered
+ */
+function getSuggestedRulesForTool(tool, input, suggestions = []) {
+  const suggestedRules = suggestions
+    .filter(update => update.type === 'addRules' && update.behavior === 'allow')
+    .flatMap(update => update.rules);
+
+  if (suggestedRules.length > 0 || usesBashPrefix(tool.name)) {
+    return suggestedRules;
+  }
+
+  if (isFileTool(tool.name)) {
+    const filePath = getToolInputPath(tool, input);
+    if (!filePath) return [];
+
+    const toolName = RULE_CONTENT_TOOLS.Edit.includes(tool.name) ? 'Edit' : tool.name;
+    const directory = path.dirname(filePath);
+    const relativePath = path.relative(getCurrentWorkingDirectory(), directory);
+    const ruleContent = relativePath.startsWith('..') || path.isAbsolute(relativePath) ?
+      `/${directory}/**` :
+      `/${relativePath ? relativePath + '/' : ''}**`;
+
+    return [{ toolName, ruleContent }];
+  }
+
+  if (tool.name === 'WebFetch') {
+    try {
+      return [{ toolName: 'WebFetch', ruleContent: `domain:${new URL(input.url).hostname}` }];
+    } catch {
+      return [];
+    }
+  }
+
+  return [{ toolName: tool.name }];
 }
 
 /**
@@ -863,7 +1102,7 @@ function isValidHostname(str) {
 
 // Placeholder functions - would need to be imported
 function getHomeDirectory() { return process.env.HOME || ''; }
-function getCurrentWorkingDirectory() { return process.cwd(); }
+function getCurrentWorkingDirectory() { return getCwd(); }
 function getUserConfigPath() { return '~/.claude/config.json'; }
 function getEnterpriseConfigPath() { return '/etc/claude/config.json'; }
 function getLocalConfig() { return {}; }
@@ -883,6 +1122,7 @@ export {
 
   // Scope functions
   getPermissionScopeDisplayName,
+  getPermissionSourceDisplayName,
   getPermissionScopeType,
   validatePermissionScope,
   getTransportType,
@@ -901,11 +1141,19 @@ export {
   findAllowRuleForTool,
   findDenyRuleForTool,
   findAskRuleForTool,
+  findRuleDecisionForTool,
+  getSuggestedRulesForTool,
   getRulesByBehaviorForTool,
 
   // Validation functions
   isFileTool,
   usesBashPrefix,
+  getToolInputPath,
+  getWorkingDirectories,
+  isInWorkingDirectories,
+  matchBashRule,
+  matchPathRule,
+  matchDomainRule,
   getCustomValidator,
   validatePermissionRule,
   formatValidationError,
@@ -12,6 +12,7 @@ import { EventEmitter } from 'events';
 import * as path from 'path';
 import * as fs from 'fs/promises';
 import { execSync } from 'child_process';
+import { usesThirdPartyProvider } from '../api/anthropic-client.js';
 
 /**
  * Runtime Initializer
@@ -212,7 +213,10 @@ export class RuntimeInitializer extends EventEmitter {
 
         case 'conversation':
           const { ConversationLoop } = await import('../conversation/conversation-loop.js');
-          system = new ConversationLoop(this.config.conversation);
+          system = new ConversationLoop({
+            ...this.config.conversation,
+            agentLoop: await this.createAgentLoop()
+          });
           break;
       }
 
@@ -246,6 +250,24 @@ export class RuntimeInitializer extends EventEmitter {
     return tools;
   }
 
+  /**
+   * Create agent loop for the REPL
+   * Uses registered tools enabled in the tools system
+   */
+  async createAgentLoop() {
+    const { ConversationLoop: AgentLoop } = await import('../conversation/loop.js');
+    const { toolRegistry } = await import('../tools/index.js');
+    const enabledTools = this.systems.get('tools') || new Map();
+
+    return new AgentLoop({
+      apiKey: this.config.api?.apiKey,
+      mainLoopModel: this.config.model,
+      tools: toolRegistry.list()
+        .filter(tool => enabledTools.get(tool.name)?.enabled)
+        .map(tool => tool.class)
+    });
+  }
+
   /**
    * Setup global handlers
    */
@@ -294,8 +316,8 @@ export class RuntimeInitializer extends EventEmitter {
 
     const requirements = [];
 
-    // Check API key
-    if (!this.config.api?.apiKey) {
+    // Check API key; Bedrock, Vertex and gateways authenticate their own way
+    if (!this.config.api?.apiKey && !usesThirdPartyProvider()) {
       requirements.push('API key is required. Set ANTHROPIC_API_KEY environment variable.');
     }
 
@@ -363,7 +385,7 @@ export class RuntimeInitializer extends EventEmitter {
   async loadDefaultConfig() {
     return {
       version: '1.0.115',
-      model: 'claude-3-5-sonnet-20241022',
+      model: 'sonnet',
       maxTokens: 4096,
       temperature: 0,
       tools: {
@@ -480,8 +502,10 @@ export class RuntimeInitializer extends EventEmitter {
 
       if (arg === '--api-key' && args[i + 1]) {
         config.api = { apiKey: args[++i] };
-      } else if (arg === '--model' && args[i + 1]) {
+      } else if ((arg === '--model' || arg === '-m') && args[i + 1]) {
         config.model = args[++i];
+      } else if (arg.startsWith('--model=')) {
+        config.model = arg.slice('--model='.length);
       } else if (arg === '--debug') {
         config.logging = { level: 'debug' };
       }
@@ -0,0 +1,207 @@
+/**
+ * SDK Query
+ * Runs the agent from Node code and yields its messages
+ *
+ *   for await (const message of query({ prompt: 'Fix the failing test', options })) {
+ *     if (message.type === 'result') console.log(message.result);
+ *   }
+ *
+ * prompt is a string, or an async iterable of { type: 'user', message: { content } }
+ * messages for a multi-turn session. Messages yielded are those of message-stream:
+ * system init, assistant, user (tool results) and one result per turn.
+ *
+ * Options:
+ *   model              model alias or id
+ *   cwd                working directory of the query; the process working directory is not changed
+ *   allowedTools       permission rules that need no approval, e.g. ['Read', 'Bash(npm test)']
+ *   disallowedTools    permission rules that are denied; bare tool names also hide the tool
+ *   permissionMode     default, acceptEdits, plan or bypassPermissions
+ *   canUseTool         async (toolName, input, { signal, suggestions }) => { behavior: 'allow', updatedInput }
+ *                      or { behavior: 'deny', message }; without it, tools needing approval are denied.
+ *                      suggestions lists permission rules that would cover the tool use
+ *   systemPrompt       replaces the default system prompt
+ *   appendSystemPrompt appended to the system prompt
+ *   mcpServers         { name: serverConfig } connected for this query only
+ *   tools              in-process tools created with tool()
+ *   maxTurns           model requests with tool use before the turn stops
+ *   signal             AbortSignal that stops the query
+ *   persistSession     false to skip writing the session transcript
+ *   apiKey, apiClient  credentials or a preconfigured client
+ */
+
+import { ConversationLoop } from '../conversation/loop.js';
+import { createPermissionDecision } from '../conversation/tool-execution.js';
+import {
+  streamTurnMessages,
+  createInitMessage,
+  parseUserContent
+} from '../conversation/message-stream.js';
+import { parsePermissionRule } from '../permissions/permission-validation.js';
+import { McpServerConnection } from '../mcp/server-connection.js';
+import { createMCPTools } from '../mcp/index.js';
+import { toolRegistry } from '../tools/index.js';
+import { getCwd, runWithCwd } from '../utils/cwd.js';
+
+/**
+ * Define an in-process tool
+ * handler(input, context) returns a string, content blocks or a JSON-serializable value
+ */
+function tool(name, description, inputSchema, handler, options = {}) {
+  return {
+    name,
+    description,
+    inputSchema,
+
+    async call(input, context) {
+      return await handler(input, context);
+    },
+
+    mapToolResultToToolResultBlockParam(result, toolUseId) {
+      return {
+        tool_use_id: toolUseId,
+        type: 'tool_result',
+        content: typeof result === 'string' || Array.isArray(result) ? result : JSON.stringify(result)
+      };
+    },
+
+    isConcurrencySafe() {
+      return options.concurrencySafe ?? false;
+    },
+
+    isReadOnly() {
+      return options.readOnly ?? false;
+    }
+  };
+}
+
+/**
+ * Get tools for a query
+ * Tools named by a bare disallowed rule are left out entirely
+ */
+function resolveTools(options, mcpTools) {
+  const hidden = new Set(
+    (options.disallowedTools || [])
+      .map(parsePermissionRule)
+      .filter(rule => rule.ruleContent === undefined)
+      .map(rule => rule.toolName)
+  );
+
+  const builtinTools = toolRegistry.list()
+    .filter(entry => entry.enabled)
+    .map(entry => entry.class);
+
+  return [...builtinTools, ...mcpTools, ...(options.tools || [])]
+    .filter(agentTool => !hidden.has(agentTool.name));
+}
+
+/**
+ * Connect MCP servers for a query
+ */
+async function connectMcpServers(mcpServers = {}) {
+  const connections = [];
+
+  try {
+    for (const [serverName, serverConfig] of Object.entries(mcpServers)) {
+      const connection = new McpServerConnection(serverName, serverConfig, { startTime: Date.now() });
+      await connection.connect();
+      connections.push(connection);
+    }
+  } catch (error) {
+    await disconnectMcpServers(connections);
+    throw error;
+  }
+
+  return connections;
+}
+
+/**
+ * Disconnect MCP servers of a query
+ */
+async function disconnectMcpServers(connections) {
+  await Promise.allSettled(connections.map(connection => connection.disconnect()));
+}
+
+/**
+ * Create the loop for a query
+ */
+function createQueryLoop(options, tools) {
+  const loop = new ConversationLoop({
+    apiKey: options.apiKey,
+    apiClient: options.apiClient,
+    mainLoopModel: options.model,
+    systemPrompt: options.systemPrompt,
+    appendSystemPrompt: options.appendSystemPrompt,
+    permissionMode: options.permissionMode,
+    maxTurns: options.maxTurns,
+    persistSession: options.persistSession,
+    cwd: options.cwd,
+    isNonInteractiveSession: true,
+    tools
+  });
+
+  const permissionContext = loop.context.toolPermissionContext;
+  permissionContext.alwaysAllowRules.cliArg = options.allowedTools || [];
+  permissionContext.alwaysDenyRules.cliArg = options.disallowedTools || [];
+
+  if (options.canUseTool) {
+    loop.setPermissionPrompt(async ({ tool: toolName, input, suggestions }) => {
+      const response = await options.canUseTool(toolName, input, { signal: options.signal, suggestions });
+      return createPermissionDecision(response, input);
+    });
+  }
+
+  return loop;
+}
+
+/**
+ * Run a query
+ */
+async function* runQuery(prompt, options) {
+  let connections = [];
+  let loop = null;
+  const onAbort = () => loop?.abort();
+
+  try {
+    connections = await runWithCwd(options.cwd || getCwd(), () => connectMcpServers(options.mcpServers));
+    const mcpTools = connections.flatMap(connection => createMCPTools(connection.serverName, connection));
+
+    loop = createQueryLoop(options, resolveTools(options, mcpTools));
+    options.signal?.throwIfAborted();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    yield createInitMessage(loop);
+
+    if (typeof prompt === 'string') {
+      yield* streamTurnMessages(loop, prompt);
+      return;
+    }
+
+    for await (const message of prompt) {
+      const content = parseUserContent(message.message?.content);
+      yield* streamTurnMessages(loop, content.text, content.blocks);
+
+      // An aborted query takes no further messages
+      if (options.signal?.aborted) break;
+    }
+  } finally {
+    options.signal?.removeEventListener('abort', onAbort);
+    await disconnectMcpServers(connections);
+  }
+}
+
+/**
+ * Query the agent
+ * Returns an async iterator of messages
+ */
+function query({ prompt, options = {} }) {
+  if (typeof prompt !== 'string' && typeof prompt?.[Symbol.asyncIterator] !== 'function') {
+    throw new Error('prompt must be a string or an async iterable of user messages');
+  }
+
+  return runQuery(prompt, options);
+}
+
+export {
+  query,
+  tool
+};
\ No newline at end of file
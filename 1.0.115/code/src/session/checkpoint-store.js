@@ -0,0 +1,188 @@
+/**
+ * Checkpoint Store
+ * File snapshots taken before each turn so edits can be rewound
+ *
+ * A checkpoint is created when the user sends a prompt. The first time a
+ * file editing tool touches a file during that turn, the file's current
+ * content is backed up under ~/.claude/file-history/<sessionId>/.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { getClaudeConfigDirectory } from './session-store.js';
+import { getGlobalConfig } from '../config/configuration-system.js';
+import { getCwd } from '../utils/cwd.js';
+
+// Tools that modify files, mapped to the input field holding the path
+const FILE_EDIT_TOOLS = {
+  Edit: 'file_path',
+  MultiEdit: 'file_path',
+  Write: 'file_path',
+  NotebookEdit: 'notebook_path'
+};
+
+/**
+ * Check if auto-checkpointing is enabled in settings
+ */
+function isCheckpointingEnabled() {
+  return getGlobalConfig().autocheckpointingEnabled !== false;
+}
+
+/**
+ * Get backup directory for a session
+ */
+function getFileHistoryDirectory(sessionId) {
+  return path.join(getClaudeConfigDirectory(), 'file-history', sessionId);
+}
+
+/**
+ * Checkpoint store
+ * Tracks per-turn file snapshots for a single session
+ */
+class CheckpointStore {
+  constructor(options = {}) {
+    this.sessionId = options.sessionId;
+    this.cwd = options.cwd || getCwd();
+    this.backupDirectory = options.backupDirectory || getFileHistoryDirectory(this.sessionId);
+    this.checkpoints = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Create a checkpoint at the start of a turn
+   */
+  createCheckpoint({ parentUuid = null, prompt = '' } = {}) {
+    const checkpoint = {
+      id: this.nextId++,
+      parentUuid,
+      prompt,
+      timestamp: new Date().toISOString(),
+      files: new Map()
+    };
+
+    this.checkpoints.push(checkpoint);
+    return checkpoint;
+  }
+
+  /**
+   * Snapshot the file a tool is about to modify
+   */
+  captureToolInput(toolName, input = {}) {
+    const field = FILE_EDIT_TOOLS[toolName];
+    if (!field || !input[field]) return null;
+
+    return this.captureFile(input[field]);
+  }
+
+  /**
+   * Snapshot a file into the current checkpoint
+   * Only the first touch per turn is kept
+   */
+  captureFile(filePath) {
+    const checkpoint = this.checkpoints[this.checkpoints.length - 1];
+    if (!checkpoint) return null;
+
+    const absolutePath = path.resolve(this.cwd, filePath);
+    if (checkpoint.files.has(absolutePath)) {
+      return checkpoint.files.get(absolutePath);
+    }
+
+    let backupPath = null;
+
+    if (fs.existsSync(absolutePath)) {
+      backupPath = path.join(
+        this.backupDirectory,
+        `${checkpoint.id}-${createHash('sha256').update(absolutePath).digest('hex').slice(0, 16)}`
+      );
+
+      if (!fs.existsSync(this.backupDirectory)) {
+        fs.mkdirSync(this.backupDirectory, { recursive: true, mode: 0o700 });
+      }
+      fs.copyFileSync(absolutePath, backupPath);
+    }
+
+    const snapshot = { path: absolutePath, backupPath };
+    checkpoint.files.set(absolutePath, snapshot);
+
+    return snapshot;
+  }
+
+  /**
+   * Get checkpoint by id
+   */
+  getCheckpoint(checkpointId) {
+    return this.checkpoints.find(checkpoint => checkpoint.id === checkpointId) || null;
+  }
+
+  /**
+   * List checkpoints, oldest first
+   */
+  listCheckpoints() {
+    return this.checkpoints.map(checkpoint => ({
+      id: checkpoint.id,
+      prompt: checkpoint.prompt,
+      timestamp: checkpoint.timestamp,
+      files: [...checkpoint.files.keys()]
+    }));
+  }
+
+  /**
+   * Restore files to their state before a checkpoint's turn
+   * Drops the checkpoint and every later one
+   */
+  rewind(checkpointId) {
+    const index = this.checkpoints.findIndex(checkpoint => checkpoint.id === checkpointId);
+    if (index === -1) {
+      throw new Error(`Checkpoint not found: ${checkpointId}`);
+    }
+
+    // Earliest snapshot of each file at or after the checkpoint wins
+    const snapshots = new Map();
+    for (const checkpoint of this.checkpoints.slice(index)) {
+      for (const [filePath, snapshot] of checkpoint.files) {
+        if (!snapshots.has(filePath)) {
+          snapshots.set(filePath, snapshot);
+        }
+      }
+    }
+
+    const restoredFiles = [];
+    const deletedFiles = [];
+
+    for (const snapshot of snapshots.values()) {
+      if (snapshot.backupPath) {
+        fs.mkdirSync(path.dirname(snapshot.path), { recursive: true });
+        fs.copyFileSync(snapshot.backupPath, snapshot.path);
+        restoredFiles.push(snapshot.path);
+      } else if (fs.existsSync(snapshot.path)) {
+        // File was created during or after the checkpoint
+        fs.unlinkSync(snapshot.path);
+        deletedFiles.push(snapshot.path);
+      }
+    }
+
+    const [checkpoint] = this.checkpoints.splice(index);
+
+    return {
+      checkpoint,
+      restoredFiles,
+      deletedFiles
+    };
+  }
+
+  /**
+   * Remove all checkpoints and backups
+   */
+  clear() {
+    this.checkpoints = [];
+    fs.rmSync(this.backupDirectory, { recursive: true, force: true });
+  }
+}
+
+export {
+  CheckpointStore,
+  isCheckpointingEnabled,
+  getFileHistoryDirectory,
+  FILE_EDIT_TOOLS
+};
\ No newline at end of file
@@ -0,0 +1,408 @@
+/**
+ * Session Export
+ * Render session transcripts as Markdown, HTML or JSON
+ */
+
+import { DocFormat } from '../documentation/documentation-system.js';
+import { TokenManager } from '../conversation/token-management.js';
+
+const EXPORT_FORMATS = [DocFormat.MARKDOWN, DocFormat.HTML, DocFormat.JSON];
+
+const FILE_EXTENSIONS = {
+  [DocFormat.MARKDOWN]: '.md',
+  [DocFormat.HTML]: '.html',
+  [DocFormat.JSON]: '.json'
+};
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #24292f; }
+  .turn { margin: 1.5em 0; }
+  .role { font-weight: 600; margin-bottom: 0.25em; }
+  .user .role { color: #0969da; }
+  .assistant .role { color: #8250df; }
+  pre { background: #f6f8fa; padding: 0.75em; overflow-x: auto; border-radius: 6px; }
+  details { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.5em 0.75em; margin: 0.5em 0; }
+  details.error { border-color: #cf222e; }
+  summary { cursor: pointer; font-family: monospace; }
+  .diff-add { color: #1a7f37; }
+  .diff-remove { color: #cf222e; }
+  .diff-hunk { color: #8250df; }
+  footer { border-top: 1px solid #d0d7de; margin-top: 2em; padding-top: 1em; color: #57606a; }
+`;
+
+/**
+ * Session exporter
+ * Pairs tool calls with their results and renders the active branch of the
+ * conversation. Usage covers every entry, including other branches
+ */
+class SessionExporter {
+  constructor(session) {
+    this.session = session;
+    const entriesByUuid = new Map(session.entries.map(entry => [entry.uuid, entry]));
+    this.entries = session.messages
+      .map(message => entriesByUuid.get(message.uuid))
+      .filter(entry => entry?.message && (entry.type === 'user' || entry.type === 'assistant'));
+    this.toolResults = this.collectToolResults();
+  }
+
+  /**
+   * Generate export in requested format
+   */
+  generate(format = DocFormat.MARKDOWN) {
+    switch (format) {
+      case DocFormat.MARKDOWN:
+        return this.toMarkdown();
+      case DocFormat.HTML:
+        return this.toHTML();
+      case DocFormat.JSON:
+        return JSON.stringify(this.toJSON(), null, 2);
+      default:
+        throw new Error(`Unsupported export format: ${format}. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Index tool results by tool_use id
+   */
+  collectToolResults() {
+    const results = new Map();
+
+    for (const entry of this.entries) {
+      if (!Array.isArray(entry.message.content)) continue;
+
+      for (const block of entry.message.content) {
+        if (block.type === 'tool_result') {
+          results.set(block.tool_use_id, {
+            block,
+            data: entry.toolUseResults?.[block.tool_use_id]
+          });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Build render turns, skipping user entries that only carry tool results
+   * and prompts the loop sent on its own
+   */
+  getTurns() {
+    const turns = [];
+
+    for (const entry of this.entries) {
+      if (entry.isMeta) continue;
+
+      const content = typeof entry.message.content === 'string'
+        ? [{ type: 'text', text: entry.message.content }]
+        : entry.message.content || [];
+
+      const blocks = content.filter(block => block.type !== 'tool_result');
+      if (blocks.length === 0) continue;
+
+      turns.push({
+        role: entry.type,
+        timestamp: entry.timestamp,
+        blocks
+      });
+    }
+
+    return turns;
+  }
+
+  /**
+   * Get token and cost summary
+   */
+  getUsageSummary() {
+    const tokenManager = new TokenManager(this.session.model || undefined);
+
+    for (const entry of this.session.entries) {
+      if (entry.usage) {
+        tokenManager.updateUsage(entry.usage);
+      }
+    }
+
+    return tokenManager.getUsageSummary();
+  }
+
+  /**
+   * Generate Markdown export
+   */
+  toMarkdown() {
+    const lines = [];
+
+    lines.push(`# Session ${this.session.sessionId}`);
+    lines.push('');
+    lines.push(...this.getHeaderFields().map(([label, value]) => `- **${label}:** ${value}`));
+    lines.push('');
+
+    for (const turn of this.getTurns()) {
+      lines.push(`## ${turn.role === 'user' ? 'User' : 'Assistant'}`);
+      lines.push('');
+
+      for (const block of turn.blocks) {
+        if (block.type === 'text') {
+          lines.push(block.text);
+          lines.push('');
+        } else if (block.type === 'tool_use') {
+          lines.push(...this.toolUseToMarkdown(block));
+          lines.push('');
+        }
+      }
+    }
+
+    const usage = this.getUsageSummary();
+    lines.push('---');
+    lines.push('');
+    lines.push(`**Tokens:** ${formatUsageLine(usage)}`);
+    if (usage.cost) {
+      lines.push('');
+      lines.push(`**Cost:** ${formatCostLine(usage)}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a tool call and its result as a collapsible Markdown block
+   */
+  toolUseToMarkdown(toolUse) {
+    const result = this.toolResults.get(toolUse.id);
+    const status = !result ? ' (no result)' : result.block.is_error ? ' (error)' : '';
+    const lines = [];
+
+    lines.push('<details>');
+    lines.push(`<summary>${toolUse.name}: ${escapeHtml(describeToolInput(toolUse))}${status}</summary>`);
+    lines.push('');
+    lines.push(...codeBlock(JSON.stringify(toolUse.input, null, 2), 'json'));
+
+    if (result) {
+      const diff = getResultDiff(result.data);
+
+      lines.push('');
+      lines.push(...(diff
+        ? codeBlock(diff.trimEnd(), 'diff')
+        : codeBlock(getResultText(result.block))));
+    }
+
+    lines.push('');
+    lines.push('</details>');
+
+    return lines;
+  }
+
+  /**
+   * Generate HTML export
+   */
+  toHTML() {
+    const parts = [];
+    const usage = this.getUsageSummary();
+
+    parts.push('<!DOCTYPE html>');
+    parts.push('<html lang="en">');
+    parts.push('<head>');
+    parts.push('<meta charset="utf-8">');
+    parts.push(`<title>Session ${escapeHtml(this.session.sessionId)}</title>`);
+    parts.push(`<style>${HTML_STYLES}</style>`);
+    parts.push('</head>');
+    parts.push('<body>');
+    parts.push(`<h1>Session ${escapeHtml(this.session.sessionId)}</h1>`);
+    parts.push('<ul>');
+    for (const [label, value] of this.getHeaderFields()) {
+      parts.push(`<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`);
+    }
+    parts.push('</ul>');
+
+    for (const turn of this.getTurns()) {
+      parts.push(`<section class="turn ${turn.role}">`);
+      parts.push(`<div class="role">${turn.role === 'user' ? 'User' : 'Assistant'}</div>`);
+
+      for (const block of turn.blocks) {
+        if (block.type === 'text') {
+          parts.push(`<pre>${escapeHtml(block.text)}</pre>`);
+        } else if (block.type === 'tool_use') {
+          parts.push(this.toolUseToHTML(block));
+        }
+      }
+
+      parts.push('</section>');
+    }
+
+    parts.push('<footer>');
+    parts.push(`<div>Tokens: ${escapeHtml(formatUsageLine(usage))}</div>`);
+    if (usage.cost) {
+      parts.push(`<div>Cost: ${escapeHtml(formatCostLine(usage))}</div>`);
+    }
+    parts.push('</footer>');
+    parts.push('</body>');
+    parts.push('</html>');
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Render a tool call and its result as a collapsible HTML block
+   */
+  toolUseToHTML(toolUse) {
+    const result = this.toolResults.get(toolUse.id);
+    const isError = result?.block.is_error;
+    const status = !result ? ' (no result)' : isError ? ' (error)' : '';
+    const parts = [];
+
+    parts.push(`<details${isError ? ' class="error"' : ''}>`);
+    parts.push(`<summary>${escapeHtml(toolUse.name)}: ${escapeHtml(describeToolInput(toolUse))}${status}</summary>`);
+    parts.push(`<pre>${escapeHtml(JSON.stringify(toolUse.input, null, 2))}</pre>`);
+
+    if (result) {
+      const diff = getResultDiff(result.data);
+      parts.push(diff
+        ? `<pre>${diffToHTML(diff)}</pre>`
+        : `<pre>${escapeHtml(getResultText(result.block))}</pre>`);
+    }
+
+    parts.push('</details>');
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Generate JSON export
+   */
+  toJSON() {
+    return {
+      sessionId: this.session.sessionId,
+      cwd: this.session.cwd,
+      model: this.session.model,
+      exportedAt: new Date().toISOString(),
+      usage: this.getUsageSummary(),
+      messages: this.entries
+    };
+  }
+
+  /**
+   * Get header fields shared by Markdown and HTML
+   */
+  getHeaderFields() {
+    const first = this.entries[0];
+    const last = this.entries[this.entries.length - 1];
+    const fields = [];
+
+    if (this.session.cwd) fields.push(['Project', this.session.cwd]);
+    if (this.session.model) fields.push(['Model', this.session.model]);
+    if (first?.timestamp) fields.push(['Started', first.timestamp]);
+    if (last?.timestamp) fields.push(['Last activity', last.timestamp]);
+    fields.push(['Exported', new Date().toISOString()]);
+
+    return fields;
+  }
+}
+
+/**
+ * Describe tool input in one line
+ */
+function describeToolInput(toolUse) {
+  const input = toolUse.input || {};
+  const value = input.command || input.file_path || input.notebook_path ||
+    input.path || input.url || input.pattern || input.description || '';
+
+  return String(value).split('\n')[0];
+}
+
+/**
+ * Extract diff from a FileEditor result
+ */
+function getResultDiff(data) {
+  return data && typeof data.diff === 'string' ? data.diff : null;
+}
+
+/**
+ * Get tool result text
+ */
+function getResultText(block) {
+  if (typeof block.content === 'string') return block.content;
+  if (!Array.isArray(block.content)) return '';
+
+  return block.content
+    .map(part => part.type === 'text' ? part.text : `[${part.type}]`)
+    .join('\n');
+}
+
+/**
+ * Fence text as a Markdown code block
+ * Uses a fence longer than any backtick run in the text
+ */
+function codeBlock(text, language = '') {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+
+  return [`${fence}${language}`, text, fence];
+}
+
+/**
+ * Render unified diff with line classes
+ */
+function diffToHTML(diff) {
+  return diff.trimEnd().split('\n').map(line => {
+    const escaped = escapeHtml(line);
+
+    if (line.startsWith('+') && !line.startsWith('+++')) {
+      return `<span class="diff-add">${escaped}</span>`;
+    }
+    if (line.startsWith('-') && !line.startsWith('---')) {
+      return `<span class="diff-remove">${escaped}</span>`;
+    }
+    if (line.startsWith('@@')) {
+      return `<span class="diff-hunk">${escaped}</span>`;
+    }
+    return escaped;
+  }).join('\n');
+}
+
+/**
+ * Format token usage line
+ */
+function formatUsageLine(usage) {
+  return `${usage.tokens.used.toLocaleString()} total ` +
+    `(${usage.breakdown.input.toLocaleString()} input, ` +
+    `${usage.breakdown.output.toLocaleString()} output, ` +
+    `${usage.breakdown.cache.toLocaleString()} cache)`;
+}
+
+/**
+ * Format cost line
+ */
+function formatCostLine(usage) {
+  return `${usage.cost.total} (input ${usage.cost.input}, output ${usage.cost.output}, cache ${usage.cost.cache})`;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Export a loaded session
+ */
+function exportSession(session, format = DocFormat.JSON) {
+  return new SessionExporter(session).generate(format);
+}
+
+/**
+ * Get file extension for export format
+ */
+function getExportExtension(format) {
+  return FILE_EXTENSIONS[format] || '.txt';
+}
+
+export {
+  SessionExporter,
+  exportSession,
+  getExportExtension,
+  EXPORT_FORMATS
+};
\ No newline at end of file
@@ -0,0 +1,494 @@
+/**
+ * Session Store
+ * Append-only JSONL transcripts for conversation persistence and resume
+ *
+ * Each session is written to ~/.claude/projects/<project>/<sessionId>.jsonl,
+ * one entry per line. Entries are never rewritten, so a crash mid-session
+ * loses at most the line being written.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import { randomUUID } from 'crypto';
+import { getCwd } from '../utils/cwd.js';
+
+const TRANSCRIPT_EXTENSION = '.jsonl';
+const TRANSCRIPT_VERSION = '1.0.115';
+const SUMMARY_MAX_LENGTH = 80;
+
+// Active session for this process
+let currentSession = null;
+
+/**
+ * Get Claude config directory
+ */
+function getClaudeConfigDirectory() {
+  return process.env.CLAUDE_CONFIG_DIR || path.join(homedir(), '.claude');
+}
+
+/**
+ * Get directory holding all project transcripts
+ */
+function getProjectsDirectory() {
+  return path.join(getClaudeConfigDirectory(), 'projects');
+}
+
+/**
+ * Convert a working directory into a transcript folder name
+ */
+function sanitizeProjectPath(cwd) {
+  return cwd.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+/**
+ * Get transcript path for a session
+ */
+function getTranscriptPath(sessionId, cwd = getCwd()) {
+  return path.join(
+    getProjectsDirectory(),
+    sanitizeProjectPath(cwd),
+    `${sessionId}${TRANSCRIPT_EXTENSION}`
+  );
+}
+
+/**
+ * Get the active session, if any
+ */
+function getCurrentSession() {
+  return currentSession;
+}
+
+/**
+ * Get the active session id
+ */
+function getCurrentSessionId() {
+  return currentSession?.sessionId || null;
+}
+
+/**
+ * Get the active transcript path
+ */
+function getCurrentTranscriptPath() {
+  return currentSession?.transcriptPath || null;
+}
+
+/**
+ * Set the active session
+ */
+function setCurrentSession(transcript) {
+  currentSession = transcript;
+}
+
+/**
+ * Session transcript writer
+ * Records messages for a single session
+ */
+class SessionTranscript {
+  constructor(options = {}) {
+    this.sessionId = options.sessionId || randomUUID();
+    this.cwd = options.cwd || getCwd();
+    this.model = options.model || null;
+    this.transcriptPath = options.transcriptPath || getTranscriptPath(this.sessionId, this.cwd);
+    this.lastUuid = options.lastUuid || null;
+  }
+
+  /**
+   * Append a raw entry to the transcript
+   */
+  append(entry) {
+    const dir = path.dirname(this.transcriptPath);
+
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+
+    fs.appendFileSync(this.transcriptPath, JSON.stringify(entry) + '\n', {
+      encoding: 'utf8',
+      mode: 0o600
+    });
+
+    return entry;
+  }
+
+  /**
+   * Record a conversation message
+   */
+  recordMessage(message, extra = {}) {
+    const entry = {
+      uuid: message.uuid || randomUUID(),
+      parentUuid: message.parentUuid !== undefined ? message.parentUuid : this.lastUuid,
+      sessionId: this.sessionId,
+      cwd: this.cwd,
+      model: this.model,
+      version: TRANSCRIPT_VERSION,
+      timestamp: new Date().toISOString(),
+      type: message.type,
+      message: {
+        content: message.content
+      },
+      ...extra
+    };
+
+    if (message.usage) {
+      entry.usage = message.usage;
+    }
+
+    if (message.thinking) {
+      entry.message.thinking = message.thinking;
+    }
+
+    if (message.toolUseResults && Object.keys(message.toolUseResults).length > 0) {
+      entry.toolUseResults = message.toolUseResults;
+    }
+
+    if (message.isMeta) {
+      entry.isMeta = true;
+    }
+
+    this.append(entry);
+    this.lastUuid = entry.uuid;
+
+    return entry;
+  }
+
+  /**
+   * Update model recorded on later entries
+   */
+  setModel(model) {
+    this.model = model;
+  }
+}
+
+/**
+ * Session store
+ * Lists, loads and deletes transcripts on disk
+ */
+class SessionStore {
+  constructor(options = {}) {
+    this.projectsDirectory = options.projectsDirectory || getProjectsDirectory();
+  }
+
+  /**
+   * Find all transcript files
+   */
+  listTranscriptFiles() {
+    if (!fs.existsSync(this.projectsDirectory)) {
+      return [];
+    }
+
+    const files = [];
+
+    for (const project of fs.readdirSync(this.projectsDirectory)) {
+      const projectDir = path.join(this.projectsDirectory, project);
+
+      let entries;
+      try {
+        entries = fs.readdirSync(projectDir);
+      } catch {
+        continue;
+      }
+
+      for (const file of entries) {
+        if (file.endsWith(TRANSCRIPT_EXTENSION)) {
+          files.push(path.join(projectDir, file));
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Find transcript path for a session id
+   * Accepts unambiguous id prefixes
+   */
+  findTranscriptPath(sessionId) {
+    const matches = this.listTranscriptFiles().filter(file =>
+      path.basename(file, TRANSCRIPT_EXTENSION).startsWith(sessionId)
+    );
+
+    if (matches.length > 1) {
+      const exact = matches.find(file => path.basename(file, TRANSCRIPT_EXTENSION) === sessionId);
+      if (exact) return exact;
+      throw new Error(`Session id "${sessionId}" is ambiguous (${matches.length} matches)`);
+    }
+
+    return matches[0] || null;
+  }
+
+  /**
+   * Read transcript entries
+   */
+  readEntries(transcriptPath) {
+    const content = fs.readFileSync(transcriptPath, 'utf8');
+    const entries = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Skip partially written lines
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * List sessions, most recently modified first
+   */
+  listSessions(options = {}) {
+    const { cwd = null, limit = null } = options;
+    const sessions = [];
+
+    for (const transcriptPath of this.listTranscriptFiles()) {
+      const info = this.getSessionInfo(transcriptPath);
+      if (!info) continue;
+      if (cwd && info.cwd !== cwd) continue;
+      sessions.push(info);
+    }
+
+    sessions.sort((a, b) => b.modified - a.modified);
+
+    return limit ? sessions.slice(0, limit) : sessions;
+  }
+
+  /**
+   * Summarize a transcript for listing
+   */
+  getSessionInfo(transcriptPath) {
+    let entries;
+    let stats;
+
+    try {
+      entries = this.readEntries(transcriptPath);
+      stats = fs.statSync(transcriptPath);
+    } catch {
+      return null;
+    }
+
+    const messages = entries.filter(isMessageEntry);
+    const first = entries[0];
+    const firstPrompt = messages.find(entry =>
+      entry.type === 'user' && getEntryText(entry)
+    );
+
+    return {
+      sessionId: path.basename(transcriptPath, TRANSCRIPT_EXTENSION),
+      transcriptPath,
+      cwd: first?.cwd || null,
+      model: [...messages].reverse().find(entry => entry.model)?.model || null,
+      messageCount: messages.length,
+      created: first?.timestamp ? new Date(first.timestamp) : stats.birthtime,
+      modified: stats.mtime,
+      summary: firstPrompt ? truncate(getEntryText(firstPrompt), SUMMARY_MAX_LENGTH) : '(no prompt)'
+    };
+  }
+
+  /**
+   * Load a session for resume or export
+   */
+  loadSession(sessionId) {
+    const transcriptPath = this.findTranscriptPath(sessionId);
+    if (!transcriptPath) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const entries = this.readEntries(transcriptPath);
+    const messageEntries = entries.filter(isMessageEntry);
+    const first = entries[0];
+
+    // Only messages after the last compaction form the live tree
+    const boundaryIndex = entries.findLastIndex(isCompactBoundary);
+    const liveEntries = entries.slice(boundaryIndex + 1);
+    const tree = liveEntries.filter(isMessageEntry).map(entryToMessage);
+    const index = new Map(tree.map(message => [message.uuid, message]));
+
+    return {
+      sessionId: path.basename(transcriptPath, TRANSCRIPT_EXTENSION),
+      transcriptPath,
+      cwd: first?.cwd || null,
+      model: [...messageEntries].reverse().find(entry => entry.model)?.model || null,
+      entries,
+      tree,
+      messages: buildMessagePath(index, getActiveLeafUuid(liveEntries)),
+      usage: sumUsage(messageEntries)
+    };
+  }
+
+  /**
+   * Delete a session transcript
+   */
+  deleteSession(sessionId) {
+    const transcriptPath = this.findTranscriptPath(sessionId);
+    if (!transcriptPath) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    fs.unlinkSync(transcriptPath);
+
+    return {
+      sessionId: path.basename(transcriptPath, TRANSCRIPT_EXTENSION),
+      transcriptPath
+    };
+  }
+}
+
+/**
+ * Check if entry holds a conversation message
+ */
+function isMessageEntry(entry) {
+  return entry && entry.message && ['user', 'assistant', 'system'].includes(entry.type);
+}
+
+/**
+ * Check if entry marks a compaction boundary
+ */
+function isCompactBoundary(entry) {
+  return entry && entry.type === 'system' && entry.subtype === 'compact_boundary';
+}
+
+/**
+ * Find the tip of the active branch
+ * The most recent message or branch switch wins
+ */
+function getActiveLeafUuid(entries) {
+  let leafUuid = null;
+
+  for (const entry of entries) {
+    if (isMessageEntry(entry)) {
+      leafUuid = entry.uuid;
+    } else if (entry.type === 'system' && entry.subtype === 'active_branch') {
+      leafUuid = entry.leafUuid;
+    }
+  }
+
+  return leafUuid;
+}
+
+/**
+ * Walk parent links from a tip message back to the root
+ */
+function buildMessagePath(index, leafUuid) {
+  const path = [];
+  let message = leafUuid ? index.get(leafUuid) : null;
+
+  while (message) {
+    path.unshift(message);
+    message = message.parentUuid ? index.get(message.parentUuid) : null;
+  }
+
+  return path;
+}
+
+/**
+ * Convert transcript entry back into a loop message
+ */
+function entryToMessage(entry) {
+  const message = {
+    type: entry.type,
+    uuid: entry.uuid,
+    parentUuid: entry.parentUuid,
+    content: entry.message.content
+  };
+
+  if (entry.usage) {
+    message.usage = entry.usage;
+  }
+
+  if (entry.message.thinking) {
+    message.thinking = entry.message.thinking;
+  }
+
+  if (entry.toolUseResults) {
+    message.toolUseResults = entry.toolUseResults;
+  }
+
+  if (entry.isMeta) {
+    message.isMeta = true;
+  }
+
+  return message;
+}
+
+/**
+ * Get plain text of a message entry
+ */
+function getEntryText(entry) {
+  return getMessageText(entry.message || {});
+}
+
+/**
+ * Get plain text of a message
+ */
+function getMessageText(message) {
+  const content = message.content;
+
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  return content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join(' ')
+    .trim();
+}
+
+/**
+ * Sum token usage across entries
+ */
+function sumUsage(entries) {
+  const usage = {
+    input: 0,
+    output: 0,
+    cacheCreation: 0,
+    cacheRead: 0,
+    total: 0
+  };
+
+  for (const entry of entries) {
+    if (!entry.usage) continue;
+    usage.input += entry.usage.input_tokens || 0;
+    usage.output += entry.usage.output_tokens || 0;
+    usage.cacheCreation += entry.usage.cache_creation_input_tokens || 0;
+    usage.cacheRead += entry.usage.cache_read_input_tokens || 0;
+  }
+
+  usage.total = usage.input + usage.cacheCreation + usage.cacheRead + usage.output;
+  return usage;
+}
+
+/**
+ * Truncate text for display
+ */
+function truncate(text, maxLength) {
+  const singleLine = text.replace(/\s+/g, ' ');
+  return singleLine.length > maxLength
+    ? singleLine.slice(0, maxLength - 1) + '…'
+    : singleLine;
+}
+
+export {
+  SessionTranscript,
+  SessionStore,
+  getClaudeConfigDirectory,
+  getProjectsDirectory,
+  sanitizeProjectPath,
+  getTranscriptPath,
+  getCurrentSession,
+  getCurrentSessionId,
+  getCurrentTranscriptPath,
+  setCurrentSession,
+  isMessageEntry,
+  isCompactBoundary,
+  entryToMessage,
+  getActiveLeafUuid,
+  buildMessagePath,
+  getEntryText,
+  getMessageText,
+  sumUsage,
+  TRANSCRIPT_EXTENSION
+};
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * Spend Store
+ * Persisted API spend, aggregated by day, project and model
+ *
+ * Spend is kept in ~/.claude/spend.json so daily and per-project budgets
+ * hold across sessions. Each record holds spend.json.lock while it re-reads
+ * and rewrites the file, so concurrent sessions add to each other's totals
+ * instead of overwriting them. An unreadable file is moved aside rather
+ * than overwritten.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getClaudeConfigDirectory } from './session-store.js';
+import { getLogger } from '../utils/logging.js';
+
+const SPEND_FILE = 'spend.json';
+const SPEND_VERSION = 1;
+
+// A lock held longer than this is taken over
+const LOCK_TIMEOUT_MS = 2000;
+const LOCK_RETRY_MS = 10;
+
+/**
+ * Get spend file path
+ */
+function getSpendFilePath() {
+  return path.join(getClaudeConfigDirectory(), SPEND_FILE);
+}
+
+/**
+ * Get local date key (YYYY-MM-DD)
+ */
+function getDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Create empty totals
+ */
+function createTotals() {
+  return {
+    costUsd: 0,
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0
+  };
+}
+
+/**
+ * Add one set of totals into another
+ */
+function addTotals(target, source) {
+  for (const key of Object.keys(target)) {
+    target[key] += source[key] || 0;
+  }
+  return target;
+}
+
+/**
+ * Wait without returning to the event loop
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check if process is running
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Spend store
+ */
+class SpendStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || getSpendFilePath();
+  }
+
+  /**
+   * Load spend data
+   */
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch {
+      // No spend yet
+      return { version: SPEND_VERSION, days: {} };
+    }
+
+    try {
+      const data = JSON.parse(content);
+      if (data.version === SPEND_VERSION && data.days) {
+        return data;
+      }
+    } catch {}
+
+    this.backup();
+    return { version: SPEND_VERSION, days: {} };
+  }
+
+  /**
+   * Move an unreadable spend file aside so the next save keeps its history
+   */
+  backup() {
+    const backupPath = `${this.filePath}.${Date.now()}.bak`;
+
+    try {
+      fs.renameSync(this.filePath, backupPath);
+      getLogger('spend-store').warn(`Could not read ${this.filePath}; moved it to ${backupPath}`);
+    } catch {}
+  }
+
+  /**
+   * Run fn while holding the spend lock
+   * Locks of exited processes, or held past the timeout, are taken over
+   */
+  withLock(fn) {
+    const lockPath = `${this.filePath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+
+    while (true) {
+      try {
+        fs.writeFileSync(lockPath, `${process.pid}`, { flag: 'wx', mode: 0o600 });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        let lockPid = NaN;
+        try {
+          lockPid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+        } catch {}
+
+        if ((lockPid && !isProcessRunning(lockPid)) || Date.now() > deadline) {
+          try {
+            fs.unlinkSync(lockPath);
+          } catch {}
+        } else {
+          sleepSync(LOCK_RETRY_MS);
+        }
+      }
+    }
+
+    try {
+      return fn();
+    } finally {
+      try {
+        fs.unlinkSync(lockPath);
+      } catch {}
+    }
+  }
+
+  /**
+   * Save spend data
+   * Written to a temporary file first so readers never see a partial file
+   */
+  save(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Record the cost of one API request
+   */
+  record({ project, model, costUsd, usage = {}, date = new Date() }) {
+    this.withLock(() => {
+      const data = this.load();
+      const day = data.days[getDateKey(date)] ||= {};
+      const models = day[project] ||= {};
+
+      addTotals(models[model] ||= createTotals(), {
+        costUsd,
+        requests: 1,
+        inputTokens: usage.input_tokens,
+        outputTokens: usage.output_tokens,
+        cacheCreationTokens: usage.cache_creation_input_tokens,
+        cacheReadTokens: usage.cache_read_input_tokens
+      });
+
+      this.save(data);
+    });
+  }
+
+  /**
+   * Get spend for a day, optionally for one project
+   */
+  getDailySpend({ project, date = new Date() } = {}) {
+    const day = this.load().days[getDateKey(date)] || {};
+    let total = 0;
+
+    for (const [dayProject, models] of Object.entries(day)) {
+      if (project && dayProject !== project) continue;
+
+      for (const totals of Object.values(models)) {
+        total += totals.costUsd;
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Get spend history, newest day first
+   * Returns one row per day, project and model
+   */
+  getHistory({ days = 30, project } = {}) {
+    const since = new Date();
+    since.setDate(since.getDate() - (days - 1));
+    const sinceKey = getDateKey(since);
+
+    const rows = [];
+
+    for (const [date, day] of Object.entries(this.load().days)) {
+      if (date < sinceKey) continue;
+
+      for (const [dayProject, models] of Object.entries(day)) {
+        if (project && dayProject !== project) continue;
+
+        for (const [model, totals] of Object.entries(models)) {
+          rows.push({ date, project: dayProject, model, ...totals });
+        }
+      }
+    }
+
+    return rows.sort((a, b) => b.date.localeCompare(a.date));
+  }
+}
+
+export {
+  SpendStore,
+  getSpendFilePath,
+  getDateKey,
+  createTotals,
+  addTotals
+};
\ No newline at end of file
@@ -5,13 +5,55 @@
 
 import { spawn } from 'child_process';
 import { randomUUID } from 'crypto';
+import os from 'os';
+import path from 'path';
 import CircularBuffer from '../utils/circular-buffer.js';
-import { parseCommand } from '../utils/command-parser.js';
+import {
+  parseCommand,
+  splitCommand,
+  extractEnvVars,
+  SUBSTITUTION_PLACEHOLDER
+} from '../utils/command-parser.js';
+import {
+  findRuleDecisionForTool,
+  formatPermissionRule,
+  isInWorkingDirectories
+} from '../permissions/permission-validation.js';
+import { getCwd } from '../utils/cwd.js';
 
 const DEFAULT_TIMEOUT = 120000; // 2 minutes
 const MAX_TIMEOUT = 600000; // 10 minutes
 const MAX_OUTPUT_SIZE = 4 * 1024 * 1024; // 4MB
 
+// Executables whose first argument picks a subcommand, kept in suggested prefix rules
+const SUBCOMMAND_EXECUTABLES = new Set([
+  'git', 'npm', 'npx', 'yarn', 'pnpm', 'bun', 'cargo', 'go',
+  'docker', 'kubectl', 'pip', 'brew', 'gh', 'make'
+]);
+
+// Redirection targets that never write a file
+const NON_FILE_REDIRECT_TARGETS = ['/dev/null', '/dev/stdout', '/dev/stderr'];
+
+// Executables that only read, with the arguments that make them write or
+// run another command
+const READ_ONLY_COMMANDS = {
+  ls: [], cat: [], head: [], tail: [], wc: [], pwd: [], echo: [], printf: [],
+  grep: [], egrep: [], fgrep: [], rg: ['--pre'], tree: ['-o'], file: [], stat: [],
+  du: [], df: [], diff: [], cmp: [], comm: [], cut: [], tr: [], nl: [], uniq: [],
+  basename: [], dirname: [], realpath: [], readlink: [], which: [], type: [],
+  whoami: [], id: [], uname: [], hostname: [], date: ['-s', '--set'], true: [], false: [],
+  test: [], '[': [], seq: [], column: [], jq: [], od: [], md5sum: [], sha1sum: [],
+  sha256sum: [], sort: ['-o', '--output', '--compress-program'],
+  find: ['-delete', '-exec', '-execdir', '-ok', '-okdir', '-fprint', '-fprint0', '-fprintf', '-fls']
+};
+
+// git subcommands that only read, with the arguments that make them write
+const READ_ONLY_GIT_SUBCOMMANDS = {
+  status: [], log: ['--output'], diff: ['--output', '--ext-diff'], show: ['--output', '--ext-diff'],
+  blame: [], 'ls-files': [], 'rev-parse': [], describe: [], grep: ['-O', '--open-files-in-pager'],
+  shortlog: [], 'show-ref': []
+};
+
 class BashExecutor {
   constructor() {
     this.processes = new Map();
@@ -25,15 +67,15 @@ class BashExecutor {
     const {
       timeout = DEFAULT_TIMEOUT,
       runInBackground = false,
-      cwd = process.cwd(),
+      cwd = getCwd(),
       signal
     } = options;
 
     if (runInBackground) {
-      return this.executeInBackground(command, options);
+      return this.executeInBackground(command, { ...options, cwd });
     }
 
-    return this.executeForeground(command, { ...options, timeout });
+    return this.executeForeground(command, { ...options, timeout, cwd });
   }
 
   /**
@@ -118,7 +160,7 @@ class BashExecutor {
    */
   executeInBackground(command, options = {}) {
     const taskId = randomUUID();
-    const { cwd = process.cwd() } = options;
+    const { cwd = getCwd() } = options;
 
     const childProcess = spawn('bash', ['-c', command], {
       cwd,
@@ -264,6 +306,82 @@ class BashExecutor {
 // Singleton instance
 const bashExecutor = new BashExecutor();
 
+/**
+ * Check if an argument is one of the given options
+ * Single-letter options also match when grouped, as in -uo
+ */
+function hasOption(args, options) {
+  return args.some(arg => options.some(option =>
+    arg === option ||
+    arg.startsWith(`${option}=`) ||
+    (/^-[a-zA-Z]$/.test(option) && /^-[a-zA-Z]/.test(arg) && arg.slice(1).includes(option[1]))
+  ));
+}
+
+/**
+ * Check if a simple command only reads
+ */
+function isReadOnlySubcommand(command) {
+  const { envVars, command: withoutEnv } = extractEnvVars(command);
+  // Variables like GIT_EXTERNAL_DIFF or PAGER can run other programs
+  if (Object.keys(envVars).length > 0) return false;
+
+  const { executable, args } = parseCommand(withoutEnv);
+  if (executable === 'git') {
+    const [subcommand, ...rest] = args;
+    const unsafe = READ_ONLY_GIT_SUBCOMMANDS[subcommand];
+    return Boolean(unsafe) && !hasOption(rest, unsafe);
+  }
+
+  const unsafe = Object.hasOwn(READ_ONLY_COMMANDS, executable) ? READ_ONLY_COMMANDS[executable] : null;
+  return Boolean(unsafe) && !hasOption(args, unsafe);
+}
+
+/**
+ * Check if a command only reads
+ * Every simple command must be a known read-only one and output may only
+ * be redirected to /dev/null, stdout or stderr
+ */
+function isReadOnlyCommand(command) {
+  const { commands, redirections } = splitCommand(command);
+
+  const writesFile = redirections.some(({ operator, target }) =>
+    operator.includes('>') && !NON_FILE_REDIRECT_TARGETS.includes(resolveRedirectTarget(target))
+  );
+
+  return !writesFile && commands.length > 0 && commands.every(isReadOnlySubcommand);
+}
+
+/**
+ * Get the prefix rule to suggest for a simple command
+ */
+function getSuggestedPrefix(command) {
+  const { executable, args } = parseCommand(extractEnvVars(command).command);
+  if (!executable || executable.includes(SUBSTITUTION_PLACEHOLDER)) return null;
+
+  const subcommand = args[0];
+  if (SUBCOMMAND_EXECUTABLES.has(executable) && subcommand &&
+      !subcommand.startsWith('-') && !subcommand.includes(SUBSTITUTION_PLACEHOLDER)) {
+    return `${executable} ${subcommand}`;
+  }
+
+  return executable;
+}
+
+/**
+ * Resolve a redirection target to an absolute path
+ * Returns null when the shell would expand it
+ */
+function resolveRedirectTarget(target) {
+  const filePath = parseCommand(target).executable;
+  if (!filePath || /[$`*?{]/.test(filePath) || filePath.includes(SUBSTITUTION_PLACEHOLDER)) {
+    return null;
+  }
+
+  const expanded = filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(2)) : filePath;
+  return path.resolve(getCwd(), expanded);
+}
+
 /**
  * Bash tool definition
  */
@@ -364,21 +482,114 @@ const BashTool = {
     }
   },
 
+  /**
+   * Check each simple command of a compound command against permission rules
+   * Output redirected outside the working directories is a write that needs approval
+   */
+  async checkPermissions(input, context) {
+    const permissionContext = context?.toolPermissionContext;
+    const { commands, redirections } = splitCommand(input.command || '');
+    const reasons = new Map();
+    const suggestedPrefixes = new Set();
+
+    for (const subcommand of commands) {
+      const decision = permissionContext ?
+        findRuleDecisionForTool(permissionContext, BashTool, { command: subcommand }) :
+        null;
+
+      if (decision?.behavior === 'deny') {
+        return {
+          behavior: 'deny',
+          decisionReason: {
+            type: 'rule',
+            rule: decision.rule,
+            reason: `Command '${subcommand}' denied by rule ${formatPermissionRule(decision.rule.ruleValue)}`
+          }
+        };
+      }
+
+      if (decision?.behavior === 'allow') {
+        reasons.set(subcommand, { behavior: 'allow' });
+        continue;
+      }
+
+      reasons.set(subcommand, { behavior: decision ? 'ask' : 'passthrough' });
+      const prefix = getSuggestedPrefix(subcommand);
+      if (prefix) {
+        suggestedPrefixes.add(prefix);
+      }
+    }
+
+    for (const { operator, target } of redirections) {
+      if (!operator.includes('>')) continue;
+
+      const filePath = resolveRedirectTarget(target);
+      if (NON_FILE_REDIRECT_TARGETS.includes(filePath)) continue;
+
+      const decision = filePath && permissionContext ?
+        findRuleDecisionForTool(permissionContext, { name: 'Write' }, { file_path: filePath }) :
+        null;
+
+      if (decision?.behavior === 'deny') {
+        return {
+          behavior: 'deny',
+          decisionReason: {
+            type: 'rule',
+            rule: decision.rule,
+            reason: `Writing to ${target} denied by rule ${formatPermissionRule(decision.rule.ruleValue)}`
+          }
+        };
+      }
+
+      const allowed = decision?.behavior === 'allow' ||
+        (filePath && !decision && isInWorkingDirectories(filePath, permissionContext));
+      if (!allowed) {
+        reasons.set(`${operator} ${target}`, { behavior: 'ask' });
+      }
+    }
+
+    const results = Array.from(reasons.values());
+    if (results.length > 0 && results.every(result => result.behavior === 'allow')) {
+      return {
+        behavior: 'allow',
+        updatedInput: input,
+        decisionReason: { type: 'subcommandResults', reasons }
+      };
+    }
+
+    // Approving suggests a rule per command rather than the whole string
+    const suggestions = suggestedPrefixes.size > 0 ? [{
+      type: 'addRules',
+      rules: Array.from(suggestedPrefixes, prefix => ({ toolName: 'Bash', ruleContent: `${prefix}:*` })),
+      behavior: 'allow',
+      destination: 'localSettings'
+    }] : undefined;
+
+    return {
+      behavior: 'ask',
+      updatedInput: input,
+      decisionReason: { type: 'subcommandResults', reasons },
+      suggestions
+    };
+  },
+
   isEnabled() {
     return true;
   },
 
-  isConcurrencySafe() {
-    return true;
+  isConcurrencySafe(input) {
+    // Commands may change state, so only read-only ones run in parallel
+    return this.isReadOnly(input);
   },
 
-  isReadOnly() {
-    return false;
+  isReadOnly(input) {
+    return isReadOnlyCommand(input?.command || '');
   }
 };
 
 export {
   BashTool,
   bashExecutor,
-  BashExecutor
+  BashExecutor,
+  isReadOnlyCommand
 };
\ No newline at end of file
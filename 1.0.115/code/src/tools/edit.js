@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { diffLines, createPatch } from 'diff';
+import { getCwd } from '../utils/cwd.js';
 
 class FileEditor {
   constructor() {
@@ -21,7 +22,7 @@ class FileEditor {
     // Resolve absolute path
     const absolutePath = path.isAbsolute(filePath)
       ? filePath
-      : path.resolve(process.cwd(), filePath);
+      : path.resolve(getCwd(), filePath);
 
     // Check if file exists
     if (!fs.existsSync(absolutePath)) {
@@ -114,7 +115,7 @@ class FileEditor {
   getEditHistory(filePath) {
     const absolutePath = path.isAbsolute(filePath)
       ? filePath
-      : path.resolve(process.cwd(), filePath);
+      : path.resolve(getCwd(), filePath);
 
     return this.editHistory.get(absolutePath);
   }
@@ -346,7 +347,7 @@ const MultiEditTool = {
       // Read original content
       const absolutePath = path.isAbsolute(file_path)
         ? file_path
-        : path.resolve(process.cwd(), file_path);
+        : path.resolve(getCwd(), file_path);
 
       if (!fs.existsSync(absolutePath)) {
         throw new Error(`File not found: ${file_path}`);
@@ -0,0 +1,99 @@
+/**
+ * Exit Plan Mode Tool
+ * Present a plan for approval and leave plan mode
+ */
+
+// Input schema for ExitPlanMode
+const exitPlanModeSchema = {
+  type: 'object',
+  properties: {
+    plan: {
+      type: 'string',
+      description: 'The plan you came up with, that you want to run by the user for approval. Supports markdown. The plan should be pretty concise.'
+    }
+  },
+  required: ['plan']
+};
+
+/**
+ * Exit plan mode prompt
+ */
+const exitPlanModePrompt = `Use this tool when you are in plan mode and have finished presenting your plan and are ready to code. This will prompt the user to exit plan mode.
+IMPORTANT: Only use this tool when the task requires planning the implementation steps of a task that requires writing code. For research tasks where you're gathering information, searching files, reading files or in general trying to understand the codebase - do NOT use this tool.`;
+
+/**
+ * ExitPlanMode tool definition
+ */
+const ExitPlanModeTool = {
+  name: 'ExitPlanMode',
+  description: 'Prompts the user to exit plan mode and start coding',
+  inputSchema: exitPlanModeSchema,
+
+  async validateInput({ plan }) {
+    if (!plan || !plan.trim()) {
+      return {
+        result: false,
+        errorMessage: 'plan is required'
+      };
+    }
+
+    return { result: true };
+  },
+
+  async checkPermissions(input, context) {
+    if (context.toolPermissionContext?.mode !== 'plan') {
+      return {
+        behavior: 'deny',
+        decisionReason: { type: 'mode', reason: 'Not in plan mode' }
+      };
+    }
+
+    return {
+      behavior: 'ask',
+      updatedInput: input
+    };
+  },
+
+  async *call({ plan }, context) {
+    context.setPermissionMode?.('default');
+
+    yield {
+      type: 'result',
+      data: { plan }
+    };
+  },
+
+  mapToolResultToToolResultBlockParam(data, toolUseId) {
+    return {
+      tool_use_id: toolUseId,
+      type: 'tool_result',
+      content: 'User has approved your plan. You can now start coding. Start with updating your todo list if applicable'
+    };
+  },
+
+  async prompt() {
+    return exitPlanModePrompt;
+  },
+
+  userFacingName() {
+    return 'Ready to code?';
+  },
+
+  isEnabled() {
+    return true;
+  },
+
+  isConcurrencySafe() {
+    return true;
+  },
+
+  // Runs in plan mode
+  isReadOnly() {
+    return true;
+  }
+};
+
+export {
+  ExitPlanModeTool,
+  exitPlanModePrompt
+};
\ No newline at end of file
@@ -6,6 +6,7 @@
 import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs';
+import { getCwd } from '../utils/cwd.js';
 
 const MAX_RESULTS = 10000;
 const DEFAULT_CONTEXT_LINES = 2;
@@ -84,7 +85,7 @@ const GrepTool = {
     if (searchPath) {
       const resolvedPath = path.isAbsolute(searchPath)
         ? searchPath
-        : path.resolve(process.cwd(), searchPath);
+        : path.resolve(getCwd(), searchPath);
 
       if (!fs.existsSync(resolvedPath)) {
         return {
@@ -116,8 +117,8 @@ const GrepTool = {
     const resolvedPath = searchPath
       ? path.isAbsolute(searchPath)
         ? searchPath
-        : path.resolve(process.cwd(), searchPath)
-      : process.cwd();
+        : path.resolve(getCwd(), searchPath)
+      : getCwd();
 
     // Build ripgrep arguments
     const args = ['--hidden', '--no-ignore-vcs'];
@@ -394,7 +395,7 @@ function getExcludedPaths(context) {
   }
 
   // Add paths from .claudeignore if exists
-  const claudeignorePath = path.join(process.cwd(), '.claudeignore');
+  const claudeignorePath = path.join(getCwd(), '.claudeignore');
   if (fs.existsSync(claudeignorePath)) {
     try {
       const content = fs.readFileSync(claudeignorePath, 'utf8');
@@ -19,6 +19,7 @@ import { WebSearchTool } from './web-search.js';
 import { WebFetchTool } from './web-fetch.js';
 import { NotebookEditTool } from './notebook-edit.js';
 import { BashOutputTool, KillShellTool } from './shell-management.js';
+import { ExitPlanModeTool } from './exit-plan-mode.js';
 
 /**
  * Tool Registry
@@ -58,6 +59,7 @@ export class ToolRegistry {
 
     // Task Management Tools
     this.register('Task', TaskTool, 'task');
+    this.register('ExitPlanMode', ExitPlanModeTool, 'task');
 
     // Register aliases for backwards compatibility
     this.alias('str_replace', 'Edit');
@@ -388,7 +390,8 @@ export {
   WebFetchTool,
   NotebookEditTool,
   BashOutputTool,
-  KillShellTool
+  KillShellTool,
+  ExitPlanModeTool
 };
 
 // Export default registry and executor
@@ -412,6 +415,7 @@ export default {
     WebFetch: WebFetchTool,
     NotebookEdit: NotebookEditTool,
     BashOutput: BashOutputTool,
-    KillShell: KillShellTool
+    KillShell: KillShellTool,
+    ExitPlanMode: ExitPlanModeTool
   }
 };
\ No newline at end of file
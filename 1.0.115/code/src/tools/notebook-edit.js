@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { getCwd } from '../utils/cwd.js';
 
 // Input schema for NotebookEdit
 const notebookEditSchema = {
@@ -125,7 +126,7 @@ const NotebookEditTool = {
   async validateInput({ notebook_path, cell_type, cell_id, edit_mode = 'replace' }) {
     const resolvedPath = path.isAbsolute(notebook_path) ?
       notebook_path :
-      path.resolve(process.cwd(), notebook_path);
+      path.resolve(getCwd(), notebook_path);
 
     if (path.extname(resolvedPath) !== '.ipynb') {
       return {
@@ -190,7 +191,7 @@ const NotebookEditTool = {
   async *call({ notebook_path, new_source, cell_id, cell_type, edit_mode = 'replace' }) {
     const resolvedPath = path.isAbsolute(notebook_path) ?
       notebook_path :
-      path.resolve(process.cwd(), notebook_path);
+      path.resolve(getCwd(), notebook_path);
 
     try {
       const notebookContent = readNotebook(resolvedPath);
@@ -318,7 +319,7 @@ const NotebookEditTool = {
     const appState = await context.getAppState();
     const resolvedPath = path.isAbsolute(input.notebook_path) ?
       input.notebook_path :
-      path.resolve(process.cwd(), input.notebook_path);
+      path.resolve(getCwd(), input.notebook_path);
 
     // Check if file is in allowed directories
     if (appState.toolPermissionContext?.allowedPaths) {
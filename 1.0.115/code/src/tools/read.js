@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getCwd } from '../utils/cwd.js';
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const DEFAULT_LINE_LIMIT = 2000;
@@ -25,7 +26,7 @@ class FileReader {
     // Resolve absolute path
     const absolutePath = path.isAbsolute(filePath)
       ? filePath
-      : path.resolve(process.cwd(), filePath);
+      : path.resolve(getCwd(), filePath);
 
     // Check if file exists
     if (!fs.existsSync(absolutePath)) {
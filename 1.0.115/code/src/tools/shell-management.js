@@ -6,6 +6,7 @@
 
 import { EventEmitter } from 'events';
 import { execSync, spawn } from 'child_process';
+import { getCwd } from '../utils/cwd.js';
 
 /**
  * KillShell Tool
@@ -296,7 +297,7 @@ export class ShellManager {
 
     // Spawn the process
     const proc = spawn('bash', ['-c', command], {
-      cwd: options.cwd || process.cwd(),
+      cwd: options.cwd || getCwd(),
       env: { ...process.env, ...options.env },
       detached: true
     });
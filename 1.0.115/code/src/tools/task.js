@@ -4,6 +4,9 @@
  */
 
 import { performance } from 'perf_hooks';
+import { ConversationLoop } from '../conversation/loop.js';
+import { applyPermissionUpdates } from '../permissions/permission-system.js';
+import { resolveModelAlias, getDefaultModel } from '../api/model-catalog.js';
 
 // Input schema for Task
 const taskSchema = {
@@ -30,27 +33,27 @@ const AGENT_TYPES = {
   'general-purpose': {
     description: 'General-purpose agent for researching complex questions',
     tools: ['*'],
-    model: 'claude-3-5-sonnet-20241022'
+    model: 'sonnet'
   },
   'statusline-setup': {
     description: 'Configure Claude Code status line setting',
     tools: ['Read', 'Edit'],
-    model: 'claude-3-haiku-20240307'
+    model: 'haiku'
   },
   'output-style-setup': {
     description: 'Create Claude Code output style',
     tools: ['Read', 'Write', 'Edit', 'Glob', 'Grep'],
-    model: 'claude-3-haiku-20240307'
+    model: 'haiku'
   },
   'code-reviewer': {
     description: 'Review code for quality and issues',
     tools: ['Read', 'Grep'],
-    model: 'claude-3-5-sonnet-20241022'
+    model: 'sonnet'
   },
   'test-runner': {
     description: 'Run tests and report results',
     tools: ['Bash', 'Read'],
-    model: 'claude-3-haiku-20240307'
+    model: 'haiku'
   }
 };
 
@@ -134,7 +137,7 @@ function getAgentColor(subagentType) {
  * Select appropriate model
  */
 function selectModel(configModel, mainLoopModel) {
-  return configModel || mainLoopModel || 'claude-3-5-sonnet-20241022';
+  return resolveModelAlias(configModel || mainLoopModel) || getDefaultModel();
 }
 
 /**
@@ -156,32 +159,67 @@ function resolveTools(configTools, availableTools, source) {
   return { resolvedTools: resolved };
 }
 
+/**
+ * Copy a permission context for a sub-agent
+ * The sub-agent keeps the caller's mode, rules and working directories
+ */
+function copyPermissionContext(permissionContext) {
+  return permissionContext && {
+    ...permissionContext,
+    additionalWorkingDirectories: new Map(permissionContext.additionalWorkingDirectories)
+  };
+}
+
 /**
  * Execute task
+ * Runs a sub-agent conversation that shares the caller's API client, budget
+ * and permissions; its permission requests are asked through the caller
  */
 async function* executeTask(config) {
-  // This would integrate with the actual task execution system
-  // For now, return a mock execution
   yield {
     type: 'progress',
     data: { message: 'Starting task execution...' }
   };
 
-  // Simulate task execution
-  await new Promise(resolve => setTimeout(resolve, 100));
+  const requestPermission = config.requestPermission;
+  const agent = new ConversationLoop({
+    mainLoopModel: config.model,
+    tools: config.tools,
+    systemPrompt: config.systemPrompt,
+    apiClient: config.options?.apiClient,
+    costBudget: config.options?.costBudget,
+    toolPermissionContext: copyPermissionContext(config.toolPermissionContext),
+    // Rules approved for the session apply to the rest of the sub-agent's run too
+    permissionPrompt: requestPermission && (async request => {
+      const decision = await requestPermission(request);
+      if (decision.behavior === 'allow' && decision.updatedPermissions?.length) {
+        agent.context.toolPermissionContext = applyPermissionUpdates(
+          agent.context.toolPermissionContext,
+          decision.updatedPermissions
+        );
+      }
+      return decision;
+    }),
+    maxThinkingTokens: config.options?.maxThinkingTokens || 0,
+    persistSession: false,
+    checkpointing: false
+  });
 
-  yield {
-    type: 'assistant',
-    content: [{
-      type: 'text',
-      text: 'Task completed successfully.'
-    }],
-    usage: {
-      input_tokens: 100,
-      output_tokens: 50,
-      cache_creation_input_tokens: 0
-    }
-  };
+  const signal = config.abortController?.signal;
+  signal?.addEventListener('abort', () => agent.abort(), { once: true });
+
+  const prompt = config.messages[config.messages.length - 1].content;
+  await agent.processUserInput(prompt);
+
+  for (const message of agent.messages) {
+    if (message.type !== 'assistant') continue;
+
+    yield {
+      type: 'assistant',
+      content: message.content,
+      usage: message.usage
+    };
+  }
 }
 
 /**
@@ -251,9 +289,10 @@ const TaskTool = {
       taskConfig.model,
       context.options?.mainLoopModel
     );
+    // Sub-agents cannot start further sub-agents or leave the caller's plan mode
     const { resolvedTools } = resolveTools(
       taskConfig.tools,
-      context.options?.tools || [],
+      (context.options?.tools || []).filter(tool => tool.name !== 'Task' && tool.name !== 'ExitPlanMode'),
       taskConfig.source
     );
 
@@ -272,7 +311,10 @@ const TaskTool = {
       messages,
       model,
       tools: resolvedTools,
+      systemPrompt: taskConfig.systemPrompt,
       abortController: context.abortController,
+      toolPermissionContext: context.toolPermissionContext,
+      requestPermission: context.requestPermission,
       options: context.options
     })) {
       if (message.type === 'progress') {
@@ -298,8 +340,8 @@ const TaskTool = {
     const lastMessage = resultMessages[resultMessages.length - 1];
     const totalTokens = lastMessage?.usage ?
       (lastMessage.usage.cache_creation_input_tokens || 0) +
-      lastMessage.usage.input_tokens +
-      lastMessage.usage.output_tokens :
+      (lastMessage.usage.input_tokens || 0) +
+      (lastMessage.usage.output_tokens || 0) :
       null;
 
     yield {
@@ -349,6 +391,7 @@ const TaskTool = {
     return true;
   },
 
+  // Sub-agents run in the caller's permission mode, so plan mode holds inside them
   isReadOnly() {
     return true;
   }
@@ -87,10 +87,40 @@ async function fetchWebContent(url, abortController) {
   }
 }
 
+const SUMMARY_MAX_TOKENS = 4096;
+
+/**
+ * Answer the prompt from page content with the small fast model
+ */
+async function summarizeWebContent(apiClient, prompt, markdown, signal) {
+  const message = await apiClient.accumulateMessage({
+    isSmallFastModel: true,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    messages: [{
+      role: 'user',
+      content: `Web page content:
+---
+${markdown}
+---
+
+${prompt}
+
+Provide a concise response based only on the content above.`
+    }],
+    signal
+  });
+
+  return message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
 /**
  * Process web content with AI
+ * Without an API client, the converted page is returned as is
  */
-async function processWebContent(prompt, content, signal, isNonInteractive) {
+async function processWebContent(prompt, content, signal, isNonInteractive, apiClient) {
   try {
     // Convert HTML to markdown
     const $ = cheerio.load(content);
@@ -119,6 +149,10 @@ async function processWebContent(prompt, content, signal, isNonInteractive) {
       markdown.substring(0, maxLength) + '\n\n[Content truncated]' :
       markdown;
 
+    if (apiClient) {
+      return await summarizeWebContent(apiClient, prompt, truncated, signal);
+    }
+
     // Format result with prompt context
     return `Web page content fetched successfully.
 
@@ -247,7 +281,8 @@ To fetch the redirect URL, use:
       prompt,
       pageContent,
       context.abortController?.signal,
-      context.options?.isNonInteractiveSession
+      context.options?.isNonInteractiveSession,
+      context.options?.apiClient
     );
 
     yield {
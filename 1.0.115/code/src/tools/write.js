@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { mkdirp } from 'mkdirp';
+import { getCwd } from '../utils/cwd.js';
 
 class FileWriter {
   constructor() {
@@ -41,7 +42,7 @@ class FileWriter {
     // Resolve absolute path
     const absolutePath = path.isAbsolute(filePath)
       ? filePath
-      : path.resolve(process.cwd(), filePath);
+      : path.resolve(getCwd(), filePath);
 
     // Check if file exists
     const fileExists = fs.existsSync(absolutePath);
@@ -144,6 +144,7 @@ function useInputHandler({
   invert,
   columns,
   onImagePaste,
+  onCyclePermissionMode,
   disableCursorMovementForUpDownKeys = false,
   externalOffset,
   onOffsetChange,
@@ -395,6 +396,12 @@ function useInputHandler({
       return;
     }
 
+    // Cycle permission modes
+    if (tabNavigation.check(input, flags) && onCyclePermissionMode) {
+      onCyclePermissionMode();
+      return;
+    }
+
     // Apply input filter
     const filteredInput = inputFilter ? inputFilter(input, flags) : input;
     if (filteredInput === '' && input !== '') return;
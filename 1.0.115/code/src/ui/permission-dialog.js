@@ -0,0 +1,315 @@
+/**
+ * Permission Dialog
+ * Asks the user to approve a tool use
+ *
+ * The user can allow it once, allow it for the rest of the session, save the
+ * suggested allow rules to local or project settings, or deny it with feedback
+ * that is sent back to the model.
+ */
+
+import React, { useState } from 'react';
+import { Box, Text, useInput } from 'ink';
+import TextInput from 'ink-text-input';
+import fs from 'fs';
+import path from 'path';
+import { diffLines } from 'diff';
+import { getSuggestedRulesForTool, formatPermissionRule } from '../permissions/permission-validation.js';
+import { getCwd } from '../utils/cwd.js';
+
+const EDIT_TOOLS = ['Edit', 'Write', 'MultiEdit', 'NotebookEdit'];
+const MAX_DIFF_LINES = 40;
+
+/**
+ * Get dialog title for a tool
+ */
+function getPermissionTitle(toolName, input, cwd = getCwd()) {
+  switch (toolName) {
+    case 'Bash':
+      return 'Bash command';
+    case 'WebFetch':
+      return 'Fetch';
+    case 'ExitPlanMode':
+      return 'Ready to code?';
+    case 'Write':
+      return fs.existsSync(path.resolve(cwd, input.file_path || '')) ? 'Overwrite file' : 'Create file';
+    default:
+      return EDIT_TOOLS.includes(toolName) ? 'Edit file' : toolName;
+  }
+}
+
+/**
+ * Get before and after text of each change an edit tool makes
+ */
+function getEditChanges(toolName, input, cwd = getCwd()) {
+  switch (toolName) {
+    case 'Edit':
+      return [{ before: input.old_string || '', after: input.new_string || '' }];
+
+    case 'MultiEdit':
+      return (input.edits || []).map(edit => ({ before: edit.old_string || '', after: edit.new_string || '' }));
+
+    case 'Write': {
+      let before = '';
+      try {
+        before = fs.readFileSync(path.resolve(cwd, input.file_path), 'utf8');
+      } catch {}
+      return [{ before, after: input.content || '' }];
+    }
+
+    case 'NotebookEdit':
+      return [{ before: '', after: input.new_source || '' }];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get the allow rules a permission request can save
+ * Plans are approved one at a time
+ */
+function getPermissionRequestRules(request) {
+  if (request.tool === 'ExitPlanMode') return [];
+  return getSuggestedRulesForTool({ name: request.tool }, request.input, request.suggestions);
+}
+
+/**
+ * Get the choices offered for a permission request
+ */
+function getPermissionOptions(rules) {
+  const options = [{ value: 'once', label: 'Yes' }];
+
+  if (rules.length > 0) {
+    const ruleText = rules.map(formatPermissionRule).join(', ');
+    options.push(
+      { value: 'session', label: `Yes, and don't ask again for ${ruleText} this session` },
+      { value: 'localSettings', label: `Yes, and always allow ${ruleText} in this project (.claude.local.json)` },
+      { value: 'projectSettings', label: `Yes, and always allow ${ruleText} for everyone on this project (.claude.json)` }
+    );
+  }
+
+  options.push({ value: 'deny', label: 'No, and tell Claude what to do differently' });
+  return options;
+}
+
+/**
+ * Create the decision for a choice
+ */
+function createPermissionDialogDecision(choice, request, rules, feedback = '') {
+  if (choice === 'deny') {
+    const reason = feedback.trim() ?
+      `The user doesn't want to proceed with this tool use. They said: ${feedback.trim()}` :
+      "The user doesn't want to proceed with this tool use";
+
+    return { behavior: 'deny', decisionReason: { type: 'user', reason } };
+  }
+
+  const decision = { behavior: 'allow', updatedInput: request.input };
+  if (choice !== 'once') {
+    decision.updatedPermissions = [{ type: 'addRules', rules, behavior: 'allow', destination: choice }];
+  }
+
+  return decision;
+}
+
+/**
+ * Get the lines of a line diff with their colors
+ */
+function getDiffLines(before, after) {
+  return diffLines(before, after).flatMap(part => {
+    const prefix = part.added ? '+' : part.removed ? '-' : ' ';
+    const color = part.added ? 'green' : part.removed ? 'red' : undefined;
+
+    return part.value.replace(/\n$/, '').split('\n').map(line => ({ text: `${prefix} ${line}`, color }));
+  });
+}
+
+/**
+ * Colored line diff
+ */
+export function DiffView({ before, after }) {
+  const lines = getDiffLines(before, after);
+
+  return (
+    <Box flexDirection="column">
+      {lines.slice(0, MAX_DIFF_LINES).map((line, index) => (
+        <Text key={index} color={line.color} dimColor={!line.color}>{line.text}</Text>
+      ))}
+      {lines.length > MAX_DIFF_LINES && (
+        <Text dimColor>… {lines.length - MAX_DIFF_LINES} more lines</Text>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * Tool input shown in the dialog
+ */
+function PermissionRequestBody({ toolName, input, cwd = getCwd() }) {
+  if (toolName === 'Bash') {
+    return (
+      <Box flexDirection="column">
+        <Text>{input.command}</Text>
+        {input.description && <Text dimColor>{input.description}</Text>}
+      </Box>
+    );
+  }
+
+  if (EDIT_TOOLS.includes(toolName)) {
+    const filePath = input.file_path || input.notebook_path || '';
+
+    return (
+      <Box flexDirection="column">
+        <Text bold>{path.relative(cwd, path.resolve(cwd, filePath)) || filePath}</Text>
+        {getEditChanges(toolName, input, cwd).map((change, index) => (
+          <Box key={index} marginTop={1}>
+            <DiffView before={change.before} after={change.after} />
+          </Box>
+        ))}
+      </Box>
+    );
+  }
+
+  if (toolName === 'ExitPlanMode') {
+    return (
+      <Box flexDirection="column">
+        <Text>Here is Claude's plan:</Text>
+        <Text>{input.plan}</Text>
+      </Box>
+    );
+  }
+
+  if (toolName === 'WebFetch') {
+    let domain = input.url;
+    try {
+      domain = new URL(input.url).hostname;
+    } catch {}
+
+    return (
+      <Box flexDirection="column">
+        <Text>Claude wants to fetch content from <Text bold>{domain}</Text></Text>
+        <Text dimColor>{input.url}</Text>
+      </Box>
+    );
+  }
+
+  return <Text dimColor>{JSON.stringify(input, null, 2)}</Text>;
+}
+
+/**
+ * Get the lines of a permission request for line-based prompts
+ * Same content as PermissionRequestBody
+ */
+function getPermissionRequestLines({ tool: toolName, input, cwd = getCwd() }) {
+  if (toolName === 'Bash') {
+    return [
+      { text: input.command },
+      ...(input.description ? [{ text: input.description, dim: true }] : [])
+    ];
+  }
+
+  if (EDIT_TOOLS.includes(toolName)) {
+    const filePath = input.file_path || input.notebook_path || '';
+    const diff = getEditChanges(toolName, input, cwd).flatMap(change => getDiffLines(change.before, change.after));
+
+    return [
+      { text: path.relative(cwd, path.resolve(cwd, filePath)) || filePath, bold: true },
+      ...diff.slice(0, MAX_DIFF_LINES),
+      ...(diff.length > MAX_DIFF_LINES ? [{ text: `… ${diff.length - MAX_DIFF_LINES} more lines`, dim: true }] : [])
+    ];
+  }
+
+  if (toolName === 'ExitPlanMode') {
+    return [{ text: "Here is Claude's plan:" }, { text: input.plan }];
+  }
+
+  if (toolName === 'WebFetch') {
+    let domain = input.url;
+    try {
+      domain = new URL(input.url).hostname;
+    } catch {}
+
+    return [{ text: `Claude wants to fetch content from ${domain}` }, { text: input.url, dim: true }];
+  }
+
+  return [{ text: JSON.stringify(input, null, 2), dim: true }];
+}
+
+/**
+ * Permission Dialog Component
+ * request is a permission:request payload; onDecision receives the decision
+ */
+export function PermissionDialog({ request, onDecision }) {
+  const rules = getPermissionRequestRules(request);
+  const options = getPermissionOptions(rules);
+  const [selected, setSelected] = useState(0);
+  const [feedback, setFeedback] = useState(null);
+
+  const choose = (choice) => {
+    if (choice === 'deny') {
+      setFeedback('');
+      return;
+    }
+    onDecision(createPermissionDialogDecision(choice, request, rules));
+  };
+
+  useInput((key, meta) => {
+    if (feedback !== null) {
+      if (meta.escape) setFeedback(null);
+      return;
+    }
+
+    if (meta.escape) {
+      onDecision(createPermissionDialogDecision('deny', request, rules));
+    } else if (meta.upArrow) {
+      setSelected(prev => (prev - 1 + options.length) % options.length);
+    } else if (meta.downArrow || meta.tab) {
+      setSelected(prev => (prev + 1) % options.length);
+    } else if (meta.return) {
+      choose(options[selected].value);
+    } else if (/^[1-9]$/.test(key) && Number(key) <= options.length) {
+      choose(options[Number(key) - 1].value);
+    }
+  });
+
+  return (
+    <Box flexDirection="column" borderStyle="round" borderColor="yellow" paddingX={1} marginBottom={1}>
+      <Text bold color="yellow">{getPermissionTitle(request.tool, request.input, request.cwd)}</Text>
+      <Box marginY={1} paddingLeft={2}>
+        <PermissionRequestBody toolName={request.tool} input={request.input} cwd={request.cwd} />
+      </Box>
+
+      {feedback === null ? (
+        <Box flexDirection="column">
+          <Text>Do you want to proceed?</Text>
+          {options.map((option, index) => (
+            <Text key={option.value} color={index === selected ? 'cyan' : undefined}>
+              {index === selected ? '❯' : ' '} {index + 1}. {option.label}
+            </Text>
+          ))}
+          <Text dimColor>Enter to select · Esc to deny</Text>
+        </Box>
+      ) : (
+        <Box flexDirection="column">
+          <Text>Tell Claude what to do differently (Enter to send, Esc to go back):</Text>
+          <Box>
+            <Text color="cyan">{'> '}</Text>
+            <TextInput
+              value={feedback}
+              onChange={setFeedback}
+              onSubmit={value => onDecision(createPermissionDialogDecision('deny', request, rules, value))}
+            />
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export {
+  getPermissionTitle,
+  getPermissionRequestRules,
+  getPermissionRequestLines,
+  getPermissionOptions,
+  createPermissionDialogDecision
+};
\ No newline at end of file
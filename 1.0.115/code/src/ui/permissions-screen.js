@@ -0,0 +1,315 @@
+/**
+ * Permissions Screen
+ * Shown by /permissions to review and edit permission rules
+ *
+ * Tabs list allow, ask and deny rules grouped by source, plus the working
+ * directories. Rules from policy, flag and CLI sources are read-only.
+ * New rules are validated as they are typed and saved to a chosen settings file.
+ */
+
+import React, { useState } from 'react';
+import { Box, Text, useInput } from 'ink';
+import TextInput from 'ink-text-input';
+import os from 'os';
+import path from 'path';
+import {
+  parsePermissionRule,
+  formatPermissionRule,
+  formatValidationError,
+  getPermissionSourceDisplayName,
+  getWorkingDirectories
+} from '../permissions/permission-validation.js';
+import {
+  getPermissionContextRules,
+  createAddDirectoryUpdates,
+  createRemoveDirectoryUpdates,
+  isPersistableDestination
+} from '../permissions/permission-system.js';
+
+const TABS = [
+  { id: 'allow', title: 'Allow', description: 'Claude can use these tools without asking' },
+  { id: 'ask', title: 'Ask', description: 'Claude always asks before using these tools' },
+  { id: 'deny', title: 'Deny', description: 'Claude cannot use these tools' },
+  { id: 'directories', title: 'Workspace', description: 'Claude can read and edit files in these directories' }
+];
+
+// Where new rules can be saved
+const RULE_DESTINATIONS = [
+  { value: 'localSettings', label: 'Local settings', hint: '.claude.local.json, this project only' },
+  { value: 'projectSettings', label: 'Project settings', hint: '.claude.json, shared with the project' },
+  { value: 'userSettings', label: 'User settings', hint: 'all your projects' },
+  { value: 'session', label: 'This session only', hint: 'not saved' }
+];
+
+/**
+ * Resolve a typed directory against the working directory
+ */
+function resolveDirectory(input) {
+  const trimmed = input.trim();
+  const expanded = trimmed === '~' || trimmed.startsWith('~/') ?
+    path.join(os.homedir(), trimmed.slice(1)) :
+    trimmed;
+
+  return path.resolve(expanded);
+}
+
+/**
+ * Get the problem with a typed directory, or null
+ */
+function getDirectoryError(input, permissionContext) {
+  if (!input.trim()) return null;
+
+  const directory = resolveDirectory(input);
+  if (getWorkingDirectories(permissionContext).includes(directory)) {
+    return `${directory} is already a working directory`;
+  }
+  if (!createAddDirectoryUpdates(directory)) {
+    return `${directory} is not a directory`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the rows of a tab
+ */
+function getTabItems(tabId, permissionContext) {
+  if (tabId === 'directories') {
+    const [cwd, ...directories] = getWorkingDirectories(permissionContext);
+    const additional = directories.map(directory => {
+      const source = permissionContext.additionalWorkingDirectories.get(directory)?.source || 'session';
+      return { type: 'directory', directory, source, removable: source === 'session' || isPersistableDestination(source) };
+    });
+
+    return [
+      { type: 'add', label: 'Add directory…' },
+      { type: 'directory', directory: cwd, source: null, removable: false },
+      ...additional
+    ];
+  }
+
+  const rules = getPermissionContextRules(permissionContext)
+    .filter(rule => rule.ruleBehavior === tabId)
+    .map(rule => ({ type: 'rule', rule, source: rule.source, removable: rule.removable }));
+
+  return [{ type: 'add', label: 'Add a new rule…' }, ...rules];
+}
+
+/**
+ * One row of the rule or directory list
+ */
+function ItemRow({ item, selected, showSource }) {
+  const marker = selected ? '❯' : ' ';
+  const color = selected ? 'cyan' : undefined;
+
+  if (item.type === 'add') {
+    return <Text color={color}>{marker} {item.label}</Text>;
+  }
+
+  const label = item.type === 'rule' ?
+    formatPermissionRule(item.rule.ruleValue) :
+    item.directory;
+  const note = item.type === 'directory' && !item.source ?
+    ' (original working directory)' :
+    !item.removable ? ' (read-only)' : '';
+
+  return (
+    <Box flexDirection="column">
+      {showSource && (
+        <Text dimColor>  {item.source ? getPermissionSourceDisplayName(item.source) : 'working directory'}</Text>
+      )}
+      <Text color={color}>
+        {marker}   {label}<Text dimColor>{note}</Text>
+      </Text>
+    </Box>
+  );
+}
+
+/**
+ * Permissions Screen Component
+ */
+export function PermissionsScreen({ conversationLoop, onClose }) {
+  const [tabIndex, setTabIndex] = useState(0);
+  const [selected, setSelected] = useState(0);
+  // list, addRule, chooseDestination, addDirectory or confirmDelete
+  const [view, setView] = useState('list');
+  const [input, setInput] = useState('');
+  const [message, setMessage] = useState(null);
+  const [, setVersion] = useState(0);
+
+  const permissionContext = conversationLoop.context.toolPermissionContext;
+  const tab = TABS[tabIndex];
+  const items = getTabItems(tab.id, permissionContext);
+  const item = items[Math.min(selected, items.length - 1)];
+
+  const update = (updates, notice) => {
+    conversationLoop.updatePermissions(updates);
+    setVersion(version => version + 1);
+    setMessage({ text: notice, color: 'green' });
+    setInput('');
+    setView('list');
+  };
+
+  const switchTab = (offset) => {
+    setTabIndex(index => (index + offset + TABS.length) % TABS.length);
+    setSelected(0);
+    setMessage(null);
+  };
+
+  const openItem = () => {
+    setMessage(null);
+    if (item.type === 'add') {
+      setView(tab.id === 'directories' ? 'addDirectory' : 'addRule');
+    } else if (item.removable) {
+      setView('confirmDelete');
+    } else {
+      const from = item.source ? ` from ${getPermissionSourceDisplayName(item.source)}` : '';
+      setMessage({ text: `This ${item.type} is read-only${from}`, color: 'yellow' });
+    }
+  };
+
+  const deleteItem = () => {
+    if (item.type === 'rule') {
+      const { rule } = item;
+      update(
+        [{ type: 'removeRules', rules: [rule.ruleValue], behavior: rule.ruleBehavior, destination: rule.source }],
+        `Removed ${rule.ruleBehavior} rule ${formatPermissionRule(rule.ruleValue)}`
+      );
+    } else {
+      update(
+        createRemoveDirectoryUpdates(item.directory, item.source),
+        `Removed ${item.directory} from the workspace`
+      );
+    }
+    setSelected(index => Math.max(index - 1, 0));
+  };
+
+  const addRule = (destination) => {
+    const ruleValue = parsePermissionRule(input.trim());
+    update(
+      [{ type: 'addRules', rules: [ruleValue], behavior: tab.id, destination }],
+      `Added ${tab.id} rule ${formatPermissionRule(ruleValue)} to ${getPermissionSourceDisplayName(destination)}`
+    );
+  };
+
+  const addDirectory = () => {
+    if (!input.trim() || getDirectoryError(input, permissionContext)) return;
+
+    const directory = resolveDirectory(input);
+    update(createAddDirectoryUpdates(directory), `Added ${directory} to the workspace`);
+  };
+
+  useInput((key, meta) => {
+    switch (view) {
+      case 'list':
+        if (meta.escape) onClose();
+        else if (meta.leftArrow) switchTab(-1);
+        else if (meta.rightArrow || meta.tab) switchTab(1);
+        else if (meta.upArrow) setSelected(index => Math.max(index - 1, 0));
+        else if (meta.downArrow) setSelected(index => Math.min(index + 1, items.length - 1));
+        else if (meta.return) openItem();
+        else if ((meta.delete || meta.backspace) && item.type !== 'add') openItem();
+        break;
+
+      case 'confirmDelete':
+        if (key === 'y' || key === 'Y') deleteItem();
+        else if (key === 'n' || key === 'N' || meta.escape) setView('list');
+        break;
+
+      case 'chooseDestination':
+        if (meta.escape) setView('addRule');
+        else if (/^[1-9]$/.test(key) && Number(key) <= RULE_DESTINATIONS.length) {
+          addRule(RULE_DESTINATIONS[Number(key) - 1].value);
+        }
+        break;
+
+      default:
+        // Text entry; the input handles everything but Esc
+        if (meta.escape) {
+          setInput('');
+          setView('list');
+        }
+    }
+  });
+
+  const ruleError = view === 'addRule' && input.trim() ? formatValidationError(input.trim()) : null;
+  const directoryError = view === 'addDirectory' ? getDirectoryError(input, permissionContext) : null;
+
+  return (
+    <Box flexDirection="column" borderStyle="round" borderColor="cyan" paddingX={1} marginBottom={1}>
+      <Box>
+        <Text bold color="cyan">Permissions: </Text>
+        {TABS.map((t, index) => (
+          <Text key={t.id} inverse={index === tabIndex}> {t.title} </Text>
+        ))}
+      </Box>
+      <Text dimColor>{tab.description}</Text>
+
+      <Box flexDirection="column" marginY={1}>
+        {view === 'list' && items.map((row, index) => (
+          <ItemRow
+            key={index}
+            item={row}
+            selected={index === Math.min(selected, items.length - 1)}
+            showSource={row.type !== 'add' && row.source !== items[index - 1]?.source}
+          />
+        ))}
+
+        {view === 'confirmDelete' && (
+          <Text>
+            Delete {item.type === 'rule' ?
+              `${item.rule.ruleBehavior} rule ${formatPermissionRule(item.rule.ruleValue)}` :
+              `working directory ${item.directory}`} from {getPermissionSourceDisplayName(item.source)}? (y/n)
+          </Text>
+        )}
+
+        {(view === 'addRule' || view === 'addDirectory') && (
+          <Box flexDirection="column">
+            <Text>
+              {view === 'addRule' ?
+                `New ${tab.id} rule, e.g. Bash(npm test:*), Edit(src/**), WebFetch(domain:example.com) or Read:` :
+                'Directory to add to the workspace:'}
+            </Text>
+            <Box borderStyle="round" paddingX={1}>
+              <TextInput
+                value={input}
+                onChange={setInput}
+                onSubmit={() => {
+                  if (view === 'addDirectory') addDirectory();
+                  else if (input.trim() && !ruleError) setView('chooseDestination');
+                }}
+              />
+            </Box>
+            {ruleError && <Text color="red">{ruleError}</Text>}
+            {directoryError && <Text color="red">{directoryError}</Text>}
+            {view === 'addRule' && input.trim() && !ruleError && (
+              <Text color="green">✓ {formatPermissionRule(parsePermissionRule(input.trim()))}</Text>
+            )}
+          </Box>
+        )}
+
+        {view === 'chooseDestination' && (
+          <Box flexDirection="column">
+            <Text>Where should {formatPermissionRule(parsePermissionRule(input.trim()))} be saved?</Text>
+            {RULE_DESTINATIONS.map((destination, index) => (
+              <Text key={destination.value}>
+                {index + 1}. {destination.label} <Text dimColor>({destination.hint})</Text>
+              </Text>
+            ))}
+          </Box>
+        )}
+      </Box>
+
+      {message && <Text color={message.color}>{message.text}</Text>}
+      <Text dimColor>
+        {view === 'list' ?
+          '←/→ switch tabs · ↑/↓ select · Enter to add or delete · Esc to close' :
+          'Esc to go back'}
+      </Text>
+    </Box>
+  );
+}
+
+export {
+  getTabItems
+};
\ No newline at end of file
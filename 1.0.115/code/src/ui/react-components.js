@@ -7,6 +7,9 @@
 import React, { useState, useEffect, useCallback, useRef, useContext, useMemo } from 'react';
 import { Box, Text } from 'ink';
 import { useKeypress } from '../hooks/use-keypress';
+import { getGlobalConfig, updateGlobalConfig } from '../config/configuration-system.js';
+import { isCheckpointingEnabled } from '../session/checkpoint-store.js';
+import { getModelAliases, getModelInfo, getDefaultModel, isModelRetired } from '../api/model-catalog.js';
 
 /**
  * Theme Selector Component
@@ -230,9 +233,8 @@ export function Settings({
       value: globalConfig.autoCompactEnabled,
       type: 'boolean',
       onChange(value) {
-        const config = { ...getGlobalConfig(), autoCompactEnabled: value };
-        updateGlobalConfig(config);
-        setGlobalConfig(config);
+        updateGlobalConfig({ autoCompactEnabled: value });
+        setGlobalConfig(config => ({ ...config, autoCompactEnabled: value }));
         trackEvent('tengu_auto_compact_setting_changed', { enabled: value });
       }
     },
@@ -284,12 +286,11 @@ export function Settings({
     settings.splice(1, 0, {
       id: 'autocheckpointingEnabled',
       label: 'Auto-checkpointing',
-      value: globalConfig.autocheckpointingEnabled,
+      value: isCheckpointingEnabled(),
       type: 'boolean',
       onChange(value) {
-        const config = { ...getGlobalConfig(), autocheckpointingEnabled: value };
-        updateGlobalConfig(config);
-        setGlobalConfig(config);
+        updateGlobalConfig({ autocheckpointingEnabled: value });
+        setGlobalConfig(config => ({ ...config, autocheckpointingEnabled: value }));
         trackEvent('tengu_autocheckpointing_setting_changed', { enabled: value });
       }
     });
@@ -435,7 +436,21 @@ export function Settings({
  * Shows current token usage with visual grid
  * Original: function OWB
  */
-export function TokenUsageDisplay({ data }) {
+export function TokenUsageDisplay({ data: providedData, conversationLoop }) {
+  const [loadedData, setLoadedData] = useState(null);
+
+  // Count from the live conversation when no data is passed in
+  useEffect(() => {
+    if (!providedData && conversationLoop) {
+      conversationLoop.getContextUsage().then(setLoadedData);
+    }
+  }, [providedData, conversationLoop]);
+
+  const data = providedData || loadedData;
+  if (!data) {
+    return <Text dimColor>Calculating context usage…</Text>;
+  }
+
   const {
     categories,
     totalTokens,
@@ -444,7 +459,8 @@ export function TokenUsageDisplay({ data }) {
     gridRows,
     model,
     memoryFiles,
-    mcpTools
+    mcpTools,
+    cache
   } = data;
 
   const { columns } = getTerminalDimensions();
@@ -500,6 +516,16 @@ export function TokenUsageDisplay({ data }) {
               </Text>
             </Box>
           )}
+
+          {cache && cache.readTokens + cache.writeTokens > 0 && (
+            <Text dimColor>
+              Prompt cache: {Math.round(cache.hitRate * 100)}% hit rate
+              {' • '}
+              {cache.readTokens < 1000 ? cache.readTokens : `${(cache.readTokens / 1000).toFixed(1)}k`} read
+              {' • '}
+              {cache.writeTokens < 1000 ? cache.writeTokens : `${(cache.writeTokens / 1000).toFixed(1)}k`} written
+            </Text>
+          )}
         </Box>
       </Box>
 
@@ -620,6 +646,32 @@ function getFileSourceLabel(source) {
   }
 }
 
+/**
+ * Get model options from the catalog aliases
+ */
+function getAvailableModels() {
+  const defaultInfo = getModelInfo(getDefaultModel());
+  const options = [{
+    value: null,
+    label: 'Default (recommended)',
+    description: `Use the default model (currently ${defaultInfo?.name ?? getDefaultModel()})`
+  }];
+
+  for (const [alias, model] of Object.entries(getModelAliases())) {
+    if (isModelRetired(model)) continue;
+
+    const info = getModelInfo(model);
+    const pricing = info?.pricing ? ` · $${info.pricing.input}/$${info.pricing.output} per Mtok` : '';
+    options.push({
+      value: alias,
+      label: alias.charAt(0).toUpperCase() + alias.slice(1),
+      description: `${info?.name ?? model}${pricing}`
+    });
+  }
+
+  return options;
+}
+
 function formatOutputStyles(styles) {
   const DEFAULT_STYLE = 'Default';
   const DEFAULT_DESCRIPTION = 'Claude completes coding tasks efficiently and provides concise responses';
@@ -637,11 +689,8 @@ function usePreviewTheme() { return { setPreviewTheme: () => {}, savePreview: ()
 function useExitHandler() { return { pending: false, keyName: null }; }
 function useAppState() { return [{}, () => {}]; }
 function useKeypress() { }
-function getGlobalConfig() { return {}; }
-function updateGlobalConfig() { }
 function getLocalSettings() { return {}; }
 function saveLocalSettings() { }
-function getAvailableModels() { return []; }
 function getCurrentSessionContext() { return null; }
 function getSubscriptionTier() { return 'free'; }
 function getTerminalDimensions() { return { columns: 80 }; }
@@ -3,10 +3,16 @@
  * Main terminal interface using Ink
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { render, Box, Text, useInput, useApp } from 'ink';
 import { Spinner } from './components/spinner.js';
 import TextInput from 'ink-text-input';
+import { getThinkingText } from '../conversation/thinking.js';
+import { getModelDisplayName } from '../api/anthropic-client.js';
+import { getKeyboardShortcuts } from './input-handler.js';
+import { PermissionModeIndicator } from './ui-components.js';
+import { PermissionDialog } from './permission-dialog.js';
+import { PermissionsScreen } from './permissions-screen.js';
 
 /**
  * Main terminal UI component
@@ -14,12 +20,34 @@ import TextInput from 'ink-text-input';
 function TerminalUI({ conversationLoop }) {
   const { exit } = useApp();
   const [input, setInput] = useState('');
-  const [messages, setMessages] = useState([]);
+  const [messages, setMessages] = useState(() => toDisplayMessages(conversationLoop.messages));
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [confirmation, setConfirmation] = useState(null);
+  // Tools running side by side can ask at once; requests are answered in order
+  const [permissionRequests, setPermissionRequests] = useState([]);
+  const nextPermissionRequestId = useRef(0);
+  const [showPermissions, setShowPermissions] = useState(false);
+  const [showThinking, setShowThinking] = useState(false);
+  const [permissionMode, setPermissionMode] = useState(conversationLoop.context.toolPermissionContext.mode);
+  const { tabNavigation } = getKeyboardShortcuts();
 
   // Handle keyboard input
   useInput((key, meta) => {
+    if (confirmation) {
+      if (key === 'y' || key === 'n' || meta.return || meta.escape) {
+        confirmation.callback(key === 'y');
+        setConfirmation(null);
+      }
+      return;
+    }
+
+    // The permission dialog and screen handle their own keys
+    if (permissionRequests.length > 0 || showPermissions) {
+      return;
+    }
+
     if (meta.ctrl && key === 'c') {
       conversationLoop.abort();
       exit();
@@ -28,47 +56,115 @@ function TerminalUI({ conversationLoop }) {
     if (meta.ctrl && key === 'd') {
       exit();
     }
+
+    if (meta.ctrl && key === 'r') {
+      setShowThinking(prev => !prev);
+    }
+
+    if (tabNavigation.check(key, meta)) {
+      conversationLoop.cyclePermissionMode();
+    }
   });
 
   // Listen to conversation events
   useEffect(() => {
-    const handleStreamDelta = ({ text }) => {
+    const appendToAssistant = (field, text) => {
       setMessages(prev => {
         const last = prev[prev.length - 1];
         if (last && last.role === 'assistant') {
           return [
             ...prev.slice(0, -1),
-            { ...last, content: last.content + text }
+            { ...last, [field]: (last[field] || '') + text }
           ];
         }
-        return [...prev, { role: 'assistant', content: text }];
+        return [...prev, { role: 'assistant', content: '', [field]: text }];
       });
     };
 
+    const handleStreamDelta = ({ text }) => appendToAssistant('content', text);
+    const handleThinkingDelta = ({ text }) => appendToAssistant('thinking', text);
+
     const handleMessageComplete = ({ message }) => {
       setIsProcessing(false);
     };
 
+    const handleTruncated = ({ maxTokens }) => {
+      setError(`Response stopped at the ${maxTokens} token output limit`);
+    };
+
+    const handleFallback = ({ from, to }) => {
+      setNotice(`${getModelDisplayName(from)} is overloaded, using ${getModelDisplayName(to)}`);
+    };
+
+    const handleRestored = ({ model }) => {
+      setNotice(`Switched back to ${getModelDisplayName(model)}`);
+    };
+
+    const handleBudgetWarning = ({ message }) => {
+      setNotice(message);
+    };
+
+    const handleBudgetConfirm = (request) => {
+      setConfirmation(request);
+    };
+
+    const handlePermissionRequest = (request) => {
+      const id = nextPermissionRequestId.current++;
+      setPermissionRequests(prev => [...prev, { ...request, id }]);
+    };
+
+    const handlePermissionMode = ({ mode }) => {
+      setPermissionMode(mode);
+    };
+
     const handleError = ({ error }) => {
       setError(error.message);
       setIsProcessing(false);
     };
 
     conversationLoop.on('stream:delta', handleStreamDelta);
+    conversationLoop.on('thinking:delta', handleThinkingDelta);
     conversationLoop.on('message:complete', handleMessageComplete);
+    conversationLoop.on('message:truncated', handleTruncated);
+    conversationLoop.on('model:fallback', handleFallback);
+    conversationLoop.on('model:restored', handleRestored);
+    conversationLoop.on('budget:warning', handleBudgetWarning);
+    conversationLoop.on('budget:confirm', handleBudgetConfirm);
+    conversationLoop.on('permission:request', handlePermissionRequest);
+    conversationLoop.on('permission:mode', handlePermissionMode);
     conversationLoop.on('input:error', handleError);
 
     return () => {
       conversationLoop.off('stream:delta', handleStreamDelta);
+      conversationLoop.off('thinking:delta', handleThinkingDelta);
       conversationLoop.off('message:complete', handleMessageComplete);
+      conversationLoop.off('message:truncated', handleTruncated);
+      conversationLoop.off('model:fallback', handleFallback);
+      conversationLoop.off('model:restored', handleRestored);
+      conversationLoop.off('budget:warning', handleBudgetWarning);
+      conversationLoop.off('budget:confirm', handleBudgetConfirm);
+      conversationLoop.off('permission:request', handlePermissionRequest);
+      conversationLoop.off('permission:mode', handlePermissionMode);
       conversationLoop.off('input:error', handleError);
     };
   }, [conversationLoop]);
 
+  // Answer the permission request being shown
+  const handlePermissionDecision = (decision) => {
+    permissionRequests[0].callback(decision);
+    setPermissionRequests(prev => prev.slice(1));
+  };
+
   // Handle input submission
   const handleSubmit = async (value) => {
     if (!value.trim()) return;
 
+    if (value.trim() === '/permissions') {
+      setInput('');
+      setShowPermissions(true);
+      return;
+    }
+
     setMessages(prev => [...prev, { role: 'user', content: value }]);
     setInput('');
     setIsProcessing(true);
@@ -92,10 +188,41 @@ function TerminalUI({ conversationLoop }) {
       {/* Messages */}
       <Box flexDirection="column" marginBottom={1}>
         {messages.map((msg, index) => (
-          <MessageDisplay key={index} message={msg} />
+          <MessageDisplay key={index} message={msg} showThinking={showThinking} />
         ))}
       </Box>
 
+      {/* Model fallback notice */}
+      {notice && (
+        <Box marginBottom={1}>
+          <Text color="yellow">{notice}</Text>
+        </Box>
+      )}
+
+      {/* Budget confirmation */}
+      {confirmation && (
+        <Box marginBottom={1} borderStyle="round" borderColor="yellow" paddingX={1}>
+          <Text color="yellow">{confirmation.message}. Continue anyway? (y/N)</Text>
+        </Box>
+      )}
+
+      {/* Permission request */}
+      {permissionRequests.length > 0 && (
+        <PermissionDialog
+          key={permissionRequests[0].id}
+          request={permissionRequests[0]}
+          onDecision={handlePermissionDecision}
+        />
+      )}
+
+      {/* Permission rules */}
+      {showPermissions && permissionRequests.length === 0 && (
+        <PermissionsScreen
+          conversationLoop={conversationLoop}
+          onClose={() => setShowPermissions(false)}
+        />
+      )}
+
       {/* Error display */}
       {error && (
         <Box marginBottom={1}>
@@ -104,14 +231,14 @@ function TerminalUI({ conversationLoop }) {
       )}
 
       {/* Processing indicator */}
-      {isProcessing && (
+      {isProcessing && permissionRequests.length === 0 && (
         <Box marginBottom={1}>
           <Spinner label="Processing..." />
         </Box>
       )}
 
       {/* Input */}
-      {!isProcessing && (
+      {!isProcessing && !showPermissions && (
         <Box>
           <Text color="green">{'> '}</Text>
           <TextInput
@@ -123,9 +250,10 @@ function TerminalUI({ conversationLoop }) {
       )}
 
       {/* Footer */}
-      <Box marginTop={1}>
+      <Box marginTop={1} flexDirection="column">
+        <PermissionModeIndicator mode={permissionMode} shortcut={tabNavigation.displayText} />
         <Text dimColor>
-          Ctrl+C to abort • Ctrl+D to exit • /help for commands
+          Ctrl+C to abort • Ctrl+D to exit • Ctrl+R to {showThinking ? 'hide' : 'show'} thinking • /help for commands
         </Text>
       </Box>
     </Box>
@@ -135,18 +263,53 @@ function TerminalUI({ conversationLoop }) {
 /**
  * Message display component
  */
-function MessageDisplay({ message }) {
+function MessageDisplay({ message, showThinking = false }) {
   const roleColor = message.role === 'user' ? 'blue' : 'green';
   const roleLabel = message.role === 'user' ? 'You' : 'Claude';
+  const content = formatContent(message.content);
 
   return (
     <Box flexDirection="column" marginBottom={1}>
       <Text color={roleColor} bold>
         {roleLabel}:
       </Text>
+      {message.thinking && (
+        <ThinkingDisplay thinking={message.thinking} expanded={showThinking} />
+      )}
+      {content && (
+        <Box paddingLeft={2}>
+          <Text wrap="wrap">
+            {content}
+          </Text>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * Thinking display
+ * Collapsed to a summary line until expanded with Ctrl+R
+ */
+export function ThinkingDisplay({ thinking, expanded = false }) {
+  if (!expanded) {
+    const lineCount = thinking.trim().split('\n').length;
+
+    return (
       <Box paddingLeft={2}>
-        <Text wrap="wrap">
-          {formatContent(message.content)}
+        <Text dimColor italic>
+          ✻ Thinking… ({lineCount} line{lineCount !== 1 ? 's' : ''}, Ctrl+R to expand)
+        </Text>
+      </Box>
+    );
+  }
+
+  return (
+    <Box flexDirection="column" paddingLeft={2}>
+      <Text dimColor italic>✻ Thinking…</Text>
+      <Box paddingLeft={2}>
+        <Text dimColor italic wrap="wrap">
+          {thinking.trim()}
         </Text>
       </Box>
     </Box>
@@ -227,6 +390,33 @@ export function FileTree({ files, selected }) {
   );
 }
 
+/**
+ * Convert loop history into display messages
+ * Used to show prior turns when resuming a session
+ */
+function toDisplayMessages(loopMessages = []) {
+  const display = [];
+
+  for (const message of loopMessages) {
+    if (message.isMeta) continue;
+
+    const content = typeof message.content === 'string'
+      ? message.content
+      : (message.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+    const thinking = message.type === 'assistant' ? getThinkingText(message.content) : '';
+
+    if (content || thinking) {
+      display.push({ role: message.type, content, thinking });
+    }
+  }
+
+  return display;
+}
+
 /**
  * Start the terminal UI
  */
@@ -12,6 +12,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Box, Text, useInput, useApp, useFocus } from 'ink';
 import { EventEmitter } from 'events';
 import chalk from 'chalk';
+import { PERMISSION_MODE_INFO, getPermissionModeStatus } from '../permissions/permission-modes.js';
 
 /**
  * Progress Bar Component
@@ -121,6 +122,22 @@ export const Spinner = ({
   );
 };
 
+/**
+ * Permission Mode Indicator Component
+ * Shows the permission mode unless it is the default
+ */
+export const PermissionModeIndicator = ({
+  mode,
+  shortcut = 'shift+tab'
+}) => {
+  const status = getPermissionModeStatus(mode, shortcut);
+  if (!status) return null;
+
+  return (
+    <Text color={PERMISSION_MODE_INFO[mode].color}>{status}</Text>
+  );
+};
+
 /**
  * Status Bar Component
  * Shows current status at bottom of screen
@@ -129,7 +146,8 @@ export const StatusBar = ({
   items = [],
   position = 'bottom',
   separator = ' | ',
-  color = 'dim'
+  color = 'dim',
+  permissionMode
 }) => {
   const formatItem = (item) => {
     if (typeof item === 'string') {
@@ -155,6 +173,12 @@ export const StatusBar = ({
       marginBottom={position === 'top' ? 1 : 0}
     >
       <Text color={color}>{content}</Text>
+      {permissionMode && permissionMode !== 'default' && (
+        <>
+          {content && <Text color={color}>{separator}</Text>}
+          <PermissionModeIndicator mode={permissionMode} />
+        </>
+      )}
     </Box>
   );
 };
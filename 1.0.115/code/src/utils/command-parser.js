@@ -151,10 +151,48 @@ export function parseArguments(args) {
   return result;
 }
 
+// Stands in for a command substitution inside the command that contains it
+const SUBSTITUTION_PLACEHOLDER = '__SUBSTITUTION__';
+
+// Reserved words, grouping and function headers that can start a simple
+// command without being it
+const LEADING_RESERVED_WORDS = /^(?:\{|!|if|then|elif|else|while|until|do|time(?:\s+-p)?|function\s+[^\s(){}]+)(?:\s+|$)/;
+
+// Words that end a compound command and run nothing themselves
+const CLOSING_RESERVED_WORDS = ['}', 'fi', 'done', 'esac'];
+
+// Loop headers only name a variable and its values; a case header only
+// names the word to match, with its first pattern when one follows
+const LOOP_HEADER = /^(?:for|select)\s/;
+const CASE_HEADER = /^case\s.*\sin(?:\s|$)/;
+
+/**
+ * Remove reserved words around a simple command
+ * @param {string} command - Simple command from a split
+ * @returns {string} The command that runs, or '' if there is none
+ */
+function stripReservedWords(command) {
+  let stripped = command;
+  let match;
+
+  while ((match = LEADING_RESERVED_WORDS.exec(stripped))) {
+    stripped = stripped.slice(match[0].length);
+  }
+
+  if (CLOSING_RESERVED_WORDS.includes(stripped) || LOOP_HEADER.test(stripped) || CASE_HEADER.test(stripped)) {
+    return '';
+  }
+
+  return stripped;
+}
+
 /**
  * Split command by pipes, redirections, etc
+ * Sequences (;, &&, ||, &, newlines), pipelines, subshells and command or
+ * process substitutions become separate simple commands; substitutions are
+ * replaced by a placeholder in the command that contains them
  * @param {string} command - Full command string
- * @returns {Object} Command parts
+ * @returns {Object} Simple commands, file redirections and background flag
  */
 export function splitCommand(command) {
   const result = {
@@ -163,32 +201,408 @@ export function splitCommand(command) {
     background: false
   };
 
-  // Check for background execution
-  if (command.endsWith('&')) {
-    result.background = true;
-    command = command.slice(0, -1).trim();
+  result.background = collectSubcommands(command, result);
+
+  return result;
+}
+
+/**
+ * Find the index of the parenthesis closing the one before start
+ * @param {string} command - Command string
+ * @param {number} start - Index after the opening parenthesis
+ * @returns {number} Index of the closing parenthesis, or the command length
+ */
+function findClosingParen(command, start) {
+  let depth = 1;
+  let quote = null;
+
+  for (let i = start; i < command.length; i++) {
+    const char = command[i];
+
+    if (char === '\\' && quote !== "'") {
+      i++;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return i;
+    }
   }
 
-  // Split by pipes
-  const pipeParts = command.split('|').map(p => p.trim());
+  return command.length;
+}
+
+/**
+ * Read one shell word, keeping quotes
+ * @param {string} command - Command string
+ * @param {number} start - Index to read from
+ * @returns {Object} Word and the index after it
+ */
+function readWord(command, start) {
+  let i = start;
+  while (command[i] === ' ' || command[i] === '\t') i++;
+
+  let word = '';
+  let quote = null;
 
-  for (const part of pipeParts) {
-    // Check for redirections
-    const redirectMatch = part.match(/(.*?)([<>]+)(.+)/);
+  for (; i < command.length; i++) {
+    const char = command[i];
 
-    if (redirectMatch) {
-      const [_, cmd, operator, target] = redirectMatch;
-      result.commands.push(cmd.trim());
-      result.redirections.push({
-        operator,
-        target: target.trim()
-      });
+    if (char === '\\' && quote !== "'") {
+      word += char + (command[i + 1] || '');
+      i++;
+    } else if (quote) {
+      word += char;
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      word += char;
+      quote = char;
+    } else if (/[\s;&|<>()]/.test(char)) {
+      break;
     } else {
-      result.commands.push(part);
+      word += char;
     }
   }
 
-  return result;
+  return { word, end: i };
+}
+
+/**
+ * Collect simple commands and redirections of a command into result
+ * @param {string} command - Command string
+ * @param {Object} result - splitCommand result to add to
+ * @returns {boolean} True if the command ends by running in the background
+ */
+function collectSubcommands(command, result) {
+  let current = '';
+  let quote = null;
+  let background = false;
+
+  const flush = () => {
+    const trimmed = stripReservedWords(current.trim().replace(/\s+/g, ' '));
+    if (trimmed) {
+      result.commands.push(trimmed);
+      background = false;
+    }
+    current = '';
+  };
+
+  const substitute = (start, end) => {
+    collectSubcommands(command.slice(start, end), result);
+    current += SUBSTITUTION_PLACEHOLDER;
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    const next = command[i + 1];
+
+    if (char === '\\' && quote !== "'") {
+      current += char + (next || '');
+      i++;
+      continue;
+    }
+
+    if (quote === "'") {
+      current += char;
+      if (char === "'") quote = null;
+      continue;
+    }
+
+    // Command substitutions run inside double quotes too
+    if (char === '$' && next === '(') {
+      const end = findClosingParen(command, i + 2);
+      substitute(i + 2, end);
+      i = end;
+      continue;
+    }
+
+    if (char === '`') {
+      let end = i + 1;
+      while (end < command.length && command[end] !== '`') {
+        end += command[end] === '\\' ? 2 : 1;
+      }
+      substitute(i + 1, end);
+      i = end;
+      continue;
+    }
+
+    if (quote === '"') {
+      current += char;
+      if (char === '"') quote = null;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      current += char;
+      quote = char;
+      continue;
+    }
+
+    // Process substitution
+    if ((char === '<' || char === '>') && next === '(') {
+      const end = findClosingParen(command, i + 2);
+      substitute(i + 2, end);
+      i = end;
+      continue;
+    }
+
+    // Subshell or group
+    if (char === '(') {
+      const end = findClosingParen(command, i + 1);
+      flush();
+      collectSubcommands(command.slice(i + 1, end), result);
+      i = end;
+      continue;
+    }
+
+    if (char === '<' || char === '>' || (char === '&' && next === '>')) {
+      // A file descriptor number directly before the operator belongs to it
+      const fdMatch = current.match(/(^|\s)(\d+)$/);
+      let operator = fdMatch ? fdMatch[2] : '';
+      if (fdMatch) {
+        current = current.slice(0, -fdMatch[2].length);
+      }
+
+      const operatorMatch = command.slice(i).match(/^(&>>|&>|>>|>\||>&|<<<|<<-|<<|<&|<>|>|<)/);
+      operator += operatorMatch[1];
+
+      const { word, end } = readWord(command, i + operatorMatch[1].length);
+      i = end - 1;
+
+      // Duplicated file descriptors like 2>&1 are not files
+      if (!(/&$/.test(operator) && /^(\d+|-)$/.test(word))) {
+        result.redirections.push({ operator, target: word });
+      }
+      continue;
+    }
+
+    if (char === ';' || char === '\n' || char === '|' || char === '&') {
+      flush();
+      if (char === '&' && next !== '&') {
+        background = true;
+      }
+      if ((char === '&' || char === '|') && (next === char || (char === '|' && next === '&'))) {
+        i++;
+      }
+      continue;
+    }
+
+    // Subshells are read whole, so a lone ) ends a case pattern, which
+    // runs nothing; the case header before a first pattern goes with it
+    if (char === ')') {
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  flush();
+  return background;
+}
+
+// Commands that run the command in their arguments, with the short and long
+// options of each that take a separate value. lookup lists the options that
+// only describe the command instead of running it
+const COMMAND_WRAPPERS = {
+  builtin: { short: '', long: [] },
+  command: { short: '', long: [], lookup: 'vV' },
+  exec: { short: 'a', long: [] },
+  nohup: { short: '', long: [] },
+  nice: { short: 'n', long: ['adjustment'] },
+  env: { short: 'CSu', long: ['chdir', 'split-string', 'unset'] },
+  timeout: { short: 'ks', long: ['kill-after', 'signal'], positional: 1 },
+  sudo: {
+    short: 'CDghpRrTtUu',
+    long: ['chdir', 'close-from', 'command-timeout', 'group', 'host', 'other-user', 'prompt', 'role', 'type', 'user']
+  },
+  xargs: {
+    short: 'adEILlnPs',
+    long: ['arg-file', 'delimiter', 'eof', 'max-args', 'max-chars', 'max-lines', 'max-procs', 'replace']
+  }
+};
+
+// Shells that run the script given with -c
+const SCRIPT_SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh'];
+
+// find actions that run a command, ended by ; or +
+const FIND_EXEC_ACTIONS = ['-exec', '-execdir', '-ok', '-okdir'];
+
+/**
+ * Split a simple command into words, keeping quotes
+ * @param {string} command - Simple command
+ * @returns {string[]} Words
+ */
+function readWords(command) {
+  const words = [];
+  let i = 0;
+
+  while (i < command.length) {
+    const { word, end } = readWord(command, i);
+    if (word) words.push(word);
+    i = Math.max(end, i + 1);
+  }
+
+  return words;
+}
+
+/**
+ * Remove the quotes of a word
+ * @param {string} word - Word with quotes
+ * @returns {string} Word as the shell passes it
+ */
+function unquoteWord(word) {
+  return parseCommandWithQuotes(word).join(' ');
+}
+
+/**
+ * Get the command a wrapper runs
+ * @param {string[]} words - Words of a simple command
+ * @returns {string|null} Command run by the wrapper, or null if it is not one
+ */
+function getWrappedCommand(words) {
+  const [name, ...args] = words;
+  const wrapper = COMMAND_WRAPPERS[name];
+
+  // eval and sh -c run their arguments as a script
+  if (name === 'eval') {
+    return args.map(unquoteWord).join(' ');
+  }
+  if (SCRIPT_SHELLS.includes(name)) {
+    const scriptIndex = args.findIndex(arg => /^-[a-z]*c[a-z]*$/.test(arg));
+    return scriptIndex > -1 && args[scriptIndex + 1] ? unquoteWord(args[scriptIndex + 1]) : null;
+  }
+  if (name === 'find') {
+    return getFindCommands(args);
+  }
+  if (!wrapper) return null;
+
+  let i = 0;
+  let positional = wrapper.positional || 0;
+
+  while (i < args.length) {
+    const arg = args[i];
+
+    if (arg === '--') {
+      i++;
+      break;
+    }
+
+    if (name === 'env' && /^[A-Za-z_][A-Za-z0-9_]*=/.test(arg)) {
+      i++;
+    } else if (arg.startsWith('--')) {
+      i += !arg.includes('=') && wrapper.long.includes(arg.slice(2)) ? 2 : 1;
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      if (wrapper.lookup && [...arg.slice(1)].some(letter => wrapper.lookup.includes(letter))) {
+        return null;
+      }
+
+      // A value can follow the option letter directly, as in -uroot
+      const valueIndex = [...arg.slice(1)].findIndex(letter => wrapper.short.includes(letter));
+      i += valueIndex === arg.length - 2 ? 2 : 1;
+    } else if (positional > 0) {
+      positional--;
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  return i < args.length ? args.slice(i).join(' ') : null;
+}
+
+/**
+ * Get the commands find runs for its -exec and -ok actions
+ * @param {string[]} args - Arguments of find
+ * @returns {string|null} One command per line, or null if there is none
+ */
+function getFindCommands(args) {
+  const commands = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (!FIND_EXEC_ACTIONS.includes(args[i])) continue;
+
+    const words = [];
+    for (i++; i < args.length && !['+', ';'].includes(unquoteWord(args[i]).replace(/^\\/, '')); i++) {
+      words.push(args[i]);
+    }
+    if (words.length > 0) commands.push(words.join(' '));
+  }
+
+  return commands.length > 0 ? commands.join('\n') : null;
+}
+
+/**
+ * Get a simple command and the commands it runs through wrappers
+ * sudo, xargs, command, exec, eval, sh -c, find -exec and similar are unwrapped so
+ * rules for the wrapped command apply to them too
+ * @param {string} command - Simple command
+ * @returns {string[]} The command followed by every command it wraps
+ */
+export function getWrappedCommands(command) {
+  const commands = [command];
+  const wrapped = getWrappedCommand(readWords(command));
+
+  if (wrapped) {
+    // A script can itself be compound
+    for (const subcommand of splitCommand(wrapped).commands) {
+      commands.push(...getWrappedCommands(subcommand));
+    }
+  }
+
+  return commands;
+}
+
+/**
+ * Check if command uses shell operators outside quotes
+ * Covers chaining, pipes, redirections, backgrounding and substitutions
+ * @param {string} command - Command string
+ * @returns {boolean} True if the command is more than one simple command
+ */
+export function hasShellOperators(command) {
+  let inSingleQuote = false;
+  let inDoubleQuote = false;
+  let escaped = false;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (escaped) {
+      escaped = false;
+      continue;
+    }
+
+    if (char === '\\' && !inSingleQuote) {
+      escaped = true;
+      continue;
+    }
+
+    if (char === "'" && !inDoubleQuote) {
+      inSingleQuote = !inSingleQuote;
+      continue;
+    }
+
+    if (inSingleQuote) continue;
+
+    // Substitutions still run inside double quotes
+    if (char === '`' || (char === '$' && command[i + 1] === '(')) {
+      return true;
+    }
+
+    if (char === '"') {
+      inDoubleQuote = !inDoubleQuote;
+      continue;
+    }
+
+    if (!inDoubleQuote && /[;&|<>()\n]/.test(char)) {
+      return true;
+    }
+  }
+
+  return false;
 }
 
 /**
@@ -346,10 +760,14 @@ export function parseShellArgs(argv) {
   return config;
 }
 
+export { SUBSTITUTION_PLACEHOLDER };
+
 export default {
   parseCommand,
   parseArguments,
   splitCommand,
+  getWrappedCommands,
+  hasShellOperators,
   validateCommand,
   extractEnvVars,
   buildCommand,
@@ -0,0 +1,34 @@
+/**
+ * Working Directory
+ * The directory a conversation works in
+ *
+ * SDK queries with different working directories can run side by side in
+ * one process, so code reads the directory with getCwd() rather than
+ * process.cwd(). A conversation loop runs its work inside runWithCwd().
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import path from 'path';
+
+const cwdStorage = new AsyncLocalStorage();
+
+/**
+ * Get the working directory of the current conversation
+ * Falls back to the process working directory
+ */
+function getCwd() {
+  return cwdStorage.getStore() || process.cwd();
+}
+
+/**
+ * Run fn with a working directory
+ * Everything fn starts, including awaited work, sees cwd from getCwd()
+ */
+function runWithCwd(cwd, fn) {
+  return cwdStorage.run(path.resolve(cwd), fn);
+}
+
+export {
+  getCwd,
+  runWithCwd
+};
\ No newline at end of file